@@ -12,11 +12,22 @@ class GameManager {
         this.modelManager = null;
         this.toolFunctions = null;
         this.settingsManager = null;
+        this.responseCache = null;
+        // Runs model calls by priority; images and summaries run in the background
+        this.scheduler = null;
+        // Snapshots of completed turns, for rewinding and forking timelines
+        this.turnHistory = null;
+        // Save slots in IndexedDB
+        this.saveManager = null;
         
         this.isInitialized = false;
         this.isGameRunning = false;
         this.isWaitingForAction = false;
         this.pendingOperations = 0;
+        // AbortController of the turn in flight (null when idle)
+        this.turnController = null;
+        // Whether the document-level listeners are registered (see _setupDocumentListeners)
+        this.documentListenersBound = false;
         // Removed: this._setupEventListeners();
     }
     
@@ -34,6 +45,12 @@ class GameManager {
             this.gameState = new GameState();
             this.uiManager = new UIManager(this.gameState);
             this.settingsManager = new SettingsManager();
+            this.responseCache = new ResponseCache({ enabled: this.settingsManager.get('responseCache') });
+            this.scheduler = new JobScheduler({ concurrency: 2 });
+            this.scheduler.onChange = () => this.uiManager.setImageLoading(this.scheduler.hasPending('scene-image'));
+            this.turnHistory = new TurnHistory();
+            this.gameState.turnHistory = this.turnHistory;
+            this.saveManager = new SaveManager();
             
             this.settingsManager.applyInitialSettings();
             
@@ -54,6 +71,7 @@ class GameManager {
             
             // Set up event listeners here instead of constructor
             this._setupEventListeners();
+            this._setupDocumentListeners();
             
             return false; // Not fully initialized until API key is validated
         } catch (error) {
@@ -65,42 +83,56 @@ class GameManager {
     
     /**
      * Start a new game
+     * @param {number|null} seed - RNG seed for the new game (a replay passes the recorded one); a fresh one by default
      * @returns {Promise<boolean>} - Success status
      */
-    async startNewGame() {
+    async startNewGame(seed = null) {
         try {
             if (!this.isInitialized) {
                 throw new Error('GameManager is not initialized');
             }
             
-            this.gameState.resetState();
+            // The seed is recorded so a replay rolls the same fights and gates
+            const rngSeed = seed ?? SeededRandom.newSeed();
+            this.modelManager.recorder.recordInput('newGame', null, { seed: rngSeed });
+            this.modelManager.usage.beginTurn('New game');
+            // Nothing still running belongs to the new game
+            this.scheduler.cancelAll();
+            this.gameState.resetState(rngSeed);
+            this.gameState.beginTurn('New game');
+            this.turnHistory.clear();
             this.uiManager.clearNarrative();
+            this.uiManager.clearSceneImage();
             this.uiManager.updateStatePanel(this.gameState.state);
             
             this.uiManager.setLoading(true);
             this.pendingOperations = 1; // Reset explicitly
             
             try {
-                const openingSequence = await this.modelManager.generateOpeningSequence();
-                console.log('Opening sequence generated:', openingSequence); // Debug log
-                if (openingSequence.stateChanges) {
-                    this.gameState.updateState(openingSequence.stateChanges);
+                const openingEntry = this.uiManager.createStreamingEntry();
+                let openingSequence = null;
+                try {
+                    openingSequence = await this.scheduler.schedule(
+                        () => this.modelManager.generateOpeningSequence((text) => openingEntry.update(text)),
+                        { label: 'Opening sequence' }
+                    );
+                } finally {
+                    openingEntry.finish(openingSequence?.narration);
                 }
-                this.uiManager.addNarrativeEntry(openingSequence.narration);
+                console.log('Opening sequence generated:', openingSequence); // Debug log
+                // The opening narration is the first turn the narrator sees in later contexts
+                this.gameState.state.conversationHistory.push({
+                    role: "Narrator",
+                    text: openingSequence.narration,
+                    tokens: this.modelManager.countTokens(openingSequence.narration)
+                });
+                
+                const turnNumber = this._recordTurn('New game');
                 
+                // The opening image arrives in the background; the game starts without waiting for it
                 if (openingSequence.shouldGenerateImage && openingSequence.imagePrompt &&
-                    this.settingsManager.get('imageFrequency') !== 'never') {
-                    try {
-                        const imageUrl = await this.modelManager.generateImage(openingSequence.imagePrompt);
-                        console.log('Generated image URL in startNewGame:', imageUrl); // Debug log
-                        if (imageUrl) {
-                            this.uiManager.addImageToNarrative(imageUrl, 'Opening scene');
-                        } else {
-                            console.warn('No image URL returned');
-                        }
-                    } catch (imageError) {
-                        console.error('Image generation failed:', imageError);
-                    }
+                    this._imageFrequency() !== 'never') {
+                    this._scheduleSceneImage((signal) => this.modelManager.generateImage(openingSequence.imagePrompt, signal), 'Opening scene', turnNumber);
                 }
                 
                 this.uiManager.updateStatePanel(this.gameState.state);
@@ -112,7 +144,8 @@ class GameManager {
                 return true;
             } catch (innerError) {
                 console.error('Error during opening sequence:', innerError);
-                this.uiManager.showError('Failed to generate opening sequence. Please try again.');
+                this.modelManager.recorder.markLastInputFailed();
+                this._reportError(innerError, 'Failed to generate opening sequence. Please try again.');
                 return false;
             } finally {
                 this.pendingOperations = 0;
@@ -130,84 +163,73 @@ class GameManager {
     }
     
     /**
-     * Load a saved game
-     * @param {string} saveData - Save data string
+     * Load a saved game. Saves made with timelines pick up exactly where they left off;
+     * older saves start with a continuation narration.
+     * @param {Object} envelope - Save envelope, migrated to the current version
      * @returns {Promise<boolean>} - Success status
      */
-    async loadGame() {
-        const fileInput = document.createElement('input');
-        fileInput.type = 'file';
-        fileInput.accept = '.json';
-        fileInput.addEventListener('change', async (event) => {
-            try {
-                const file = event.target.files[0];
-                if (!file) return;
-    
-                const reader = new FileReader();
-                reader.onload = async (e) => {
-                    try {
-                        const saveData = JSON.parse(e.target.result);
-                        if (!this.isInitialized) {
-                            throw new Error('GameManager is not initialized');
-                        }
-                        
-                        this.gameState.loadState(saveData);
-                        this.uiManager.clearNarrative();
-                        this.uiManager.updateStatePanel(this.gameState.state);
-                        this.uiManager.setLoading(true);
-                        this.pendingOperations++;
-    
-                        try {
-                            const continuationNarration = await this.modelManager.generateContinuationNarration(this.gameState.state);
-                            this.uiManager.addNarrativeEntry(continuationNarration);
-                            this.uiManager.setInputEnabled(true);
-                            this.isGameRunning = true;
-                            this.isWaitingForAction = true;
-                            this.uiManager.addSystemMessage('Game loaded successfully!');
-                        } finally {
-                            this.pendingOperations--;
-                            if (this.pendingOperations <= 0) {
-                                this.uiManager.setLoading(false);
-                                this.pendingOperations = 0;
-                            }
-                        }
-                    } catch (error) {
-                        console.error('Failed to parse save file:', error);
-                        this.uiManager.showError('Failed to load save file. It may be corrupted.');
+    async loadGame(envelope) {
+        if (!this.isInitialized) {
+            throw new Error('GameManager is not initialized');
+        }
+        
+        this.scheduler.cancelAll();
+        this.isWaitingForAction = false;
+        this.uiManager.setInputEnabled(false);
+        try {
+            this.gameState.loadSaveData(envelope.data);
+            const latest = this.turnHistory.latest;
+            if (latest?.state) {
+                this._restoreTurn(latest, envelope.data.state);
+            } else {
+                this.uiManager.clearNarrative();
+                this.uiManager.clearSceneImage();
+                this.uiManager.updateStatePanel(this.gameState.state);
+                this.uiManager.setLoading(true);
+                this.pendingOperations++;
+                try {
+                    const continuationNarration = await this.modelManager.generateContinuationNarration(this.gameState.state);
+                    this.uiManager.addNarrativeEntry(continuationNarration);
+                    this._recordTurn('Loaded game');
+                } finally {
+                    this.pendingOperations--;
+                    if (this.pendingOperations <= 0) {
+                        this.uiManager.setLoading(false);
+                        this.pendingOperations = 0;
                     }
-                };
-                reader.readAsText(file);
-            } catch (error) {
-                console.error('Failed to load game:', error);
-                this.uiManager.showError('Failed to load game.');
+                }
             }
-        });
-        fileInput.click();
+            this.uiManager.setInputEnabled(true);
+            this.isGameRunning = true;
+            this.isWaitingForAction = true;
+            this.uiManager.addSystemMessage(`Loaded "${envelope.meta.name}".`);
+            return true;
+        } catch (error) {
+            console.error('Failed to load game:', error);
+            this.uiManager.showError('Failed to load the saved game.');
+            this.isWaitingForAction = this.isGameRunning;
+            this.uiManager.setInputEnabled(this.isGameRunning);
+            return false;
+        }
     }
     
     /**
-     * Save the current game
-     * @returns {string} - Save data string
+     * Save the current game to a named slot
+     * @param {string} name - Save name
+     * @param {string} slotId - Slot to overwrite (defaults to a new slot)
+     * @returns {Promise<Object|null>} - The saved envelope, or null on failure
      */
-    saveGame() {
+    async saveGame(name, slotId = `slot-${Date.now()}`) {
         try {
             if (!this.isInitialized || !this.isGameRunning) {
                 throw new Error('No active game to save');
             }
             
-            const saveData = this.gameState.saveState();
-            const blob = new Blob([JSON.stringify(saveData)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `solo-leveling-save-${new Date().toISOString().slice(0,10)}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.uiManager.addSystemMessage('Game saved successfully!');
-            return JSON.stringify(saveData);
+            const envelope = await this.saveManager.saveSlot(slotId, name, this.gameState.getSaveData(), this._currentSceneImage());
+            if (slotId !== SaveManager.AUTOSAVE_ID) {
+                this.uiManager.addSystemMessage(`Game saved as "${name}".`);
+            }
+            return envelope;
         } catch (error) {
             console.error('Failed to save game:', error);
             this.uiManager.showError('Failed to save the game. Please try again.');
@@ -215,6 +237,455 @@ class GameManager {
         }
     }
     
+    /**
+     * Autosave when the turn number is a multiple of the autosave interval
+     * @param {number} turnNumber - Turn that just completed
+     * @private
+     */
+    _autosaveIfDue(turnNumber) {
+        const every = this.settingsManager.get('autosaveEvery');
+        // A replayed session must not overwrite the player's autosave
+        if (!every || turnNumber % every !== 0 || this.replayFixture) {
+            return;
+        }
+        const { location } = this.gameState.state.world;
+        this.saveGame(`Autosave - ${location}`, SaveManager.AUTOSAVE_ID);
+    }
+    
+    /**
+     * Scene image currently shown, for save thumbnails
+     * @returns {string|null}
+     * @private
+     */
+    _currentSceneImage() {
+        const latest = this.turnHistory.latest;
+        return latest ? this.turnHistory.getSceneImage(latest.number) : null;
+    }
+    
+    /**
+     * Show the load-game browser with every save slot
+     * @returns {Promise<void>}
+     */
+    async openLoadBrowser() {
+        try {
+            this.uiManager.renderSaveSlots(await this.saveManager.listSlots());
+        } catch (error) {
+            console.error('Failed to list saves:', error);
+            this.uiManager.renderSaveSlots([]);
+        }
+        document.getElementById('load-modal').classList.remove('hidden');
+    }
+    
+    /**
+     * Load a save file chosen by the player
+     */
+    importSaveFile() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json';
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = async (e) => {
+                let envelope;
+                try {
+                    envelope = this.saveManager.parseFile(e.target.result);
+                } catch (error) {
+                    console.error('Failed to parse save file:', error);
+                    this.uiManager.showError('Failed to load save file. It may be corrupted.');
+                    return;
+                }
+                document.getElementById('load-modal').classList.add('hidden');
+                await this.loadGame(envelope);
+            };
+            reader.readAsText(file);
+        });
+        fileInput.click();
+    }
+    
+    /**
+     * Start recording model requests, or stop and download the fixture
+     * @returns {Promise<void>}
+     */
+    async toggleRecording() {
+        const recorder = this.modelManager?.recorder;
+        if (!recorder) {
+            alert('Start the game before recording a fixture');
+            return;
+        }
+        
+        if (!recorder.isRecording) {
+            recorder.startRecording(this.gameState.state, {
+                providers: this.modelManager.providers,
+                imageFrequency: this.settingsManager.get('imageFrequency')
+            });
+            this.uiManager.addSystemMessage('Recording model fixture. Your actions and all model responses are being captured.');
+            this._updateFixtureControls();
+            return;
+        }
+        
+        // Background jobs still change the state (summaries) and record requests
+        await this.scheduler.whenIdle();
+        const fixture = recorder.stopRecording(this.gameState.state);
+        const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `solo-leveling-fixture-${new Date().toISOString().slice(0,10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        this.uiManager.addSystemMessage(`Fixture saved (${fixture.inputs.length} inputs, ${fixture.requests.length} model requests).`);
+        this._updateFixtureControls();
+    }
+    
+    /**
+     * Pick a fixture file and replay it
+     */
+    loadFixture() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json';
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = async (e) => {
+                try {
+                    await this.replaySession(JSON.parse(e.target.result));
+                } catch (error) {
+                    console.error('Failed to replay fixture:', error);
+                    this.uiManager.showError(`Failed to replay fixture: ${error.message}`);
+                }
+            };
+            reader.readAsText(file);
+        });
+        fileInput.click();
+    }
+    
+    /**
+     * Replay a recorded session: restore its starting state, then repeat its inputs
+     * with every model response served from the fixture (no network).
+     * @param {Object} fixture - Fixture from FixtureRecorder
+     * @returns {Promise<Object>} - { matched, diverged } where matched means the final state equals the recorded one
+     */
+    async replaySession(fixture) {
+        if (!this.isInitialized) {
+            throw new Error('GameManager is not initialized');
+        }
+        const recorder = this.modelManager.recorder;
+        if (recorder.isRecording) {
+            throw new Error('Stop recording before replaying a fixture');
+        }
+        
+        this.scheduler.cancelAll();
+        recorder.startReplay(fixture);
+        this.replayFixture = fixture;
+        let diverged = false;
+        try {
+            this.gameState.state = JSON.parse(JSON.stringify(fixture.initialState));
+            this.uiManager.clearNarrative();
+            this.uiManager.updateStatePanel(this.gameState.state);
+            this.uiManager.addSystemMessage(`Replaying fixture recorded ${fixture.recordedAt}...`);
+            this.isGameRunning = true;
+            this.isWaitingForAction = true;
+            
+            for (const input of fixture.inputs) {
+                const missesBefore = recorder.misses.length;
+                if (input.type === 'newGame') {
+                    await this.startNewGame(input.seed);
+                } else if (input.type === 'action') {
+                    await this.handlePlayerAction(input.action);
+                } else if (input.type === 'rewind') {
+                    this.rewindTo(input.turn);
+                } else if (input.type === 'fork') {
+                    this.forkFrom(input.turn, input.name);
+                } else if (input.type === 'switchBranch') {
+                    this.switchBranch(input.branch);
+                } else if (input.type === 'allocateStat') {
+                    this.allocateStatPoint(input.stat);
+                } else if (input.type === 'equip') {
+                    this.equipItem(input.item, input.slot);
+                } else if (input.type === 'unequip') {
+                    this.unequipItem(input.slot);
+                } else if (input.type === 'combat') {
+                    await this.handleCombatAction(input.combatAction);
+                } else if (input.type === 'extract') {
+                    await this.handleShadowExtraction(input.corpseId);
+                }
+                // Let this input's background jobs finish, as they had time to while recording
+                await this.scheduler.whenIdle();
+                // Inputs that failed while recording are expected to miss at the request that failed
+                if (recorder.misses.length > missesBefore && !input.failed) {
+                    diverged = true;
+                    break;
+                }
+            }
+        } finally {
+            recorder.stopReplay();
+            this.replayFixture = null;
+        }
+        
+        const matched = !diverged && JSON.stringify(this.gameState.state) === JSON.stringify(fixture.finalState);
+        if (matched) {
+            this.uiManager.addSystemMessage('Replay finished: the game state matches the recording.');
+        } else if (diverged) {
+            this.uiManager.addSystemMessage('Replay stopped: a model request did not match the recording (see console).');
+            console.warn('Unmatched replay requests:', recorder.misses);
+        } else {
+            this.uiManager.addSystemMessage('Replay finished, but the game state differs from the recording (see console).');
+            console.warn('Replayed state:', this.gameState.state, 'Recorded state:', fixture.finalState);
+        }
+        return { matched, diverged };
+    }
+    
+    /**
+     * Generate a scene image in the background. A newer scene image supersedes it, so
+     * only the image of the latest scene is ever shown.
+     * @param {Function} generate - (AbortSignal) => Promise<string> image data URL
+     * @param {string} altText - Image description
+     * @param {number} turnNumber - Turn the image belongs to
+     * @private
+     */
+    _scheduleSceneImage(generate, altText, turnNumber) {
+        this.scheduler.schedule(generate, {
+            priority: JobScheduler.PRIORITY.BACKGROUND,
+            key: 'scene-image',
+            label: altText
+        }).then(imageUrl => {
+            if (imageUrl) {
+                this.turnHistory.setSceneImage(turnNumber, imageUrl);
+                this.uiManager.addImageToNarrative(imageUrl, altText);
+            } else {
+                console.warn('No image URL returned');
+            }
+        }).catch(error => {
+            if (!(error instanceof JobCancelledError)) {
+                console.error('Image generation failed:', error);
+            }
+        });
+    }
+    
+    /**
+     * Snapshot the turn that just completed
+     * @param {string} label - Turn description (the player's action)
+     * @returns {number} - Turn number
+     * @private
+     */
+    _recordTurn(label) {
+        const previous = this.turnHistory.latest;
+        return this.turnHistory.record({
+            label,
+            state: this.gameState.state,
+            entries: this.uiManager.captureNarrative(previous ? previous.narrativeLength : 0),
+            narrativeLength: this.uiManager.markNarrative()
+        });
+    }
+    
+    /**
+     * Rewind the game to the end of an earlier turn: its state, narrative and scene image
+     * are restored and every later turn of the current timeline is discarded.
+     * @param {number} turnNumber - Turn to rewind to
+     * @returns {boolean} - Whether the game was rewound
+     */
+    rewindTo(turnNumber) {
+        if (!this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        const turn = this.turnHistory.rewindTo(turnNumber);
+        if (!turn) {
+            this.uiManager.showError('That turn is too far back to rewind to.');
+            return false;
+        }
+        
+        this.modelManager.recorder.recordInput('rewind', null, { turn: turnNumber });
+        this._restoreTurn(turn);
+        return true;
+    }
+    
+    /**
+     * Fork a new timeline from the end of an earlier turn and continue on it. The current
+     * timeline is kept and can be switched back to.
+     * @param {number} turnNumber - Turn the new timeline starts from
+     * @param {string} name - Timeline name (defaults to "Branch N")
+     * @returns {boolean} - Whether the timeline was forked
+     */
+    forkFrom(turnNumber, name) {
+        if (!this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        const turn = this.turnHistory.fork(turnNumber, name);
+        if (!turn) {
+            this.uiManager.showError('That turn is too far back to fork from.');
+            return false;
+        }
+        
+        this.modelManager.recorder.recordInput('fork', null, { turn: turnNumber, name: this.turnHistory.currentBranch.name });
+        this._restoreTurn(turn);
+        this.uiManager.addSystemMessage(`Timeline "${this.turnHistory.currentBranch.name}" forked from turn ${turnNumber}.`);
+        return true;
+    }
+    
+    /**
+     * Continue another timeline from its latest turn
+     * @param {string} branchId - Timeline ID
+     * @returns {boolean} - Whether the timeline was switched
+     */
+    switchBranch(branchId) {
+        if (!this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        const turn = this.turnHistory.switchTo(branchId);
+        if (!turn?.state) {
+            this.uiManager.showError('That timeline has no turn to continue from.');
+            return false;
+        }
+        
+        this.modelManager.recorder.recordInput('switchBranch', null, { branch: branchId });
+        this._restoreTurn(turn);
+        return true;
+    }
+    
+    /**
+     * Spend one of the player's unspent stat points
+     * @param {string} stat - Attribute (STR, AGI, INT, SENSE, VIT)
+     * @returns {boolean} - Whether the point was spent
+     */
+    allocateStatPoint(stat) {
+        if (!this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        try {
+            this.gameState.allocateStatPoints(stat);
+        } catch (error) {
+            this.uiManager.showError(error.message);
+            return false;
+        }
+        this.modelManager.recorder.recordInput('allocateStat', null, { stat });
+        this.uiManager.updateStatePanel(this.gameState.state);
+        return true;
+    }
+    
+    /**
+     * Equip an item from the inventory
+     * @param {string} name - Item name
+     * @param {string|null} slot - Equipment slot (defaults to the item's first free slot)
+     * @returns {boolean} - Whether the item was equipped
+     */
+    equipItem(name, slot = null) {
+        if (!this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        let result;
+        try {
+            result = this.gameState.equipItem(name, slot);
+        } catch (error) {
+            this.uiManager.showError(error.message);
+            return false;
+        }
+        this.modelManager.recorder.recordInput('equip', null, { item: name, slot });
+        this.uiManager.addSystemMessage(`Equipped ${result.item.name}${result.replaced ? ` (${result.replaced.name} returned to the inventory)` : ''}.`);
+        this.uiManager.updateStatePanel(this.gameState.state);
+        return true;
+    }
+    
+    /**
+     * Put an equipped item back in the inventory
+     * @param {string} slot - Equipment slot
+     * @returns {boolean} - Whether the item was unequipped
+     */
+    unequipItem(slot) {
+        if (!this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        let item;
+        try {
+            item = this.gameState.unequipItem(slot);
+        } catch (error) {
+            this.uiManager.showError(error.message);
+            return false;
+        }
+        this.modelManager.recorder.recordInput('unequip', null, { slot });
+        this.uiManager.addSystemMessage(`Unequipped ${item.name}.`);
+        this.uiManager.updateStatePanel(this.gameState.state);
+        return true;
+    }
+    
+    /**
+     * Show a recorded turn: its state, the narrative leading up to it and its scene image
+     * @param {Object} turn - TurnHistory turn of the current timeline
+     * @param {Object} state - State to restore (defaults to the turn's snapshot)
+     * @private
+     */
+    _restoreTurn(turn, state = turn.state) {
+        // Background jobs belong to the turns being left
+        this.scheduler.cancelAll();
+        this.gameState.state = JSON.parse(JSON.stringify(state));
+        this.uiManager.restoreNarrative(this.turnHistory.getNarrative(turn.number));
+        const sceneImage = this.turnHistory.getSceneImage(turn.number);
+        if (sceneImage) {
+            this.uiManager.addImageToNarrative(sceneImage, 'Scene image');
+        } else {
+            this.uiManager.clearSceneImage();
+        }
+        this.uiManager.updateStatePanel(this.gameState.state);
+    }
+    
+    /**
+     * Summarize old conversation history in the background. A summary already in progress
+     * is left to finish; the next turn picks up anything it didn't cover.
+     * @private
+     */
+    _scheduleHistorySummary() {
+        if (this.scheduler.hasPending('history-summary')) {
+            return;
+        }
+        this.scheduler.schedule((signal) => this.gameState.manageConversationHistory(signal), {
+            priority: JobScheduler.PRIORITY.BACKGROUND,
+            key: 'history-summary',
+            label: 'History summary'
+        }).catch(error => {
+            if (!(error instanceof JobCancelledError)) {
+                console.error('History summarization failed:', error);
+            }
+        });
+    }
+    
+    /**
+     * Image frequency for this session; a replay uses the setting it was recorded with
+     * @returns {string} - 'always', 'major-scenes' or 'never'
+     * @private
+     */
+    _imageFrequency() {
+        return this.replayFixture?.meta?.imageFrequency || this.settingsManager.get('imageFrequency');
+    }
+    
+    /**
+     * Show the response cache's current size in the settings modal
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _refreshCacheStats() {
+        const stats = await this.responseCache.getStats();
+        this.uiManager.setCacheStats(stats);
+    }
+    
+    /**
+     * Reflect the recording state in the settings modal
+     * @private
+     */
+    _updateFixtureControls() {
+        const recordBtn = document.getElementById('record-fixture');
+        if (recordBtn) {
+            recordBtn.textContent = this.modelManager?.recorder.isRecording ? 'Stop & Download Fixture' : 'Start Recording';
+        }
+    }
+    
     /**
      * Handle player action
      * @param {string} action - Player action text
@@ -224,6 +695,13 @@ class GameManager {
         if (!this.isInitialized || !this.isGameRunning || !this.isWaitingForAction) {
             return false;
         }
+        // Fights are played from the combat menu, and a fallen player can't act at all
+        const blocked = this._combatBlockReason();
+        if (blocked) {
+            this.uiManager.showError(blocked);
+            this.uiManager.setActionInput(action);
+            return false;
+        }
         
         // Disable input while processing
         this.isWaitingForAction = false;
@@ -233,12 +711,30 @@ class GameManager {
         this.uiManager.setLoading(true);
         this.pendingOperations++;
         
+        this.modelManager.recorder.recordInput('action', action);
+        this.modelManager.usage.beginTurn(action);
+        this.gameState.beginTurn(action);
+        
+        // Everything this turn changes can be rolled back if it is stopped or fails
+        const stateSnapshot = JSON.parse(JSON.stringify(this.gameState.state));
+        const narrativeMark = this.uiManager.markNarrative();
+        this.turnController = new AbortController();
+        const signal = this.turnController.signal;
+        this.uiManager.setStopVisible(true);
+        
         try {
             // Display player action in the narrative
-            this.uiManager.addPlayerAction(action);
+            this.uiManager.addPlayerAction(action, this.turnHistory.nextTurnNumber);
             
             // Validate the action
-            const validationResult = await this.modelManager.validatePlayerAction(action, this.gameState.state);
+            const validationResult = await this.scheduler.schedule(
+                (jobSignal) => this.modelManager.validatePlayerAction(action, this.gameState.state, jobSignal),
+                { signal, label: 'Validate action' }
+            );
+            if (validationResult.modelOutputInvalid) {
+                // The validator's output was unusable; the fallback lets the action through
+                console.warn('Action validation fell back to default; allowing action:', action);
+            }
             
             if (!validationResult.valid) {
                 // Action is invalid, show reason and re-enable input
@@ -249,27 +745,40 @@ class GameManager {
                 return false;
             }
             
+            // A skill is checked and paid for (MP, cooldown) before anything is narrated
+            if (validationResult.skill) {
+                const blocked = this.gameState.skillBlockReason(validationResult.skill);
+                if (blocked) {
+                    this.uiManager.addNarrativeEntry(`You can't do that. ${blocked}.`);
+                    
+                    this.isWaitingForAction = true;
+                    this.uiManager.setInputEnabled(true);
+                    return false;
+                }
+                const { skill, mpCost, leveledUp } = this.gameState.useSkill(validationResult.skill);
+                this.uiManager.addSystemMessage(`${skill.name}: -${mpCost} MP.${leveledUp ? ` Skill level up! ${skill.name} is now level ${skill.level}.` : ''}`);
+                this.uiManager.updateStatePanel(this.gameState.state);
+            }
+            
             // Process NPC interaction if needed
             let npcResponse = null;
             if (validationResult.involveNPC && validationResult.npcName) {
                 const npcName = validationResult.npcName;
                 const npcState = this.gameState.getNpcState(npcName);
-                const sceneContext = {
-                    location: this.gameState.state.world.location,
-                    playerRank: this.gameState.state.player.rank,
-                    currentQuest: this.gameState.state.quests.current
-                };
                 
-                npcResponse = await this.modelManager.generateNPCResponse(
-                    npcName, 
-                    action, 
-                    npcState, 
-                    sceneContext
-                );
-                
-                // Display NPC dialogue
-                if (npcResponse.dialogue) {
-                    this.uiManager.addNpcDialogue(npcName, npcResponse.dialogue);
+                // Stream NPC dialogue into the narrative as it arrives
+                const dialogueEntry = this.uiManager.createStreamingEntry('npc-dialogue', `${npcName}: `);
+                try {
+                    npcResponse = await this.scheduler.schedule((jobSignal) => this.modelManager.generateNPCResponse(
+                        npcName, 
+                        action, 
+                        npcState, 
+                        this.gameState.state,
+                        (text) => dialogueEntry.update(text),
+                        jobSignal
+                    ), { signal, label: `${npcName} dialogue` });
+                } finally {
+                    dialogueEntry.finish(npcResponse?.dialogue);
                 }
                 
                 // Update NPC state if needed
@@ -278,50 +787,69 @@ class GameManager {
                 }
             }
             
-            // Generate narration for the action outcome
-            const sceneContext = {
-                location: this.gameState.state.world.location,
-                time: this.gameState.state.world.time
-            };
-            
-            const narrationResult = await this.modelManager.generateNarration(
-                action,
-                npcResponse,
-                this.gameState,
-                sceneContext
-            );
+            // The corpses of the last fight are left behind once the story moves on
+            this.gameState.discardCorpses();
             
-            // Display narration
-            if (narrationResult.narration) {
-                this.uiManager.addNarrativeEntry(narrationResult.narration);
+            // Generate narration for the action outcome
+            // Narration streams into its entry; tool calls made mid-stream are applied below once it ends
+            const narrationEntry = this.uiManager.createStreamingEntry();
+            let narrationResult = null;
+            try {
+                narrationResult = await this.scheduler.schedule((jobSignal) => this.modelManager.generateNarration(
+                    action,
+                    npcResponse,
+                    this.gameState,
+                    npcResponse ? validationResult.npcName : null,
+                    (text) => narrationEntry.update(text),
+                    jobSignal
+                ), { signal, label: 'Narration' });
+            } finally {
+                narrationEntry.finish(narrationResult?.narration);
             }
             
-            // Update game state if needed
-            if (narrationResult.stateChanges) {
-                this.gameState.updateState(narrationResult.stateChanges);
-                                // Add to conversation history
-                this.gameState.state.conversationHistory.push({
-                    role: "Sung Jinwoo",
-                    text: action,
-                    tokens: tokenEstimator.estimateTokens(action)
-                });
-                this.gameState.state.conversationHistory.push({
-                    role: "Narrator",
-                    text: narrationResult.narration,
-                    tokens: tokenEstimator.estimateTokens(narrationResult.narration)
-                });
-                await this.gameState.manageConversationHistory();
-                this.uiManager.updateStatePanel(this.gameState.state);
+            // The narrator's function calls have already been applied to the game state during generation
+            if (narrationResult.toolCalls.length > 0) {
+                console.log('Narrator tool calls:', narrationResult.toolCalls);
             }
             
-            // Generate image if needed
-            if (validationResult.newScene && this.settingsManager.get('imageFrequency') !== 'never') {
-                const imagePrompt = `A ${this.gameState.state.world.location} scene after: ${narrationResult.narration.slice(0, 100)}...`;
-                const imageUrl = await this.modelManager.generateImage(imagePrompt);
-                if (imageUrl) {
-                    this.uiManager.addImageToNarrative(imageUrl, 'New scene after action');
+            // Training done this turn counts toward the Daily Quest, then the clock is checked
+            // against its deadline (a missed one drops the player into the Penalty Zone)
+            if (this.gameState.state.dailyQuest?.status === 'active') {
+                const training = await this.scheduler.schedule(
+                    (jobSignal) => this.modelManager.extractTraining(action, narrationResult.narration, jobSignal),
+                    { signal, label: 'Daily quest progress' }
+                );
+                const { progressed } = this.gameState.recordTraining(training);
+                if (progressed.length > 0) {
+                    this.uiManager.addSystemMessage(`Daily Quest: ${progressed.map(counter => `${counter.label} +${counter.added}`).join(', ')}.`);
                 }
             }
+            this.gameState.advanceDailyQuest();
+            this.gameState.endTurn();
+            
+            // Add to conversation history
+            this.gameState.state.conversationHistory.push({
+                role: "Sung Jinwoo",
+                text: action,
+                tokens: this.modelManager.countTokens(action)
+            });
+            this.gameState.state.conversationHistory.push({
+                role: "Narrator",
+                text: narrationResult.narration,
+                tokens: this.modelManager.countTokens(narrationResult.narration)
+            });
+            
+            const turnNumber = this._recordTurn(action);
+            this._autosaveIfDue(turnNumber);
+            
+            // Summaries and the scene image run in the background so input comes back right away
+            this._scheduleHistorySummary();
+            if (validationResult.newScene && this._imageFrequency() !== 'never') {
+                // The image is drawn from the scene as it is now, even if the next turn starts first
+                const sceneState = JSON.parse(JSON.stringify(this.gameState.state));
+                const narration = narrationResult.narration;
+                this._scheduleSceneImage((jobSignal) => this.modelManager.generateSceneImage(sceneState, narration, jobSignal), 'New scene after action', turnNumber);
+            }
             
             // Update UI
             this.uiManager.updateStatePanel(this.gameState.state);
@@ -332,8 +860,23 @@ class GameManager {
             
             return true;
         } catch (error) {
-            console.error('Error handling player action:', error);
-            this.uiManager.showError('Something went wrong. Please try a different action.');
+            this.modelManager.recorder.markLastInputFailed();
+            
+            // Undo whatever the turn changed before it stopped (tool calls, NPC updates, history)
+            this.gameState.state = stateSnapshot;
+            this.uiManager.rollbackNarrative(narrativeMark);
+            this.uiManager.updateStatePanel(this.gameState.state);
+            
+            if (signal.aborted) {
+                console.log('Turn stopped by the player:', action);
+                this.uiManager.addSystemMessage('Action cancelled.');
+            } else {
+                console.error('Error handling player action:', error);
+                this._reportError(error, 'Something went wrong. Please try a different action.');
+            }
+            
+            // Give the action back so the turn isn't lost
+            this.uiManager.setActionInput(action);
             
             // Re-enable input
             this.isWaitingForAction = true;
@@ -341,6 +884,9 @@ class GameManager {
             
             return false;
         } finally {
+            this.turnController = null;
+            this.uiManager.setStopVisible(false);
+            
             // Hide loading indicator
             this.pendingOperations--;
             if (this.pendingOperations <= 0) {
@@ -350,6 +896,338 @@ class GameManager {
         }
     }
     
+    /**
+     * Take a combat action: the CombatEngine resolves the round, then the narrator describes
+     * the results. Like a free-text action, the whole turn is rolled back if it fails.
+     * @param {Object} combatAction - { type: 'attack'|'skill'|'item'|'summon'|'dismiss'|'flee', target?, skill?, item?, shadow? }
+     * @returns {Promise<boolean>} - Success status
+     */
+    async handleCombatAction(combatAction) {
+        if (!this.isInitialized || !this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        const invalid = this.gameState.combat.validateAction(this.gameState.state, combatAction);
+        if (invalid) {
+            this.uiManager.showError(invalid);
+            return false;
+        }
+        
+        this.modelManager.recorder.recordInput('combat', null, { combatAction });
+        return await this._playResolvedTurn({
+            label: this._describeCombatAction(combatAction),
+            narrationLabel: 'Combat narration',
+            // The numbers are settled before the narrator sees them
+            resolve: () => {
+                const round = this.gameState.resolveCombatRound(combatAction);
+                const lines = this.gameState.combat.describeRound(round);
+                if (round.loot?.length > 0) {
+                    lines.push(`Loot collected: ${round.loot.map(item => `${item.name} x${item.quantity}`).join(', ')}.`);
+                }
+                for (const levelUp of round.shadowLevelUps || []) {
+                    lines.push(`${levelUp.name} reaches level ${levelUp.level}.`);
+                }
+                if (round.penaltySurvived) {
+                    lines.push(`Penalty Zone survived. Returning to ${this.gameState.state.world.location}.`);
+                }
+                return { lines, defeated: round.outcome === 'defeat' };
+            },
+            narrate: (lines, onChunk, jobSignal) => this.modelManager.generateCombatNarration(lines, this.gameState, onChunk, jobSignal)
+        });
+    }
+    
+    /**
+     * Try to extract a shadow from a corpse of the last won fight ("Arise"): the ShadowEngine rolls
+     * the attempt, then the narrator describes it. Rolled back like a combat round if it fails.
+     * @param {string} corpseId - Corpse ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    async handleShadowExtraction(corpseId) {
+        if (!this.isInitialized || !this.isGameRunning || !this.isWaitingForAction) {
+            return false;
+        }
+        const invalid = this.gameState.shadows.extractBlockReason(this.gameState.state, corpseId);
+        if (invalid) {
+            this.uiManager.showError(invalid);
+            return false;
+        }
+        
+        const corpse = this.gameState.state.shadowArmy.corpses.find(candidate => candidate.id === corpseId);
+        this.modelManager.recorder.recordInput('extract', null, { corpseId });
+        return await this._playResolvedTurn({
+            label: `Arise: ${corpse.name}`,
+            narrationLabel: 'Extraction narration',
+            resolve: () => ({ lines: this.gameState.shadows.describeExtraction(this.gameState.extractShadow(corpseId)) }),
+            narrate: (lines, onChunk, jobSignal) => this.modelManager.generateExtractionNarration(lines, this.gameState, onChunk, jobSignal)
+        });
+    }
+    
+    /**
+     * Play a turn the game resolves itself (a combat round, an extraction): the result is shown
+     * as a log entry, then narrated. The whole turn is rolled back if it fails or is stopped.
+     * @param {Object} turn - { label, narrationLabel, resolve: () => ({ lines, defeated? }),
+     *   narrate: (lines, onChunk, jobSignal) => Promise<{ narration }> }
+     * @returns {Promise<boolean>} - Success status
+     * @private
+     */
+    async _playResolvedTurn(turn) {
+        const { label } = turn;
+        this.isWaitingForAction = false;
+        this.uiManager.setInputEnabled(false);
+        this.uiManager.setLoading(true);
+        this.pendingOperations++;
+        
+        this.modelManager.usage.beginTurn(label);
+        this.gameState.beginTurn(label);
+        
+        const stateSnapshot = JSON.parse(JSON.stringify(this.gameState.state));
+        const narrativeMark = this.uiManager.markNarrative();
+        this.turnController = new AbortController();
+        const signal = this.turnController.signal;
+        this.uiManager.setStopVisible(true);
+        
+        try {
+            this.uiManager.addPlayerAction(label, this.turnHistory.nextTurnNumber);
+            
+            const result = turn.resolve();
+            this.gameState.endTurn();
+            this.uiManager.addNarrativeEntry(result.lines.join('\n'), 'combat-log');
+            this.uiManager.updateStatePanel(this.gameState.state);
+            
+            const narrationEntry = this.uiManager.createStreamingEntry();
+            let narrationResult = null;
+            try {
+                narrationResult = await this.scheduler.schedule(
+                    (jobSignal) => turn.narrate(result.lines, (text) => narrationEntry.update(text), jobSignal),
+                    { signal, label: turn.narrationLabel }
+                );
+            } finally {
+                narrationEntry.finish(narrationResult?.narration);
+            }
+            
+            this.gameState.state.conversationHistory.push({
+                role: "Sung Jinwoo",
+                text: label,
+                tokens: this.modelManager.countTokens(label)
+            });
+            this.gameState.state.conversationHistory.push({
+                role: "Narrator",
+                text: narrationResult.narration,
+                tokens: this.modelManager.countTokens(narrationResult.narration)
+            });
+            
+            const turnNumber = this._recordTurn(label);
+            this._autosaveIfDue(turnNumber);
+            this._scheduleHistorySummary();
+            
+            if (result.defeated) {
+                this.uiManager.addSystemMessage('You have died. Rewind to an earlier turn or load a save to continue.');
+            }
+            this.uiManager.updateStatePanel(this.gameState.state);
+            
+            this.isWaitingForAction = true;
+            this.uiManager.setInputEnabled(true);
+            return true;
+        } catch (error) {
+            this.modelManager.recorder.markLastInputFailed();
+            
+            // Undo the turn and everything after it
+            this.gameState.state = stateSnapshot;
+            this.uiManager.rollbackNarrative(narrativeMark);
+            this.uiManager.updateStatePanel(this.gameState.state);
+            
+            if (signal.aborted) {
+                console.log('Turn stopped by the player:', label);
+                this.uiManager.addSystemMessage('Action cancelled.');
+            } else {
+                console.error('Error resolving turn:', error);
+                this._reportError(error, 'Something went wrong. Please choose your action again.');
+            }
+            
+            this.isWaitingForAction = true;
+            this.uiManager.setInputEnabled(true);
+            return false;
+        } finally {
+            this.turnController = null;
+            this.uiManager.setStopVisible(false);
+            
+            this.pendingOperations--;
+            if (this.pendingOperations <= 0) {
+                this.uiManager.setLoading(false);
+                this.pendingOperations = 0;
+            }
+        }
+    }
+    
+    /**
+     * Why a free-text action can't be taken right now
+     * @returns {string|null} - Message for the player, or null if actions are allowed
+     * @private
+     */
+    _combatBlockReason() {
+        const state = this.gameState.state;
+        if (state.player.HP <= 0) {
+            return 'Jinwoo has fallen. Rewind to an earlier turn or load a save to continue.';
+        }
+        if (state.combat) {
+            return 'You are in combat. Choose your action from the combat menu.';
+        }
+        return null;
+    }
+    
+    /**
+     * Describe a combat action as the player's turn label
+     * @param {Object} combatAction - Combat action
+     * @returns {string}
+     * @private
+     */
+    _describeCombatAction(combatAction) {
+        const target = this.gameState.state.combat.participants.find(participant => participant.id === combatAction.target);
+        switch (combatAction.type) {
+            case 'attack':
+                return `Attack ${target.name}`;
+            case 'skill': {
+                const skill = this.gameState.skills.find(this.gameState.state.player, combatAction.skill);
+                return skill?.effect?.type === 'damage' ? `Use ${skill.name} on ${target.name}` : `Use ${combatAction.skill}`;
+            }
+            case 'item':
+                return `Use ${combatAction.item}`;
+            case 'summon':
+            case 'dismiss': {
+                const shadow = this.gameState.shadows.find(this.gameState.state.shadowArmy, combatAction.shadow);
+                return `${combatAction.type === 'summon' ? 'Summon' : 'Dismiss'} ${shadow.name}`;
+            }
+            default:
+                return 'Flee';
+        }
+    }
+    
+    /**
+     * Check that a role's configured model exists and responds, showing the result in Settings.
+     * Works before the game has started by using a temporary ModelManager.
+     * @param {string} role - 'heavy', 'medium', 'light', or 'image'
+     * @returns {Promise<Object>} - { ok, model, latencyMs, message }
+     */
+    async testModel(role) {
+        this.uiManager.setModelTestResult(role, 'Testing...', null);
+        let modelManager = this.modelManager;
+        if (!modelManager) {
+            const apiKeyInput = document.getElementById('api-key-input');
+            modelManager = new ModelManager(apiKeyInput ? apiKeyInput.value.trim() : '', this.settingsManager.getProviderConfig());
+        }
+        
+        let result;
+        try {
+            await modelManager.initialize();
+            result = await modelManager.testModel(role);
+        } catch (error) {
+            result = { ok: false, message: error.message };
+        }
+        this.uiManager.setModelTestResult(role, result.message, result.ok);
+        return result;
+    }
+    
+    /**
+     * Stop the turn in flight: pending requests are aborted and handlePlayerAction rolls the turn back
+     * @returns {boolean} - Whether there was a turn to stop
+     */
+    stopCurrentTurn() {
+        if (!this.turnController) {
+            return false;
+        }
+        this.turnController.abort();
+        return true;
+    }
+    
+    /**
+     * Pick the player-facing message for an error
+     * @param {Error} error - The error
+     * @param {string} fallback - Message for errors that aren't classified model API errors
+     * @returns {string} - Message to show
+     * @private
+     */
+    _describeError(error, fallback) {
+        return error instanceof ModelApiError ? error.userMessage : fallback;
+    }
+    
+    /**
+     * Show an error that ended a turn. A response that stayed blocked is shown as an
+     * in-world System glitch when that option is on; anything else as an error message.
+     * @param {Error} error - The error
+     * @param {string} fallback - Message for errors that aren't classified model API errors
+     * @private
+     */
+    _reportError(error, fallback) {
+        const blocked = error instanceof ModelApiError && ['safety', 'recitation', 'empty'].includes(error.kind);
+        if (blocked && this.settingsManager.get('responseRecovery').systemGlitch) {
+            const messages = GameManager.SYSTEM_GLITCH_MESSAGES;
+            this.uiManager.addNarrativeEntry(messages[Math.floor(Math.random() * messages.length)], 'system-glitch');
+        } else {
+            this.uiManager.showError(this._describeError(error, fallback));
+        }
+    }
+    
+    /**
+     * Set up the listeners on the document itself. initialize() runs again when the API key
+     * is updated, and the document outlives it, so these are only registered once.
+     * @private
+     */
+    _setupDocumentListeners() {
+        if (this.documentListenersBound) {
+            return;
+        }
+        this.documentListenersBound = true;
+        
+        // Apply provider changes to the running model manager
+        document.addEventListener('setting-changed', (e) => {
+            const providerKeys = ['modelProviders', 'openAiBaseUrl', 'openAiModel', 'openAiApiKey'];
+            if (this.modelManager && providerKeys.includes(e.detail.key)) {
+                const { providers, providerOptions } = this.settingsManager.getProviderConfig();
+                this.modelManager.configureProviders(providers, providerOptions);
+            }
+            if (this.modelManager && e.detail.key === 'modelConfig') {
+                this.modelManager.configureRoles(e.detail.value);
+            }
+            if (this.modelManager && e.detail.key === 'responseRecovery') {
+                this.modelManager.configureRecovery(this.settingsManager.getProviderConfig().recovery);
+            }
+            if (e.detail.key === 'responseCache') {
+                this.responseCache.enabled = e.detail.value;
+            }
+        });
+        
+        // Level-ups computed by the leveling engine
+        document.addEventListener('level-up', (e) => {
+            const { level, statPoints } = e.detail;
+            this.uiManager.addSystemMessage(`Level up! You have reached level ${level}. +${statPoints} stat points.`);
+            this.uiManager.updateStatePanel(this.gameState.state);
+        });
+        
+        // Daily Quest completed, failed or issued
+        document.addEventListener('daily-quest', (e) => {
+            const { status, statPoints } = e.detail;
+            if (status === 'completed') {
+                this.uiManager.addSystemMessage(`Daily Quest complete! Your HP and MP are restored. +${statPoints} stat points.`);
+            } else if (status === 'failed') {
+                this.uiManager.addSystemMessage('Daily Quest failed. You are being moved to the Penalty Zone. Defeat its monsters to return.');
+            } else if (status === 'issued') {
+                this.uiManager.addSystemMessage('A new Daily Quest has arrived.');
+            }
+            this.uiManager.updateStatePanel(this.gameState.state);
+        });
+        
+        // Equip and unequip buttons of the item popup
+        document.addEventListener('click', (e) => {
+            const equip = e.target.closest('.equip-item');
+            if (equip) {
+                this.equipItem(equip.dataset.item, equip.dataset.slot || null);
+            }
+            const unequip = e.target.closest('.unequip-item');
+            if (unequip) {
+                this.unequipItem(unequip.dataset.slot);
+            }
+        });
+    }
+    
     /**
      * Set up event listeners
      * @private
@@ -359,31 +1237,38 @@ class GameManager {
         document.getElementById('save-api-key').addEventListener('click', async () => {
             const apiKeyInput = document.getElementById('api-key-input');
             const apiKey = apiKeyInput ? apiKeyInput.value.trim() : '';
-            if (!apiKey) {
+            if (!apiKey && this.settingsManager.usesProvider('gemini')) {
                 this.uiManager.showError('Please enter a valid API key');
                 return;
             }
             try {
                 await this.apiKeyManager.saveApiKey(apiKey);
-                this.modelManager = new ModelManager(apiKey);
+                this.modelManager = new ModelManager(apiKey, this.settingsManager.getProviderConfig());
+                this.modelManager.onRetry = (error, attempt, delayMs) => {
+                    this.uiManager.addSystemMessage(`${error.kind === 'rate_limit' ? 'Rate limited' : 'Model call failed'}; retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt})...`);
+                };
                 this.modelManager.gameState = this.gameState; // Link gameState here
+                this.gameState.modelManager = this.modelManager; // Used to summarize trimmed history
+                this.toolFunctions = new ToolFunctions(this.gameState);
+                this.modelManager.toolFunctions = this.toolFunctions; // Narrator function calls run through these
+                this.modelManager.cache = this.responseCache;
                 await this.modelManager.initialize();
-                const testResponse = await this.modelManager.generateOpeningSequence();
-                if (!testResponse || !testResponse.narration) {
-                    throw new Error('API key validation failed');
+                // A one-line call without tools; the opening sequence is only generated by startNewGame
+                const test = await this.modelManager.testModel('heavy');
+                if (!test.ok) {
+                    throw new Error(test.message);
                 }
-                this.toolFunctions = new ToolFunctions(this.gameState);
                 this.isInitialized = true;
                 document.getElementById('api-key-modal').classList.add('hidden');
                 document.getElementById('game-container').classList.remove('hidden');
                 await this.startNewGame();
             } catch (error) {
                 console.error('Failed to initialize with API key:', error);
-                if (error.message.includes('API key') || error.message.includes('Unauthorized')) {
+                if (error.kind === 'invalid_key' || error.message.includes('API key')) {
                     this.uiManager.showError('Invalid API key. Please enter a valid key and try again.');
                     await this.apiKeyManager.clearApiKey();
                 } else {
-                    this.uiManager.showError('Failed to connect to the game server. Please try again.');
+                    this.uiManager.showError(this._describeError(error, 'Failed to connect to the game server. Please try again.'));
                 }
             }
         });
@@ -401,14 +1286,56 @@ class GameManager {
                     return;
                 }
                 
+                // Clear input (handlePlayerAction puts the text back if the turn fails)
+                actionInput.value = '';
+                
                 // Handle action
                 await this.handlePlayerAction(action);
-                
-                // Clear input
-                actionInput.value = '';
             });
         }
         
+        // Combat menu
+        const combatPanel = document.getElementById('combat-panel');
+        if (combatPanel) {
+            combatPanel.addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-combat]');
+                if (!button) {
+                    return;
+                }
+                const combatAction = { type: button.dataset.combat };
+                if (combatAction.type === 'attack' || combatAction.type === 'skill') {
+                    combatAction.target = document.getElementById('combat-target').value;
+                }
+                if (combatAction.type === 'skill') {
+                    combatAction.skill = document.getElementById('combat-skill').value;
+                }
+                if (combatAction.type === 'item') {
+                    combatAction.item = document.getElementById('combat-item').value;
+                }
+                if (combatAction.type === 'summon' || combatAction.type === 'dismiss') {
+                    combatAction.shadow = document.getElementById(`combat-${combatAction.type}`).value;
+                }
+                await this.handleCombatAction(combatAction);
+            });
+        }
+        
+        // Shadow extraction from the corpses of the last won fight
+        const shadowArmy = document.getElementById('shadow-army');
+        if (shadowArmy) {
+            shadowArmy.addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-corpse]');
+                if (button) {
+                    await this.handleShadowExtraction(button.dataset.corpse);
+                }
+            });
+        }
+        
+        // Stop the turn in flight
+        const stopActionBtn = document.getElementById('stop-action');
+        if (stopActionBtn) {
+            stopActionBtn.addEventListener('click', () => this.stopCurrentTurn());
+        }
+        
         // Game control buttons
         const newGameBtn = document.getElementById('new-game-btn');
         if (newGameBtn) {
@@ -428,32 +1355,76 @@ class GameManager {
         // Save game button
         const saveGameBtn = document.getElementById('save-game');
         if (saveGameBtn) {
-            saveGameBtn.addEventListener('click', () => {
+            saveGameBtn.addEventListener('click', async () => {
                 if (!this.isGameRunning) {
                     alert('No active game to save');
                     return;
                 }
                 
-                const saveData = this.saveGame();
-                if (saveData) {
-                    // Save to localStorage
-                    localStorage.setItem('solo_leveling_save', saveData);
-                    alert('Game saved successfully');
+                const { player, world } = this.gameState.state;
+                const name = prompt('Name this save:', `${world.location} (Lv ${player.level})`);
+                if (!name || !name.trim()) {
+                    return;
+                }
+                // Saving under an existing name overwrites that slot
+                const slots = await this.saveManager.listSlots().catch(() => []);
+                const existing = slots.find(slot => !slot.auto && slot.name === name.trim());
+                if (existing && !confirm(`Overwrite the save "${existing.name}"?`)) {
+                    return;
                 }
+                await this.saveGame(name.trim(), existing ? existing.id : undefined);
             });
         }
         
-        // Load game button
+        // Load game button: the save browser
         const loadGameBtn = document.getElementById('load-game');
         if (loadGameBtn) {
-            loadGameBtn.addEventListener('click', async () => {
-                if (this.isGameRunning) {
-                    const confirmed = confirm('Loading a saved game will erase your current progress. Are you sure?');
-                    if (!confirmed) {
-                        return;
+            loadGameBtn.addEventListener('click', () => this.openLoadBrowser());
+        }
+        const saveSlotList = document.getElementById('save-slot-list');
+        if (saveSlotList) {
+            saveSlotList.addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-slot]');
+                if (!button) {
+                    return;
+                }
+                const slotId = button.dataset.slot;
+                try {
+                    if (button.classList.contains('load-slot')) {
+                        if (this.isGameRunning && !confirm('Loading a saved game will erase your current progress. Are you sure?')) {
+                            return;
+                        }
+                        const envelope = await this.saveManager.loadSlot(slotId);
+                        document.getElementById('load-modal').classList.add('hidden');
+                        await this.loadGame(envelope);
+                    } else if (button.classList.contains('export-slot')) {
+                        this.saveManager.exportFile(await this.saveManager.loadSlot(slotId));
+                    } else if (button.classList.contains('delete-slot')) {
+                        if (!confirm('Delete this save?')) {
+                            return;
+                        }
+                        await this.saveManager.deleteSlot(slotId);
+                        await this.openLoadBrowser();
                     }
+                } catch (error) {
+                    console.error('Save slot action failed:', error);
+                    this.uiManager.showError('That save could not be read.');
                 }
-                this.loadGame();
+            });
+        }
+        const importSaveBtn = document.getElementById('import-save');
+        if (importSaveBtn) {
+            importSaveBtn.addEventListener('click', () => {
+                if (this.isGameRunning && !confirm('Loading a saved game will erase your current progress. Are you sure?')) {
+                    return;
+                }
+                this.importSaveFile();
+            });
+        }
+        const loadCloseBtn = document.getElementById('load-close-btn');
+        if (loadCloseBtn) {
+            loadCloseBtn.addEventListener('click', () => {
+                document.getElementById('load-modal').classList.add('hidden');
             });
         }
         
@@ -462,6 +1433,181 @@ class GameManager {
         if (settingsBtn) {
             settingsBtn.addEventListener('click', () => {
                 document.getElementById('settings-modal').classList.remove('hidden');
+                this._refreshCacheStats();
+            });
+        }
+        
+        // Settings shortcut on the API key modal (choose providers before entering a key)
+        const apiModalSettingsBtn = document.getElementById('api-modal-settings');
+        if (apiModalSettingsBtn) {
+            apiModalSettingsBtn.addEventListener('click', () => {
+                document.getElementById('settings-modal').classList.remove('hidden');
+                this._refreshCacheStats();
+            });
+        }
+        
+        // Clear the response cache
+        const clearCacheBtn = document.getElementById('clear-response-cache');
+        if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', async () => {
+                await this.responseCache.clear();
+                await this._refreshCacheStats();
+            });
+        }
+        
+        // "Test this model" buttons in the model configuration
+        document.querySelectorAll('.test-model').forEach(button => {
+            button.addEventListener('click', () => this.testModel(button.dataset.role));
+        });
+        
+        // Usage stats view
+        const statsBtn = document.getElementById('stats');
+        if (statsBtn) {
+            statsBtn.addEventListener('click', () => {
+                if (!this.modelManager) {
+                    return;
+                }
+                this.uiManager.renderUsageStats(this.modelManager.usage);
+                document.getElementById('stats-modal').classList.remove('hidden');
+            });
+        }
+        const statsCloseBtn = document.getElementById('stats-close-btn');
+        if (statsCloseBtn) {
+            statsCloseBtn.addEventListener('click', () => {
+                document.getElementById('stats-modal').classList.add('hidden');
+            });
+        }
+        
+        // Rewind and fork buttons on the player's actions in the narrative
+        const narrativeContainer = document.getElementById('narrative-container');
+        if (narrativeContainer) {
+            narrativeContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('.rewind-turn, .fork-turn');
+                if (!button) {
+                    return;
+                }
+                const entry = button.closest('.player-action');
+                const turnNumber = Number(entry.dataset.turn);
+                if (!this.isWaitingForAction) {
+                    this.uiManager.showError('Wait for the current turn to finish first.');
+                    return;
+                }
+                // Turn N's action follows the end of turn N - 1; offer the action again for editing
+                if (button.classList.contains('fork-turn')) {
+                    const name = prompt('Name the new timeline:', `Branch ${this.turnHistory.nextBranchId}`);
+                    if (name === null) {
+                        return;
+                    }
+                    if (this.forkFrom(turnNumber - 1, name.trim())) {
+                        this.uiManager.setActionInput(entry.dataset.action);
+                    }
+                    return;
+                }
+                if (!confirm('Rewind to before this action? Everything after it will be discarded.')) {
+                    return;
+                }
+                if (this.rewindTo(turnNumber - 1)) {
+                    this.uiManager.setActionInput(entry.dataset.action);
+                }
+            });
+        }
+        
+        // Timeline picker
+        const timelinesBtn = document.getElementById('timelines');
+        if (timelinesBtn) {
+            timelinesBtn.addEventListener('click', () => {
+                this.uiManager.renderBranches(this.turnHistory.listBranches());
+                document.getElementById('branches-modal').classList.remove('hidden');
+            });
+        }
+        const branchList = document.getElementById('branch-list');
+        if (branchList) {
+            branchList.addEventListener('click', (e) => {
+                const button = e.target.closest('.switch-branch');
+                if (!button) {
+                    return;
+                }
+                if (!this.isWaitingForAction) {
+                    this.uiManager.showError('Wait for the current turn to finish first.');
+                    return;
+                }
+                if (this.switchBranch(button.dataset.branch)) {
+                    document.getElementById('branches-modal').classList.add('hidden');
+                }
+            });
+        }
+        const branchesCloseBtn = document.getElementById('branches-close-btn');
+        if (branchesCloseBtn) {
+            branchesCloseBtn.addEventListener('click', () => {
+                document.getElementById('branches-modal').classList.add('hidden');
+            });
+        }
+        
+        // Spending the stat points level-ups award
+        const attributes = document.getElementById('attributes');
+        if (attributes) {
+            attributes.addEventListener('click', (e) => {
+                const button = e.target.closest('.allocate-stat');
+                if (button) {
+                    this.allocateStatPoint(button.dataset.stat);
+                }
+            });
+        }
+        
+        // Debug view: state changes the guard clamped, rejected or flagged
+        const debugBtn = document.getElementById('debug');
+        if (debugBtn) {
+            debugBtn.addEventListener('click', () => {
+                this.uiManager.renderChangeLog(this.gameState.changeLog);
+                document.getElementById('debug-modal').classList.remove('hidden');
+            });
+        }
+        const debugCloseBtn = document.getElementById('debug-close-btn');
+        if (debugCloseBtn) {
+            debugCloseBtn.addEventListener('click', () => {
+                document.getElementById('debug-modal').classList.add('hidden');
+            });
+        }
+        
+        // Editing a price in the cost table updates the tracker and the saved overrides
+        const pricingTable = document.getElementById('usage-pricing');
+        if (pricingTable) {
+            pricingTable.addEventListener('change', (e) => {
+                const { model, kind } = e.target.dataset;
+                if (!model || !kind || !this.modelManager) {
+                    return;
+                }
+                const value = parseFloat(e.target.value);
+                const pricing = this.modelManager.usage.pricing;
+                pricing[model] = { ...pricing[model], [kind]: Number.isNaN(value) ? 0 : value };
+                this.settingsManager.set('modelPricing', {
+                    ...this.settingsManager.get('modelPricing'),
+                    [model]: pricing[model]
+                });
+                this.uiManager.renderUsageStats(this.modelManager.usage);
+            });
+        }
+        
+        // Fixture recording and replay
+        const recordFixtureBtn = document.getElementById('record-fixture');
+        if (recordFixtureBtn) {
+            recordFixtureBtn.addEventListener('click', () => this.toggleRecording());
+        }
+        const replayFixtureBtn = document.getElementById('replay-fixture');
+        if (replayFixtureBtn) {
+            replayFixtureBtn.addEventListener('click', () => {
+                if (!this.isInitialized) {
+                    alert('Start the game before replaying a fixture');
+                    return;
+                }
+                if (this.isGameRunning) {
+                    const confirmed = confirm('Replaying a fixture will erase your current progress. Are you sure?');
+                    if (!confirmed) {
+                        return;
+                    }
+                }
+                document.getElementById('settings-modal').classList.add('hidden');
+                this.loadFixture();
             });
         }
         
@@ -490,3 +1636,10 @@ class GameManager {
         }
     }
 }
+
+// Shown in the story when the model's response stays blocked; the player's action is kept for a retry
+GameManager.SYSTEM_GLITCH_MESSAGES = [
+    '[The System window flickers. Lines of corrupted text scroll past, then the screen resets as if the last moment never happened.]\n\n[SYSTEM ERROR: Event could not be rendered. Please choose your action again.]',
+    '[Static crawls across your vision. The System stutters, its blue panels tearing apart and re-forming.]\n\n[WARNING: Data corruption detected. The last action has been rolled back.]',
+    '[A sharp ringing fills your ears. For a heartbeat the world freezes, then the System reasserts itself.]\n\n[NOTICE: Unable to process the request. Try a different approach.]'
+];
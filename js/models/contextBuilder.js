@@ -0,0 +1,459 @@
+/**
+ * Context Builder
+ *
+ * Assembles the prompt for every model role from the game state.
+ * - Narrator calls get the recent conversation history as real multi-turn
+ *   `contents` entries, preceded by the rolling summaries of older turns.
+ * - Every role gets a serialized slice of the state it needs (stats,
+ *   inventory, current quest, NPCs present, ...).
+ * - A per-role token budget decides what is dropped first when the context
+ *   is too large: oldest history turns, then oldest summaries, then the
+ *   least important state sections.
+ */
+class ContextBuilder {
+    constructor(options = {}) {
+        // Token budget per model role (estimated with estimateTokens)
+        this.budgets = {
+            heavy: 20000,
+            medium: 4000,
+            light: 1500,
+            ...options.budgets
+        };
+        // Describe the gate the player is in, today's Daily Quest, the player's skills, shadows and equipment
+        this.dungeons = new DungeonGenerator();
+        this.dailyQuests = new DailyQuestEngine();
+        this.skills = new SkillEngine();
+        this.shadows = new ShadowEngine();
+        this.equipment = new EquipmentEngine();
+        // Effective attributes with equipment and passive skill bonuses
+        this.combat = new CombatEngine();
+    }
+
+    /**
+     * Build the narrator's multi-turn contents for a player action
+     * @param {Object} state - GameState.state
+     * @param {Object} turn - { playerAction, npcName, npcResponse, skillUse }
+     * @returns {Array} - Gemini-style contents turns
+     */
+    buildNarration(state, turn = {}) {
+        const turnLines = [];
+        if (turn.npcResponse) {
+            turnLines.push(`${turn.npcName || 'The NPC'} said: "${turn.npcResponse}"`);
+        }
+        if (turn.playerAction) {
+            turnLines.push(`Jinwoo's action: ${turn.playerAction}`);
+        }
+        if (turn.skillUse) {
+            const { skill, mpCost, leveledUp } = turn.skillUse;
+            turnLines.push(`System: Jinwoo used ${skill.name} (${mpCost} MP spent${skill.cooldown > 0 ? `, on cooldown for ${skill.cooldown} turns` : ''}${leveledUp ? `, skill level up to ${skill.level}` : ''}).`);
+        }
+
+        const finalText = [
+            '[This turn]',
+            ...turnLines,
+            '',
+            'Continue the story narration, focusing on the consequences of the above and the next developments.'
+        ].join('\n');
+
+        return this._buildConversation(state, finalText, this.budgets.heavy);
+    }
+
+    /**
+     * Build the narrator's contents for a resolved combat round
+     * @param {Object} state - GameState.state (after the round)
+     * @param {Array<string>} roundLines - What happened, from CombatEngine.describeRound
+     * @returns {Array} - Gemini-style contents turns
+     */
+    buildCombatNarration(state, roundLines) {
+        const finalText = [
+            '[This combat round]',
+            ...roundLines,
+            '',
+            'Narrate this round of the fight vividly. The results above are final: do not change who hits, the damage or the outcome, and do not add attacks or effects. If the fight goes on, end on the moment Jinwoo chooses his next move.'
+        ].join('\n');
+
+        return this._buildConversation(state, finalText, this.budgets.heavy);
+    }
+
+    /**
+     * Build the narrator's contents for a shadow extraction attempt
+     * @param {Object} state - GameState.state (after the attempt)
+     * @param {Array<string>} resultLines - What happened, from ShadowEngine.describeExtraction
+     * @returns {Array} - Gemini-style contents turns
+     */
+    buildExtractionNarration(state, resultLines) {
+        const finalText = [
+            '[Shadow extraction]',
+            ...resultLines,
+            '',
+            'Narrate Jinwoo commanding the corpse to "Arise" and what follows. The result above is final: a failed attempt produces no shadow, and a successful one produces exactly the shadow named.'
+        ].join('\n');
+
+        return this._buildConversation(state, finalText, this.budgets.heavy);
+    }
+
+    /**
+     * Build the narrator's contents for the opening scene of a new game
+     * @param {Object} state - GameState.state
+     * @param {string} initialContext - Opening situation description
+     * @returns {Array} - Gemini-style contents turns
+     */
+    buildOpening(state, initialContext) {
+        const finalText = initialContext
+            ? `${initialContext} Narrate the opening scene, narrate in a way that they get ideas of potential actions.`
+            : 'The story begins as Sung Jinwoo awakens in a hospital after surviving a deadly double dungeon incident. Narrate the opening scene in detail.';
+
+        return this._buildConversation(state, finalText, this.budgets.heavy);
+    }
+
+    /**
+     * Build the narrator's contents for resuming a loaded game
+     * @param {Object} state - GameState.state
+     * @returns {Array} - Gemini-style contents turns
+     */
+    buildContinuation(state) {
+        const finalText = 'The player has just loaded this saved game. Briefly recap where Jinwoo is and what he was doing, then set up the scene so the player can continue. Do not advance the story on his behalf.';
+        return this._buildConversation(state, finalText, this.budgets.heavy);
+    }
+
+    /**
+     * Build the NPC dialogue prompt for the medium model
+     * @param {Object} state - GameState.state
+     * @param {Object} turn - { npcName, npcState, playerAction }
+     * @returns {string} - User prompt
+     */
+    buildNpcDialogue(state, turn = {}) {
+        const npcName = turn.npcName || 'The NPC';
+        const npcState = turn.npcState || {};
+
+        const npcLines = [];
+        if (npcState.relationship) {
+            npcLines.push(`${npcName}'s attitude toward Jinwoo is "${npcState.relationship}".`);
+        }
+        if (npcState.knowsAboutSystem === false) {
+            npcLines.push(`${npcName} is not aware of Jinwoo's mysterious System interface.`);
+        }
+
+        const instruction = [
+            ...npcLines,
+            `Jinwoo's action: ${turn.playerAction || ''}.`,
+            `Provide only ${npcName}'s spoken dialogue as a direct response, enclosed in quotes (e.g., "What do you want?").`
+        ].join('\n');
+
+        return this._buildFlatPrompt(state, instruction, this.budgets.medium, ['scene', 'npcs', 'player']);
+    }
+
+    /**
+     * Build the action validation prompt for the light model
+     * @param {Object} state - GameState.state
+     * @param {string} playerAction - Action text
+     * @returns {string} - User prompt
+     */
+    buildValidation(state, playerAction) {
+        const instruction = `Validate the player's action given the context.\nAction: "${playerAction}"\nRespond with a JSON object with keys: valid (boolean), reason (string), involveNPC (boolean), npcName (string), newScene (boolean, true if the action has lead to a new physical scene for Sung Jinwoo i.e., hospital -> home, "true".), skill (string, the name of the skill the action explicitly uses, even one Jinwoo doesn't have; empty if none).`;
+        return this._buildFlatPrompt(state, instruction, this.budgets.light, ['scene', 'dungeon', 'combat', 'npcs', 'player', 'skills', 'inventory', 'quest'], 2);
+    }
+
+    /**
+     * Build the Daily Quest training extraction prompt for the light model
+     * @param {string} playerAction - Action text
+     * @param {string} narration - Narration of the turn
+     * @returns {string} - User prompt
+     */
+    buildTrainingExtraction(playerAction, narration) {
+        return `Count the training Jinwoo actually completed in this turn, according to the narration (not what he only planned or attempted).\nAction: "${playerAction || ''}"\nNarration: "${narration || ''}"\nRespond with a JSON object with keys: pushups, situps, squats (whole numbers) and running (kilometers). Use 0 for anything he did not do.`;
+    }
+
+    /**
+     * Build the history summarization prompt for the light model
+     * @param {Array<string>} entries - Text entries to summarize
+     * @returns {string} - User prompt
+     */
+    buildSummary(entries) {
+        return `Summarize the following under 50 words:\n${entries.join('\n')}`;
+    }
+
+    /**
+     * Build the scene image prompt for the image model
+     * @param {Object} state - GameState.state
+     * @param {string} narration - Narration describing the new scene
+     * @returns {string} - Image prompt
+     */
+    buildImagePrompt(state, narration = '') {
+        return `A ${state.world.location} scene after: ${narration.slice(0, 100)}...`;
+    }
+
+    /**
+     * Build the image prompt for the opening scene
+     * @returns {string} - Image prompt
+     */
+    buildOpeningImagePrompt() {
+        return 'A hospital room in Seoul Ilshin Hospital, morning light filtering through blinds, sterile and quiet, Solo Leveling manhwa-style dark fantasy atmosphere';
+    }
+
+    /**
+     * Build multi-turn contents: summaries, then history turns, then the state and the final instruction
+     * @param {Object} state - GameState.state
+     * @param {string} finalText - Final user turn text
+     * @param {number} budget - Token budget
+     * @returns {Array} - Gemini-style contents turns
+     * @private
+     */
+    _buildConversation(state, finalText, budget) {
+        const { summaries, history, sections } = this._fitBudget({
+            summaries: state.summaries || [],
+            history: state.conversationHistory || [],
+            sections: this._serializeState(state),
+            fixedText: finalText
+        }, budget);
+
+        const turns = [];
+        if (summaries.length > 0) {
+            turns.push({
+                role: 'user',
+                parts: [{ text: `[Story so far]\n${summaries.map(summary => summary.text).join('\n')}` }]
+            });
+        }
+        for (const entry of history) {
+            const isNarrator = entry.role === 'Narrator';
+            turns.push({
+                role: isNarrator ? 'model' : 'user',
+                parts: [{ text: isNarrator ? entry.text : `Jinwoo's action: ${entry.text}` }]
+            });
+        }
+        // Contents must open with a user turn
+        if (turns.length > 0 && turns[0].role === 'model') {
+            turns.unshift({ role: 'user', parts: [{ text: 'Begin the story.' }] });
+        }
+        turns.push({
+            role: 'user',
+            parts: [{ text: `[Current state]\n${sections.map(section => section.text).join('\n')}\n\n${finalText}` }]
+        });
+
+        return this._mergeTurns(turns);
+    }
+
+    /**
+     * Build a single-turn prompt with the state slice and recent events inlined as text
+     * @param {Object} state - GameState.state
+     * @param {string} instruction - Task instruction
+     * @param {number} budget - Token budget
+     * @param {Array<string>} sectionKeys - State sections to include
+     * @param {number} maxHistory - Maximum recent history entries to inline
+     * @returns {string} - User prompt
+     * @private
+     */
+    _buildFlatPrompt(state, instruction, budget, sectionKeys, maxHistory = 4) {
+        const history = (state.conversationHistory || []).slice(-maxHistory);
+        const { history: keptHistory, sections } = this._fitBudget({
+            summaries: [],
+            history,
+            sections: this._serializeState(state).filter(section => sectionKeys.includes(section.key)),
+            fixedText: instruction
+        }, budget);
+
+        const blocks = [`[Current state]\n${sections.map(section => section.text).join('\n')}`];
+        if (keptHistory.length > 0) {
+            blocks.push(`[Recent events]\n${keptHistory.map(entry => `${entry.role}: ${entry.text}`).join('\n')}`);
+        }
+        blocks.push(instruction);
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Serialize the relevant slices of the state into labelled sections.
+     * Lower priority numbers are more important; priority 0 is never dropped.
+     * @param {Object} state - GameState.state
+     * @returns {Array<Object>} - Sections of { key, text, priority }
+     * @private
+     */
+    _serializeState(state) {
+        const player = state.player;
+        const sections = [
+            {
+                key: 'player',
+                priority: 0,
+                text: `Player: ${player.name} - Rank ${player.rank}, Level ${player.level}, HP ${player.HP}/${player.maxHP}, MP ${player.MP}/${player.maxMP}, EXP ${player.experience}, Gold ${player.gold}`
+            },
+            {
+                key: 'scene',
+                priority: 0,
+                text: `Location: ${state.world.location}${state.world.time ? `, ${state.world.time}` : ''}`
+            }
+        ];
+
+        if (player.stats) {
+            const effective = this.combat.effectiveStats(player);
+            const stats = Object.entries(player.stats).map(([stat, value]) => effective[stat] !== value
+                ? `${stat} ${effective[stat]} (base ${value})`
+                : `${stat} ${value}`);
+            sections.push({
+                key: 'stats',
+                priority: 1,
+                text: `Stats: ${stats.join(', ')}; Attack +${effective.attack}, Defense +${effective.defense}`
+            });
+        }
+
+        const equipped = this.equipment.describe(player);
+        if (equipped.length > 0) {
+            sections.push({
+                key: 'equipment',
+                priority: 1,
+                text: `Equipped: ${equipped.join('; ')}`
+            });
+        }
+
+        if (player.skills?.length > 0) {
+            sections.push({
+                key: 'skills',
+                priority: 1,
+                text: `Skills: ${player.skills.map(skill => this.skills.describe(skill)).join(', ')}`
+            });
+        }
+
+        if (state.world.dungeon) {
+            sections.push({
+                key: 'dungeon',
+                priority: 0,
+                text: this.dungeons.describe(state.world.dungeon).join('\n')
+            });
+        }
+
+        if (state.combat) {
+            const enemies = state.combat.participants
+                .filter(participant => participant.side === 'enemy')
+                .map(enemy => enemy.HP > 0
+                    ? `${enemy.name} (rank ${enemy.rank}${enemy.boss ? ' boss' : ''}, HP ${enemy.HP}/${enemy.maxHP})`
+                    : `${enemy.name} (defeated)`);
+            const summoned = this.shadows.summoned(state.combat)
+                .map(shadow => shadow.HP > 0 ? `${shadow.name} (HP ${shadow.HP}/${shadow.maxHP})` : `${shadow.name} (fallen back into his shadow)`);
+            sections.push({
+                key: 'combat',
+                priority: 0,
+                text: `In combat (round ${state.combat.round}): ${enemies.join(', ')}${summoned.length > 0 ? `\nSummoned shadows: ${summoned.join(', ')}` : ''}`
+            });
+        }
+
+        const army = state.shadowArmy;
+        if (army?.shadows.length > 0 || army?.corpses.length > 0) {
+            const lines = [];
+            if (army.shadows.length > 0) {
+                lines.push(`Shadow Army: ${army.shadows.map(shadow => this.shadows.describe(shadow)).join(', ')}`);
+            }
+            if (army.corpses.length > 0) {
+                lines.push(`Corpses Jinwoo can try to extract: ${army.corpses.map(corpse => corpse.name).join(', ')}`);
+            }
+            sections.push({
+                key: 'shadows',
+                priority: 1,
+                text: lines.join('\n')
+            });
+        }
+
+        sections.push({
+            key: 'quest',
+            priority: 1,
+            text: `Current quest: ${state.quests.current || 'None'}`
+        });
+
+        if (state.dailyQuest) {
+            sections.push({
+                key: 'dailyQuest',
+                priority: 1,
+                text: this.dailyQuests.describe(state.dailyQuest)
+            });
+        }
+
+        const npcsPresent = this._getNpcsPresent(state);
+        if (npcsPresent.length > 0) {
+            sections.push({
+                key: 'npcs',
+                priority: 2,
+                text: `NPCs present: ${npcsPresent.map(([name, npc]) => {
+                    const notes = [npc.relationship, npc.knowsAboutSystem === false ? 'unaware of the System' : null].filter(Boolean);
+                    return notes.length > 0 ? `${name} (${notes.join(', ')})` : name;
+                }).join('; ')}`
+            });
+        }
+
+        const inventory = player.inventory || [];
+        sections.push({
+            key: 'inventory',
+            priority: 3,
+            text: `Inventory: ${inventory.length > 0 ? inventory.map(item => `${item.name}${item.rarity && item.rarity !== 'common' ? ` (${item.rarity})` : ''} x${item.quantity || 1}`).join(', ') : 'empty'}`
+        });
+
+        return sections;
+    }
+
+    /**
+     * NPCs whose last known whereabouts match the current location
+     * @param {Object} state - GameState.state
+     * @returns {Array} - [name, npcState] pairs
+     * @private
+     */
+    _getNpcsPresent(state) {
+        const location = (state.world.location || '').toLowerCase();
+        return Object.entries(state.NPCs || {}).filter(([, npc]) => {
+            const lastSeen = (npc.lastSeen || '').toLowerCase();
+            return lastSeen && (location.includes(lastSeen) || lastSeen.includes(location));
+        });
+    }
+
+    /**
+     * Drop context until it fits the budget: oldest history first, then oldest
+     * summaries, then optional state sections from least to most important.
+     * @param {Object} context - { summaries, history, sections, fixedText }
+     * @param {number} budget - Token budget
+     * @returns {Object} - { summaries, history, sections } that fit
+     * @private
+     */
+    _fitBudget(context, budget) {
+        const summaries = [...context.summaries];
+        const history = [...context.history];
+        let sections = [...context.sections];
+
+        const tokensOf = (entry) => entry.tokens || estimateTokens(entry.text || '');
+        let total = estimateTokens(context.fixedText)
+            + summaries.reduce((sum, entry) => sum + tokensOf(entry), 0)
+            + history.reduce((sum, entry) => sum + tokensOf(entry), 0)
+            + sections.reduce((sum, section) => sum + estimateTokens(section.text), 0);
+
+        while (total > budget && history.length > 0) {
+            total -= tokensOf(history.shift());
+        }
+        while (total > budget && summaries.length > 0) {
+            total -= tokensOf(summaries.shift());
+        }
+
+        const droppable = sections
+            .filter(section => section.priority > 0)
+            .sort((a, b) => b.priority - a.priority);
+        for (const section of droppable) {
+            if (total <= budget) break;
+            total -= estimateTokens(section.text);
+            sections = sections.filter(kept => kept !== section);
+        }
+
+        return { summaries, history, sections };
+    }
+
+    /**
+     * Merge consecutive turns with the same role into one turn
+     * @param {Array} turns - Contents turns
+     * @returns {Array} - Merged turns
+     * @private
+     */
+    _mergeTurns(turns) {
+        const merged = [];
+        for (const turn of turns) {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.role === turn.role) {
+                previous.parts = [{ text: `${previous.parts[0].text}\n\n${turn.parts[0].text}` }];
+            } else {
+                merged.push({ role: turn.role, parts: [...turn.parts] });
+            }
+        }
+        return merged;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Fixture Recorder
+ *
+ * Records every provider request/response pair of a play session into a
+ * fixture, and serves them back in replay mode. Pairs are captured at the
+ * HTTP layer (request body and raw response, or raw stream events), so the
+ * system prompt, user prompt, config and tools are all part of what is
+ * recorded, and replay runs the same response processing code as a live call.
+ *
+ * A fixture also holds the starting state, the player's inputs and the final
+ * state, so GameManager.replaySession can re-run the session without any
+ * network and check that it ends in exactly the same GameState.
+ */
+class FixtureRecorder {
+    constructor() {
+        // 'off', 'record' or 'replay'
+        this.mode = 'off';
+        this.fixture = null;
+
+        // Replay queues of recorded responses by request hash, served in recorded order
+        this.queues = {};
+        this.misses = [];
+    }
+
+    get isRecording() {
+        return this.mode === 'record';
+    }
+
+    get isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Start recording a session
+     * @param {Object} initialState - GameState.state at the start of the session
+     * @param {Object} meta - Extra information stored with the fixture (settings, ...)
+     */
+    startRecording(initialState, meta = {}) {
+        this.mode = 'record';
+        this.fixture = {
+            version: FixtureRecorder.VERSION,
+            recordedAt: new Date().toISOString(),
+            meta,
+            initialState: this._clone(initialState),
+            inputs: [],
+            requests: [],
+            finalState: null
+        };
+    }
+
+    /**
+     * Stop recording and return the finished fixture
+     * @param {Object} finalState - GameState.state at the end of the session
+     * @returns {Object|null} - Fixture
+     */
+    stopRecording(finalState) {
+        if (!this.isRecording) {
+            return null;
+        }
+        this.fixture.finalState = this._clone(finalState);
+        this.mode = 'off';
+        return this.fixture;
+    }
+
+    /**
+     * Record a player input so replay can repeat it
+     * @param {string} type - 'newGame', 'action' or 'rewind'
+     * @param {string} action - Action text (for 'action' inputs)
+     * @param {Object} details - Extra fields (e.g. { turn } for 'rewind' inputs, { seed } for 'newGame' inputs)
+     */
+    recordInput(type, action = null, details = {}) {
+        if (this.isRecording) {
+            this.fixture.inputs.push(action === null ? { type, ...details } : { type, action, ...details });
+        }
+    }
+
+    /**
+     * Flag the last recorded input as one that ended in an error. Its failing
+     * request was never recorded, so replay expects that input to fail too.
+     */
+    markLastInputFailed() {
+        if (this.isRecording && this.fixture.inputs.length > 0) {
+            this.fixture.inputs[this.fixture.inputs.length - 1].failed = true;
+        }
+    }
+
+    /**
+     * Record a request and its raw response
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} response - { json } for a plain response or { events } for a stream
+     */
+    recordRequest(url, body, response) {
+        if (!this.isRecording) {
+            return;
+        }
+        this.fixture.requests.push({
+            hash: this.hashRequest(url, body),
+            url: this._redactUrl(url),
+            body: this._clone(body),
+            ...this._clone(response)
+        });
+    }
+
+    /**
+     * Start serving responses from a fixture
+     * @param {Object} fixture - Recorded fixture
+     */
+    startReplay(fixture) {
+        if (!fixture || fixture.version !== FixtureRecorder.VERSION || !Array.isArray(fixture.requests)) {
+            throw new Error('Invalid or unsupported fixture file');
+        }
+        this.mode = 'replay';
+        this.fixture = fixture;
+        this.misses = [];
+        this.queues = {};
+        for (const entry of fixture.requests) {
+            (this.queues[entry.hash] = this.queues[entry.hash] || []).push(entry);
+        }
+    }
+
+    /**
+     * Stop replaying
+     */
+    stopReplay() {
+        this.mode = 'off';
+        this.queues = {};
+    }
+
+    /**
+     * Take the next recorded response for a request
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @returns {Object} - { json } or { events }
+     */
+    replay(url, body) {
+        const hash = this.hashRequest(url, body);
+        const entry = (this.queues[hash] || []).shift();
+        if (!entry) {
+            this.misses.push({ hash, url: this._redactUrl(url), body });
+            throw new Error(`No recorded response for request ${hash} (${this._redactUrl(url)}); the session has diverged from the fixture`);
+        }
+        return entry.events ? { events: entry.events } : { json: entry.json };
+    }
+
+    /**
+     * Hash a request for matching: the redacted URL plus the body with sorted keys
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @returns {string} - Hex hash
+     */
+    hashRequest(url, body) {
+        return hashString(`${this._redactUrl(url)}\n${canonicalJson(body)}`);
+    }
+
+    /**
+     * Remove credentials from a URL so fixtures can be shared
+     * @param {string} url - Endpoint URL
+     * @returns {string} - URL without the key parameter
+     * @private
+     */
+    _redactUrl(url) {
+        return url.replace(/([?&])key=[^&]*&?/, '$1').replace(/[?&]$/, '');
+    }
+
+    /**
+     * Deep copy a JSON-compatible value
+     * @param {*} value - Value to copy
+     * @returns {*} - Copy
+     * @private
+     */
+    _clone(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Fixture file format version
+FixtureRecorder.VERSION = 1;
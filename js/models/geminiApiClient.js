@@ -4,8 +4,9 @@
  * Handles direct communication with the Google Gemini API.
  * This module abstracts the actual API calls and error handling.
  */
-class GeminiApiClient {
+class GeminiApiClient extends LlmProvider {
     constructor(apiKey) {
+        super({ apiKey });
         this.apiKey = apiKey;
         this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
         
@@ -19,7 +20,7 @@ class GeminiApiClient {
      * Generate content using a text model
      * @param {string} model - Model ID
      * @param {string} systemPrompt - System prompt
-     * @param {string} userPrompt - User prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini `contents` turns for multi-turn calls
      * @param {Object} config - Generation config
      * @param {Array} tools - Functions available to the model (optional)
      * @returns {Promise<Object>} - API response
@@ -27,62 +28,108 @@ class GeminiApiClient {
     async generateContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
         try {
             const url = `${this.baseUrl}/models/${model}:generateContent?key=${this.apiKey}`;
+            const requestBody = this._buildContentRequest(systemPrompt, userPrompt, config, tools);
             
-            // Combine system and user prompts into a single "user" role entry
-            const combinedPrompt = systemPrompt ? `${systemPrompt}\n\n${userPrompt}` : userPrompt;
+            const data = await this._postJson(url, requestBody, {}, config.signal);
             
-            const requestBody = {
-                system_instruction: systemPrompt ? { parts: [{ text: systemPrompt }] } : undefined,
-                contents: [
-                    {
-                        role: 'user',
-                        parts: [{ text: userPrompt }]
-                    }
-                ],
-                generationConfig: {
-                    temperature: config.temperature || 0.7,
-                    topP: config.topP || 0.95,
-                    topK: config.topK || 40,
-                    maxOutputTokens: config.maxOutputTokens || 1024,
-                    stopSequences: config.stopSequences || []
-                }
-            };
-            
-            if (tools && tools.length > 0) {
-                requestBody.tools = tools;
-                requestBody.toolConfig = {
-                    functionCallingConfig: {
-                        mode: config.functionCallingMode || 'AUTO'
-                    }
-                };
-            }
-            
-            if (config.responseMimeType) {
-                requestBody.generationConfig.responseMimeType = config.responseMimeType;
-            }
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
+            return this._processResponse(data);
             
-            const data = await response.json();
+        } catch (error) {
+            console.error('Gemini API error:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Stream content using :streamGenerateContent (server-sent events)
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {AsyncGenerator<Object>} - Chunks of { text, functionCalls? }
+     */
+    async *streamContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        try {
+            const url = `${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+            const requestBody = this._buildContentRequest(systemPrompt, userPrompt, config, tools);
             
-            if (!response.ok) {
-                throw new Error(`API error: ${data.error?.message || 'Unknown error'}`);
+            for await (const chunk of this._postStream(url, requestBody, {}, config.signal)) {
+                yield this._processStreamChunk(chunk);
             }
             
-            return this._processResponse(data);
-            
         } catch (error) {
-            console.error('Gemini API error:', error);
+            console.error('Gemini streaming error:', error);
             throw error;
         }
     }
     
+    /**
+     * Build the request body shared by generateContent and streamContent
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {Object} - Request body
+     * @private
+     */
+    _buildContentRequest(systemPrompt, userPrompt, config = {}, tools = null) {
+        const requestBody = {
+            system_instruction: systemPrompt ? { parts: [{ text: systemPrompt }] } : undefined,
+            // A prompt string is a single user turn; an array is a full multi-turn conversation
+            contents: Array.isArray(userPrompt) ? userPrompt : [
+                {
+                    role: 'user',
+                    parts: [{ text: userPrompt }]
+                }
+            ],
+            generationConfig: this._buildGenerationConfig(config)
+        };
+        
+        if (tools && tools.length > 0) {
+            requestBody.tools = tools;
+            requestBody.toolConfig = {
+                functionCallingConfig: {
+                    mode: config.functionCallingMode || 'AUTO'
+                }
+            };
+        }
+        
+        if (config.stopSequences && config.stopSequences.length > 0) {
+            requestBody.generationConfig.stopSequences = config.stopSequences;
+        }
+        
+        if (config.thinkingBudget !== undefined) {
+            requestBody.generationConfig.thinkingConfig = { thinkingBudget: config.thinkingBudget };
+        }
+        
+        if (config.responseMimeType) {
+            requestBody.generationConfig.responseMimeType = config.responseMimeType;
+        }
+        
+        if (config.responseSchema) {
+            requestBody.generationConfig.responseSchema = config.responseSchema;
+        }
+        
+        return requestBody;
+    }
+    
+    /**
+     * Sampling parameters for generationConfig; unset values are left to the API's defaults
+     * @param {Object} config - Generation config (temperature, topP, topK, maxOutputTokens)
+     * @returns {Object} - generationConfig fields
+     * @private
+     */
+    _buildGenerationConfig(config) {
+        const generationConfig = {};
+        for (const key of ['temperature', 'topP', 'topK', 'maxOutputTokens']) {
+            if (config[key] !== undefined && config[key] !== null) {
+                generationConfig[key] = config[key];
+            }
+        }
+        return generationConfig;
+    }
+    
     async generateImage(model, prompt, config = {}) {
         try {
             const url = `${this.baseUrl}/models/${model}:generateContent?key=${this.apiKey}`;
@@ -104,9 +151,7 @@ Return the image as inlineData with mimeType and base64 data.`;
                     }
                 ],
                 generationConfig: {
-                    temperature: config.temperature || 0.4,
-                    topP: config.topP || 1.0,
-                    topK: config.topK || 32,
+                    ...this._buildGenerationConfig(config),
                     responseModalities: ['TEXT', 'IMAGE']
                 }
             };
@@ -115,25 +160,15 @@ Return the image as inlineData with mimeType and base64 data.`;
             console.log('Image generation request:', JSON.stringify(requestBody, null, 2));
 
             // Make the API call
-            const response = await fetch(url, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-            }
-
-            // Parse JSON response
-            const data = await response.json();
+            const data = await this._postJson(url, requestBody, {}, config.signal);
 
             // Debug: Log the full response
             console.log('Full API response for image generation:', JSON.stringify(data, null, 2));
 
+            if (config.onUsage) {
+                config.onUsage(this._processUsage(data.usageMetadata));
+            }
+
             // Extract image data from inlineData
             const imageData = data.candidates?.[0]?.content?.parts?.find(part => part.inlineData);
             if (imageData && imageData.inlineData) {
@@ -148,6 +183,85 @@ Return the image as inlineData with mimeType and base64 data.`;
         }
     }
     
+    /**
+     * Process a single streamed chunk into its text delta and any function calls
+     * @param {Object} chunk - Raw stream event
+     * @returns {Object} - { text, functionCalls? }
+     * @private
+     */
+    _processStreamChunk(chunk) {
+        if (chunk.promptFeedback?.blockReason) {
+            return { text: '', finishReason: 'blocked', blockReason: chunk.promptFeedback.blockReason };
+        }
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+        const text = parts
+            .filter(part => part.text && !part.thought)
+            .map(part => part.text)
+            .join('');
+        const functionCalls = parts
+            .filter(part => part.functionCall)
+            .map(part => ({
+                id: part.functionCall.id,
+                name: part.functionCall.name,
+                parameters: part.functionCall.args || {}
+            }));
+        
+        const result = functionCalls.length > 0 ? { text, functionCalls } : { text };
+        if (chunk.candidates?.[0]?.finishReason) {
+            result.finishReason = this._mapFinishReason(chunk.candidates[0].finishReason);
+        }
+        if (chunk.usageMetadata) {
+            result.usage = this._processUsage(chunk.usageMetadata);
+        }
+        return result;
+    }
+    
+    /**
+     * Map Gemini's finishReason onto LlmProvider.FINISH_REASONS
+     * @param {string} finishReason - Raw finish reason
+     * @returns {string} - Normalized finish reason
+     * @private
+     */
+    _mapFinishReason(finishReason) {
+        switch (finishReason) {
+            case undefined:
+            case 'STOP':
+                return 'stop';
+            case 'MAX_TOKENS':
+                return 'max_tokens';
+            case 'SAFETY':
+            case 'PROHIBITED_CONTENT':
+            case 'BLOCKLIST':
+            case 'SPII':
+            case 'IMAGE_SAFETY':
+                return 'safety';
+            case 'RECITATION':
+                return 'recitation';
+            default:
+                return 'other';
+        }
+    }
+    
+    /**
+     * Convert usageMetadata into the { promptTokens, candidateTokens, totalTokens } shape.
+     * Thinking tokens are billed as output, so they count as candidate tokens.
+     * @param {Object} usageMetadata - Raw usage metadata
+     * @returns {Object|null} - Usage
+     * @private
+     */
+    _processUsage(usageMetadata) {
+        if (!usageMetadata) {
+            return null;
+        }
+        const promptTokens = usageMetadata.promptTokenCount || 0;
+        const candidateTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+        return {
+            promptTokens,
+            candidateTokens,
+            totalTokens: usageMetadata.totalTokenCount || promptTokens + candidateTokens
+        };
+    }
+    
     /**
      * Process and format the API response
      * @param {Object} response - Raw API response
@@ -156,32 +270,45 @@ Return the image as inlineData with mimeType and base64 data.`;
      */
     _processResponse(response) {
         try {
+            const usage = this._processUsage(response.usageMetadata);
+            
+            // A blocked prompt comes back as a 200 with promptFeedback and no candidates
+            if (response.promptFeedback?.blockReason) {
+                return { text: '', finishReason: 'blocked', blockReason: response.promptFeedback.blockReason, usage };
+            }
+            
             if (!response.candidates || response.candidates.length === 0) {
-                throw new Error('No candidates in response');
+                return { text: '', finishReason: 'empty', usage };
             }
             
             const candidate = response.candidates[0];
+            const parts = candidate.content?.parts || [];
+            const finishReason = this._mapFinishReason(candidate.finishReason);
             
-            // Check for function call
-            if (candidate.content.parts && candidate.functionCalls) {
-                // Handle function calling
-                return {
-                    text: candidate.content.parts[0]?.text || '',
-                    functionCalls: candidate.functionCalls.map(call => ({
-                        name: call.name,
-                        parameters: call.args || {}
-                    }))
-                };
-            }
+            // Text may be split across several parts; skip the thinking model's thought parts
+            const text = parts
+                .filter(part => part.text && !part.thought)
+                .map(part => part.text)
+                .join('');
             
-            // Handle text response
-            if (candidate.content.parts && candidate.content.parts.length > 0) {
-                return {
-                    text: candidate.content.parts[0]?.text || ''
-                };
-            }
+            // Function calls arrive as content.parts[].functionCall
+            const functionCalls = parts
+                .filter(part => part.functionCall)
+                .map(part => ({
+                    id: part.functionCall.id,
+                    name: part.functionCall.name,
+                    parameters: part.functionCall.args || {}
+                }));
             
-            throw new Error('Invalid response format');
+            const result = { text, finishReason, usage };
+            // Only a turn with parts can be echoed back in a multi-turn conversation
+            if (parts.length > 0) {
+                result.content = candidate.content;
+            }
+            if (functionCalls.length > 0) {
+                result.functionCalls = functionCalls;
+            }
+            return result;
             
         } catch (error) {
             console.error('Error processing API response:', error);
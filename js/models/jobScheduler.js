@@ -0,0 +1,243 @@
+/**
+ * Job Scheduler
+ *
+ * Runs model calls as prioritized jobs under a concurrency limit. Turn-critical
+ * calls (validation, dialogue, narration) run at high priority; scene images and
+ * history summaries run as background jobs that never hold up the player's input.
+ * Background jobs are kept out of at least one slot, so a new turn can always
+ * start right away.
+ *
+ * A job scheduled with a supersede key cancels older jobs with the same key:
+ * a slow image for an old scene is dropped instead of replacing the image of
+ * the scene that followed it.
+ */
+
+/**
+ * Error a job's promise rejects with when it is superseded or cancelled
+ */
+class JobCancelledError extends Error {
+    /**
+     * @param {string} reason - 'superseded' or 'cancelled'
+     * @param {string} label - Label of the cancelled job
+     */
+    constructor(reason, label = '') {
+        super(`Job ${label ? `"${label}" ` : ''}${reason}`);
+        this.name = 'JobCancelledError';
+        this.reason = reason;
+    }
+}
+
+class JobScheduler {
+    /**
+     * @param {Object} options - { concurrency }
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency ?? 2;
+        this.queue = [];
+        this.running = new Set();
+        this.nextId = 1;
+        this._idleWaiters = [];
+
+        // Optional hook () called whenever a job is queued, started, finished or cancelled
+        this.onChange = null;
+    }
+
+    /**
+     * Queue a job
+     * @param {Function} run - (AbortSignal) => Promise; the signal aborts when the job is cancelled
+     * @param {Object} options - Job options
+     * @param {number} options.priority - JobScheduler.PRIORITY value (default HIGH)
+     * @param {string} options.key - Supersede key; older jobs with the same key are cancelled
+     * @param {AbortSignal} options.signal - Caller's signal; aborting it aborts the job
+     * @param {string} options.label - Description for logs
+     * @returns {Promise<*>} - Result of run; rejects with JobCancelledError when superseded or cancelled
+     */
+    schedule(run, options = {}) {
+        const job = {
+            id: this.nextId++,
+            run,
+            priority: options.priority ?? JobScheduler.PRIORITY.HIGH,
+            key: options.key || null,
+            label: options.label || '',
+            controller: new AbortController(),
+            cancelled: null
+        };
+        const promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        if (job.key) {
+            this.cancel(job.key, 'superseded');
+        }
+
+        // The caller's signal aborts the job whether it is still queued or already running
+        if (options.signal) {
+            const onAbort = () => {
+                job.controller.abort(options.signal.reason);
+                if (this._removeQueued(job)) {
+                    job.reject(options.signal.reason);
+                    this._changed();
+                }
+            };
+            if (options.signal.aborted) {
+                job.controller.abort(options.signal.reason);
+                job.reject(options.signal.reason);
+                return promise;
+            }
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        this.queue.push(job);
+        this._pump();
+        this._changed();
+        return promise;
+    }
+
+    /**
+     * Cancel every queued or running job with a supersede key
+     * @param {string} key - Supersede key
+     * @param {string} reason - 'superseded' or 'cancelled'
+     */
+    cancel(key, reason = 'cancelled') {
+        this._cancelWhere(job => job.key === key, reason);
+    }
+
+    /**
+     * Cancel every queued or running job (new game, loaded save, replay)
+     */
+    cancelAll() {
+        this._cancelWhere(() => true, 'cancelled');
+    }
+
+    /**
+     * Whether a job with a supersede key is queued or running
+     * @param {string} key - Supersede key
+     * @returns {boolean}
+     */
+    hasPending(key) {
+        return this.queue.some(job => job.key === key) || [...this.running].some(job => job.key === key);
+    }
+
+    /**
+     * Wait until no job is queued or running
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        if (this.queue.length === 0 && this.running.size === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this._idleWaiters.push(resolve));
+    }
+
+    /**
+     * Cancel the jobs matching a predicate
+     * @param {Function} matches - Job -> boolean
+     * @param {string} reason - Cancellation reason
+     * @private
+     */
+    _cancelWhere(matches, reason) {
+        for (const job of this.queue.filter(matches)) {
+            this._removeQueued(job);
+            job.reject(new JobCancelledError(reason, job.label));
+        }
+        // Running jobs are aborted; their result is dropped when they settle
+        for (const job of [...this.running].filter(matches)) {
+            job.cancelled = reason;
+            job.controller.abort(new JobCancelledError(reason, job.label));
+        }
+        this._changed();
+    }
+
+    /**
+     * Remove a job from the queue
+     * @param {Object} job - Job
+     * @returns {boolean} - Whether the job was still queued
+     * @private
+     */
+    _removeQueued(job) {
+        const index = this.queue.indexOf(job);
+        if (index === -1) {
+            return false;
+        }
+        this.queue.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Start queued jobs while there are free slots: highest priority first, then oldest first
+     * @private
+     */
+    _pump() {
+        for (let job = this._nextRunnable(); job; job = this._nextRunnable()) {
+            this._removeQueued(job);
+            this._start(job);
+        }
+    }
+
+    /**
+     * Pick the next job that may start now
+     * @returns {Object|null} - Job
+     * @private
+     */
+    _nextRunnable() {
+        if (this.running.size >= this.concurrency) {
+            return null;
+        }
+        const backgroundRunning = [...this.running].filter(job => job.priority >= JobScheduler.PRIORITY.BACKGROUND).length;
+        const backgroundSlots = Math.max(1, this.concurrency - 1);
+        const candidates = [...this.queue].sort((a, b) => a.priority - b.priority || a.id - b.id);
+        return candidates.find(job =>
+            job.priority < JobScheduler.PRIORITY.BACKGROUND || backgroundRunning < backgroundSlots
+        ) || null;
+    }
+
+    /**
+     * Run a job and settle its promise
+     * @param {Object} job - Job
+     * @private
+     */
+    _start(job) {
+        this.running.add(job);
+        Promise.resolve()
+            .then(() => job.run(job.controller.signal))
+            .then(
+                result => job.cancelled ? job.reject(new JobCancelledError(job.cancelled, job.label)) : job.resolve(result),
+                error => job.reject(job.cancelled ? new JobCancelledError(job.cancelled, job.label) : error)
+            )
+            .finally(() => {
+                this.running.delete(job);
+                this._pump();
+                this._changed();
+            });
+    }
+
+    /**
+     * Call the change hook and release whenIdle() waiters
+     * @private
+     */
+    _changed() {
+        this._notifyIfIdle();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Resolve whenIdle() waiters once nothing is queued or running
+     * @private
+     */
+    _notifyIfIdle() {
+        if (this.queue.length === 0 && this.running.size === 0) {
+            const waiters = this._idleWaiters;
+            this._idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+}
+
+// Lower values run first
+JobScheduler.PRIORITY = {
+    HIGH: 0,
+    BACKGROUND: 1
+};
@@ -0,0 +1,241 @@
+/**
+ * LLM Provider
+ *
+ * Base class for every model backend. ModelManager only talks to providers
+ * through generateContent/generateImage, so each model role (heavy, medium,
+ * light, image) can be served by a different backend.
+ */
+class LlmProvider {
+    constructor(options = {}) {
+        this.options = options;
+        // Classification, retries and circuit breaker for this provider's HTTP calls
+        this.requestLayer = new RequestLayer(options.requestPolicy);
+        // FixtureRecorder that records or replays this provider's requests (linked by ModelManager)
+        this.recorder = options.recorder || null;
+    }
+
+    /**
+     * Generate content using a text model
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     *   ({ role: 'user'|'model', parts: [{ text } | { functionCall } | { functionResponse }] })
+     * @param {Object} config - Generation config; config.signal (AbortSignal) cancels the request
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {Promise<Object>} - Processed response ({ text, finishReason, functionCalls?, usage? }).
+     *   finishReason is one of LlmProvider.FINISH_REASONS; blocked or cut-off responses are returned,
+     *   not thrown, so the caller can recover. usage is { promptTokens, candidateTokens, totalTokens }
+     *   when the backend reports it.
+     */
+    async generateContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        throw new Error(`${this.constructor.name} does not support text generation`);
+    }
+
+    /**
+     * Stream content from a text model as it is generated.
+     * Providers without native streaming yield the full response as a single chunk.
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {AsyncGenerator<Object>} - Chunks of { text, functionCalls?, finishReason?, usage? } (usage is cumulative)
+     */
+    async *streamContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        yield await this.generateContent(model, systemPrompt, userPrompt, config, tools);
+    }
+
+    /**
+     * Generate an image for a scene description
+     * @param {string} model - Model ID
+     * @param {string} prompt - Scene description
+     * @param {Object} config - Generation config; config.onUsage(usage) receives the token usage if reported
+     * @returns {Promise<string>} - Image data URL
+     */
+    async generateImage(model, prompt, config = {}) {
+        throw new Error(`${this.constructor.name} does not support image generation`);
+    }
+
+    /**
+     * POST a JSON body through the request layer
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @param {AbortSignal} signal - Optional signal that cancels the request
+     * @returns {Promise<Response>} - Successful response (failures throw ModelApiError)
+     * @private
+     */
+    async _post(url, body, headers = {}, signal = null) {
+        return await this.requestLayer.execute(() => fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal
+        }), signal);
+    }
+
+    /**
+     * POST a JSON body and return the parsed JSON response
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @param {AbortSignal} signal - Optional signal that cancels the request
+     * @returns {Promise<Object>} - Parsed response body
+     * @protected
+     */
+    async _postJson(url, body, headers = {}, signal = null) {
+        signal?.throwIfAborted();
+        if (this.recorder?.isReplaying) {
+            return this.recorder.replay(url, body).json;
+        }
+        const response = await this._post(url, body, headers, signal);
+        const data = await response.json();
+        if (this.recorder?.isRecording) {
+            this.recorder.recordRequest(url, body, { json: data });
+        }
+        return data;
+    }
+
+    /**
+     * POST a JSON body and iterate over the server-sent events in the response
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @param {AbortSignal} signal - Optional signal that cancels the request and the stream
+     * @returns {AsyncGenerator<Object>} - Parsed JSON payload of each `data:` event
+     * @protected
+     */
+    async *_postStream(url, body, headers = {}, signal = null) {
+        signal?.throwIfAborted();
+        if (this.recorder?.isReplaying) {
+            yield* this.recorder.replay(url, body).events;
+            return;
+        }
+
+        // Only streams that run to completion are recorded
+        const recorded = this.recorder?.isRecording ? [] : null;
+        for await (const payload of this._readStream(url, body, headers, signal)) {
+            if (recorded) {
+                recorded.push(payload);
+            }
+            yield payload;
+        }
+        if (recorded) {
+            this.recorder.recordRequest(url, body, { events: recorded });
+        }
+    }
+
+    /**
+     * POST a JSON body and parse the server-sent events of the response as they arrive
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @param {AbortSignal|null} signal - Optional abort signal
+     * @returns {AsyncGenerator<Object>} - Parsed JSON payload of each `data:` event
+     * @private
+     */
+    async *_readStream(url, body, headers, signal) {
+        // Retries only cover establishing the stream, not failures once events are flowing
+        const response = await this._post(url, body, headers, signal);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done }).replace(/\r\n/g, '\n');
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                const payload = this._parseSseEvent(rawEvent);
+                if (payload === '[DONE]') {
+                    return;
+                }
+                if (payload !== null) {
+                    yield payload;
+                }
+            }
+
+            if (done) {
+                const payload = this._parseSseEvent(buffer);
+                if (payload !== null && payload !== '[DONE]') {
+                    yield payload;
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Extract the JSON payload from a single server-sent event
+     * @param {string} rawEvent - Raw event text
+     * @returns {Object|string|null} - Parsed payload, '[DONE]', or null for empty/comment events
+     * @private
+     */
+    _parseSseEvent(rawEvent) {
+        const data = rawEvent
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+
+        if (!data) {
+            return null;
+        }
+        if (data === '[DONE]') {
+            return data;
+        }
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            console.warn('Skipping malformed stream event:', data);
+            return null;
+        }
+    }
+
+    /**
+     * Create a provider instance by its ID
+     * @param {string} providerId - 'gemini', 'openai' or 'mock'
+     * @param {Object} options - Provider options (apiKey, baseUrl, ...)
+     * @returns {LlmProvider} - Provider instance
+     */
+    static create(providerId, options = {}) {
+        switch (providerId) {
+            case 'gemini':
+                return new GeminiApiClient(options.apiKey);
+
+            case 'openai':
+                return new OpenAiCompatibleClient(options);
+
+            case 'mock':
+                return new MockApiClient(options);
+
+            default:
+                throw new Error(`Unknown model provider: ${providerId}`);
+        }
+    }
+}
+
+// Why a text generation ended:
+// stop - finished normally (or to call functions)
+// max_tokens - cut off at the output token limit
+// safety - the response was blocked by safety filters
+// recitation - the response was blocked for reproducing existing text
+// blocked - the prompt itself was blocked; no candidates were produced
+// empty - no candidates and no reason given
+// other - anything else the backend reported
+LlmProvider.FINISH_REASONS = ['stop', 'max_tokens', 'safety', 'recitation', 'blocked', 'empty', 'other'];
+
+// Provider IDs and the labels shown in the settings modal
+LlmProvider.PROVIDERS = {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI-compatible (llama.cpp / Ollama)',
+    mock: 'Offline mock'
+};
@@ -0,0 +1,146 @@
+/**
+ * Mock API Client
+ *
+ * Deterministic in-browser backend that never touches the network.
+ * The same prompt always produces the same response, so the game can be
+ * played offline and exercised without an API key.
+ */
+class MockApiClient extends LlmProvider {
+    constructor(options = {}) {
+        super(options);
+
+        this.narrations = [
+            'The fluorescent lights hum overhead. Somewhere beyond the door, a cart rattles down the corridor. A translucent blue window flickers at the edge of Jinwoo\'s vision, patiently waiting to be acknowledged.',
+            'A cold draft brushes past as the moment settles. Jinwoo flexes his fingers; they feel stronger than they should. The System window pulses once, as if urging him forward.',
+            'Footsteps echo in the distance and fade. The air carries the faint metallic scent of mana. Whatever comes next, Jinwoo knows he can no longer afford to stay the weakest hunter.',
+            'Silence follows, heavy and expectant. A notification chimes softly in Jinwoo\'s mind: [You have new messages]. The path ahead is unclear, but it is his to choose.'
+        ];
+
+        this.dialogues = [
+            'You should still be resting, Mr. Sung.',
+            'I\'m not sure what you mean, but I\'ll see what I can do.',
+            'Hunters like you always push too hard. Be careful.',
+            'That\'s... an unusual request. Give me a moment.'
+        ];
+    }
+
+    /**
+     * Generate a canned response selected deterministically from the prompt
+     * @param {string} model - Model ID (unused)
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (ignored)
+     * @returns {Promise<Object>} - Processed response
+     */
+    async generateContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        config.signal?.throwIfAborted();
+        userPrompt = this._promptText(userPrompt);
+        const seed = this._hash(`${systemPrompt}\n${userPrompt}`);
+
+        if (config.responseMimeType === 'application/json') {
+            return { text: JSON.stringify(this._jsonResponse(userPrompt)), finishReason: 'stop' };
+        }
+
+        if (/spoken dialogue/i.test(userPrompt)) {
+            return { text: `"${this.dialogues[seed % this.dialogues.length]}"`, finishReason: 'stop' };
+        }
+
+        if (/^Summarize/i.test(userPrompt)) {
+            return { text: 'Jinwoo recovered in the hospital and began testing the limits of the System.', finishReason: 'stop' };
+        }
+
+        return { text: this.narrations[seed % this.narrations.length], finishReason: 'stop' };
+    }
+
+    /**
+     * Stream the canned response word by word
+     * @param {string} model - Model ID (unused)
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (ignored)
+     * @returns {AsyncGenerator<Object>} - Chunks of { text }
+     */
+    async *streamContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        const { text } = await this.generateContent(model, systemPrompt, userPrompt, config, tools);
+        const words = text.match(/\S+\s*/g) || [];
+        for (const word of words) {
+            await new Promise(resolve => setTimeout(resolve, this.options.streamDelay ?? 15));
+            config.signal?.throwIfAborted();
+            yield { text: word };
+        }
+    }
+
+    /**
+     * Generate a placeholder SVG scene image
+     * @param {string} model - Model ID (unused)
+     * @param {string} prompt - Scene description
+     * @param {Object} config - Generation config (unused)
+     * @returns {Promise<string>} - SVG data URL
+     */
+    async generateImage(model, prompt, config = {}) {
+        config.signal?.throwIfAborted();
+        const hue = this._hash(prompt) % 360;
+        const label = prompt.slice(0, 60).replace(/[<>&"]/g, '');
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="200">` +
+            `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">` +
+            `<stop offset="0" stop-color="hsl(${hue},45%,12%)"/><stop offset="1" stop-color="hsl(${(hue + 40) % 360},55%,28%)"/>` +
+            `</linearGradient></defs><rect width="800" height="200" fill="url(#g)"/>` +
+            `<text x="20" y="180" fill="#ecf0f1" font-family="sans-serif" font-size="14">${label}</text></svg>`;
+        return `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(svg)))}`;
+    }
+
+    /**
+     * Build a JSON payload for the light model's structured purposes
+     * @param {string} userPrompt - User prompt
+     * @returns {Object} - Response object
+     * @private
+     */
+    _jsonResponse(userPrompt) {
+        if (/Validate the player's action/i.test(userPrompt)) {
+            return { valid: true, reason: '', involveNPC: false, npcName: '', newScene: false, skill: '' };
+        }
+        if (/Count the training/i.test(userPrompt)) {
+            // Take the counts the player typed ("50 push-ups", "3 km") at face value
+            const action = (userPrompt.match(/Action: "([^"]*)"/) || [])[1] || '';
+            const count = (pattern) => Number((action.match(pattern) || [])[1] || 0);
+            return {
+                pushups: count(/(\d+)\s*push-?ups?/i),
+                situps: count(/(\d+)\s*sit-?ups?/i),
+                squats: count(/(\d+)\s*squats?/i),
+                running: count(/(\d+(?:\.\d+)?)\s*(?:km|kilomet)/i)
+            };
+        }
+        return {};
+    }
+
+    /**
+     * Flatten a prompt to plain text (multi-turn contents become their last user message)
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @returns {string} - Prompt text
+     * @private
+     */
+    _promptText(userPrompt) {
+        if (!Array.isArray(userPrompt)) {
+            return userPrompt || '';
+        }
+        const userTurns = userPrompt.filter(turn => turn.role === 'user' && (turn.parts || []).some(part => part.text));
+        const lastTurn = userTurns[userTurns.length - 1];
+        return (lastTurn?.parts || []).map(part => part.text || '').join('');
+    }
+
+    /**
+     * Simple 32-bit string hash (djb2)
+     * @param {string} text - Text to hash
+     * @returns {number} - Non-negative hash
+     * @private
+     */
+    _hash(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return Math.abs(hash);
+    }
+}
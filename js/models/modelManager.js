@@ -1,7 +1,8 @@
 /**
  * Model Manager
  * 
- * Handles all interactions with the Google Gemini AI models.
+ * Handles all interactions with the AI models (Google Gemini by default).
+ * Each role can be served by a different provider (see LlmProvider).
  * Orchestrates calls to different models based on needs:
  * - Heavy Model: Narration and storytelling
  * - Medium Model: NPC dialogues and mid-level logic
@@ -9,11 +10,19 @@
  * - Image Model: Scene illustrations
  */
 class ModelManager {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - Gemini API key (optional when no role uses Gemini)
+     * @param {Object} options - Provider configuration
+     * @param {Object} options.providers - Provider ID per role, e.g. { heavy: 'openai', image: 'mock' }
+     * @param {Object} options.providerOptions - Options per provider ID, e.g. { openai: { baseUrl, model } }
+     * @param {Object} options.pricing - Cost table overrides, USD per million tokens by model ID
+     * @param {Object} options.recovery - Blocked/truncated response recovery policy (see configureRecovery)
+     */
+    constructor(apiKey, options = {}) {
         this.apiKey = apiKey;
         this.isInitialized = false;
         
-        // Gemini model IDs for different purposes
+        // Default Gemini model IDs for different purposes (overridable per role, see configureRoles)
         this.models = {
             heavy: 'gemini-2.0-flash-thinking-exp-01-21',    // Rich narrative model
             medium: 'gemini-2.0-flash',                 // NPC dialogue & mid-level logic
@@ -21,6 +30,17 @@ class ModelManager {
             image: 'gemini-2.0-flash-exp'  // Scene image generation model
         };
         
+        // Default sampling parameters per role; purpose-specific config and the user's settings override them
+        this.generationDefaults = {
+            heavy: { temperature: 0.7, topP: 0.95, topK: 40, maxOutputTokens: 1024 },
+            medium: { temperature: 0.7, topP: 0.95, topK: 40, maxOutputTokens: 1024 },
+            light: { temperature: 0.7, topP: 0.95, topK: 40, maxOutputTokens: 1024 },
+            image: { temperature: 0.4, topP: 1.0, topK: 32 }
+        };
+        
+        // User overrides per role: { model, temperature, topP, topK, maxOutputTokens, thinkingBudget }
+        this.roleConfig = { heavy: {}, medium: {}, light: {}, image: {} };
+        
         // System prompts that set the role and style for each model type
         this.systemPrompts = {
             heavy: `You are the Narrator in a Solo Leveling RPG simulator based on the popular manhwa/novel. 
@@ -33,7 +53,15 @@ Your narration should:
 - Ensure narrative continuity based on the provided scene context
 - Never narrate the player's decisions for them, only the consequences
 - End narration segments in ways that prompt player choice without being too explicit
-- Use tools in your narration and to update the character's JSON profile of rank, gold, level, rank, etc based on their progression (your function tools update these).
+- Use tools in your narration and to update the character's JSON profile of rank, gold, etc based on their progression (your function tools update these).
+- Report experience the player earns with award_experience; the game computes levels and stats, so only narrate a level-up the tool result reports.
+- When a fight breaks out, call start_combat with the enemies and narrate them appearing; the player picks combat actions and the game resolves every round, so never decide a fight's outcome yourself.
+- Gates have real structure: call enter_gate when Jinwoo enters one, move_to_room to go deeper or face the boss (only through the exits the current room lists), and leave_gate when he leaves. Entering a room with monsters starts the fight.
+- Jinwoo's skills are listed with their MP cost and cooldown. Teach new ones with learn_skill (never by editing the profile). When he uses a skill, the game has already spent its MP and started its cooldown; narrate its effect, and don't let him use a skill that is on cooldown or that he can't afford.
+- Shadow extraction ("Arise") and the Shadow Army are run by the game: the player tries to extract a shadow from the corpses after a won fight, and summons or dismisses shadows from the combat menu. Only the shadows listed as summoned are at Jinwoo's side; never create, summon or dismiss shadows yourself.
+- Items are matched onto the game's item catalog by name, so call them by the names the inventory already uses; give rarity and value only for items that are new.
+- Weapons, armor and accessories are given with update_inventory; set their slot (weapon, offHand, head, body, accessory) and bonuses (attributes, attack, defense). The player equips them from the inventory himself; only describe him wielding or wearing what is listed as equipped.
+- The System issues a Daily Quest every day (push-ups, sit-ups, squats, running). The game counts the training Jinwoo does from your narration, so narrate exact numbers when he trains, and keep world.time moving; the quest is due at midnight and the game enforces the Penalty Zone if it is missed.
 - Ensure continuity and that your messages are "forward-facing", in that they give the user ideas on things to do and not just recounting of a scenario.
 
 Important elements of the Solo Leveling universe to maintain:
@@ -75,8 +103,173 @@ Ensure your outputs can be parsed directly as JSON.`,
 - Clean, detailed linework with rich colors.`
         };
 
-        // We will instantiate the GeminiApiClient when needed (on first API call)
-        this.apiClient = null;
+        // Assembles every role's prompt from the game state within a token budget
+        this.contextBuilder = new ContextBuilder();
+        
+        // Schemas, local validation and fallbacks for structured light-model output
+        this.structuredOutput = new StructuredOutput();
+        this.maxRepairAttempts = 1;
+        
+        // Upper bound on narrator function-calling round trips per turn
+        this.maxToolIterations = 5;
+        
+        // What to do when narration or dialogue comes back blocked or cut off (see configureRecovery)
+        this.recovery = { softenBlocked: true, continueTruncated: true, maxContinuations: 2 };
+        
+        // Token usage, latency and cost of every call, per role and per turn
+        this.usage = new UsageTracker(options.pricing);
+        
+        // Opt-in ResponseCache for light-model results and images (linked by GameManager)
+        this.cache = null;
+        
+        // Records or replays every provider request (see FixtureRecorder)
+        this.recorder = new FixtureRecorder();
+        
+        // Optional hook (error, attempt, delayMs) called before a failed request is retried
+        this.onRetry = null;
+        
+        // ToolFunctions instance the narrator's function calls run through (linked by GameManager)
+        this.toolFunctions = null;
+        
+        // Provider backing each model role; clients are instantiated on first use
+        this.providers = { heavy: 'gemini', medium: 'gemini', light: 'gemini', image: 'gemini' };
+        this.providerOptions = {};
+        this.clients = {};
+        this.configureProviders(options.providers, options.providerOptions);
+        this.configureRoles(options.roles);
+        this.configureRecovery(options.recovery);
+    }
+    
+    /**
+     * Set the recovery policy for blocked and truncated narration/dialogue
+     * @param {Object} recovery - { softenBlocked, continueTruncated, maxContinuations }
+     */
+    configureRecovery(recovery = {}) {
+        this.recovery = { ...this.recovery, ...recovery };
+    }
+    
+    /**
+     * Set the per-role model ID and generation parameter overrides. Unset fields use the defaults.
+     * @param {Object} roles - { [role]: { model, temperature, topP, topK, maxOutputTokens, thinkingBudget } }
+     */
+    configureRoles(roles = {}) {
+        for (const role of Object.keys(this.roleConfig)) {
+            if (roles[role]) {
+                // Blank fields (null, '') mean "use the default"
+                this.roleConfig[role] = Object.fromEntries(
+                    Object.entries(roles[role]).filter(([, value]) => value !== null && value !== undefined && value !== '')
+                );
+            }
+        }
+    }
+    
+    /**
+     * Change which provider serves each model role
+     * @param {Object} providers - Provider ID per role (missing roles keep their current provider)
+     * @param {Object} providerOptions - Options per provider ID
+     */
+    configureProviders(providers = {}, providerOptions = {}) {
+        this.providers = { ...this.providers, ...providers };
+        this.providerOptions = { ...this.providerOptions, ...providerOptions };
+        // Drop cached clients so the new options take effect on the next call
+        this.clients = {};
+    }
+    
+    /**
+     * Whether any model role is served by the given provider
+     * @param {string} providerId - Provider ID
+     * @returns {boolean}
+     */
+    usesProvider(providerId) {
+        return Object.values(this.providers).includes(providerId);
+    }
+    
+    /**
+     * Get (or lazily create) the client for a model role
+     * @param {string} modelType - 'heavy', 'medium', 'light', or 'image'
+     * @returns {LlmProvider} - Provider client
+     * @private
+     */
+    _getClient(modelType) {
+        const providerId = this.providers[modelType] || 'gemini';
+        if (!this.clients[providerId]) {
+            const options = this.providerOptions[providerId] || {};
+            const client = LlmProvider.create(providerId, {
+                ...options,
+                apiKey: providerId === 'gemini' ? this.apiKey : options.apiKey
+            });
+            client.recorder = this.recorder;
+            client.requestLayer.onRetry = (error, attempt, delayMs) => {
+                if (this.onRetry) {
+                    this.onRetry(error, attempt, delayMs);
+                }
+            };
+            this.clients[providerId] = client;
+        }
+        return this.clients[providerId];
+    }
+    
+    /**
+     * Resolve the model ID to send for a role, honoring a provider-level model override
+     * @param {string} modelType - 'heavy', 'medium', 'light', or 'image'
+     * @returns {string} - Model ID
+     * @private
+     */
+    _resolveModel(modelType) {
+        const providerId = this.providers[modelType] || 'gemini';
+        return this.roleConfig[modelType]?.model || this.providerOptions[providerId]?.model || this.models[modelType];
+    }
+    
+    /**
+     * Resolve the generation config for a call: role defaults, then the purpose's config,
+     * then the user's settings for the role
+     * @param {string} modelType - 'heavy', 'medium', 'light', or 'image'
+     * @param {Object} purposeConfig - Config requested by the caller (e.g. a small maxOutputTokens)
+     * @returns {Object} - Generation config
+     * @private
+     */
+    _resolveConfig(modelType, purposeConfig = {}) {
+        const { model, ...overrides } = this.roleConfig[modelType] || {};
+        const config = { ...this.generationDefaults[modelType], ...purposeConfig, ...overrides };
+        if (config.thinkingBudget !== undefined && !ModelManager.supportsThinkingBudget(this._resolveModel(modelType))) {
+            delete config.thinkingBudget;
+        }
+        return config;
+    }
+    
+    /**
+     * Check that a role's configured model exists and responds
+     * @param {string} modelType - 'heavy', 'medium', 'light', or 'image'
+     * @returns {Promise<Object>} - { ok, model, latencyMs, message }
+     */
+    async testModel(modelType) {
+        const model = this._resolveModel(modelType);
+        const startedAt = performance.now();
+        try {
+            const client = this._getClient(modelType);
+            if (modelType === 'image') {
+                const image = await client.generateImage(model, 'a small stone on a plain background', this._resolveConfig('image'));
+                if (!image) {
+                    throw new Error('No image returned');
+                }
+            } else {
+                const config = this._resolveConfig(modelType);
+                const result = await client.generateContent(model, '', 'Reply with the single word: ready', config);
+                if (!result.text && !result.functionCalls) {
+                    throw new Error('The model returned an empty response');
+                }
+            }
+            const latencyMs = Math.round(performance.now() - startedAt);
+            return { ok: true, model, latencyMs, message: `${model} responded in ${latencyMs} ms` };
+        } catch (error) {
+            console.error(`Model test failed for ${modelType} (${model}):`, error);
+            return {
+                ok: false,
+                model,
+                latencyMs: Math.round(performance.now() - startedAt),
+                message: error instanceof ModelApiError ? error.userMessage : error.message
+            };
+        }
     }
     
     /**
@@ -85,7 +278,7 @@ Ensure your outputs can be parsed directly as JSON.`,
      */
     async initialize() {
         try {
-            if (!this.apiKey) {
+            if (!this.apiKey && this.usesProvider('gemini')) {
                 throw new Error('No API key provided');
             }
             // We could test a simple API call here to verify the key, but it's not required.
@@ -98,9 +291,9 @@ Ensure your outputs can be parsed directly as JSON.`,
     }
     
     /**
-     * Internal helper to call a specific Gemini model with appropriate prompts.
+     * Internal helper to call a specific model role with a prompt built by ContextBuilder.
      * @param {string} modelType - 'heavy', 'medium', 'light', or 'image'
-     * @param {Object} params - Parameters for the call (prompt content, context, etc.)
+     * @param {Object} params - Parameters for the call (prompt, config, systemPrompt, onChunk, useTools, purpose)
      * @returns {Promise<Object|string>} - The model response. For text models, returns an object or string (depending on structure); for images, returns a data URL string.
      */
     async _callModel(modelType, params) {
@@ -108,7 +301,7 @@ Ensure your outputs can be parsed directly as JSON.`,
             if (!this.isInitialized) {
                 throw new Error('ModelManager is not initialized');
             }
-            const model = this.models[modelType];
+            const model = this._resolveModel(modelType);
             if (!model) {
                 throw new Error(`Unknown model type: ${modelType}`);
             }
@@ -117,184 +310,77 @@ Ensure your outputs can be parsed directly as JSON.`,
                 params.systemPrompt = this.systemPrompts[modelType];
             }
             
-            // Prepare the user prompt for the model call
+            // Prompts are assembled by ContextBuilder: a string is a single user turn,
+            // an array is a multi-turn `contents` conversation
             const systemPrompt = params.systemPrompt || '';
-            let userPrompt = '';
-            const config = params.config || {};
-            let tools = null;  // Tools for function calling (if needed)
+            const userPrompt = params.prompt || '';
+            const config = this._resolveConfig(modelType, params.config);
+            if (params.signal) {
+                config.signal = params.signal;
+            }
             
-            if (modelType === 'heavy') {
-                if (params.isOpeningSequence) {
-                    userPrompt = params.initialContext 
-                        ? `${params.initialContext} Narrate the opening scene, narrate in a way that they get ideas of potential actions.`
-                        : `The story begins as Sung Jinwoo awakens in a hospital after surviving a deadly double dungeon incident. Narrate the opening scene in detail.`;
-                } else if (params.context) {
-                    // Include current context: scene memory, location, recent NPC dialogue, and player action
-                    const ctx = params.context;
-                    let contextDesc = '';
-                    if (ctx.sceneMemory) {
-                        contextDesc += ctx.sceneMemory.trim() + ' ';  // short summary of last scene
-                    }
-                    if (ctx.location || ctx.time) {
-                        contextDesc += `Location: ${ctx.location || ''}${ctx.time ? ', ' + ctx.time : ''}. `;
-                    }
-                    if (ctx.npcResponse) {
-                        // Include any NPC dialogue that just occurred
-                        const speaker = ctx.npcName || 'The NPC';
-                        contextDesc += `${speaker} said: "${ctx.npcResponse}" `;
-                    }
-                    if (params.playerAction) {
-                        // Mention what Jinwoo (the player) just did
-                        contextDesc += `Jinwoo's action: ${params.playerAction}. `;
-                    }
-                    // Final instruction for narration continuation
-                    userPrompt = `${contextDesc}\nContinue the story narration, focusing on the consequences of the above and the next developments.`;
-                } else {
-                    // Fallback (no specific context provided, just use the action if available)
-                    if (params.playerAction) {
-                        userPrompt = `Jinwoo's action: ${params.playerAction}. Narrate what happens next.`;
-                    } else {
-                        userPrompt = 'Continue the story from the current situation.';
-                    }
-                }
-            } else if (modelType === 'medium') {
-                const npcName = params.npcName || 'The NPC';
-                const playerAct = params.playerAction || '';
-                let npcInfo = '';
-                if (params.npcState && params.npcState.relationship) {
-                    npcInfo += `${npcName}'s attitude toward Jinwoo is "${params.npcState.relationship}". `;
-                }
-                if (params.npcState && params.npcState.knowsAboutSystem !== undefined) {
-                    if (!params.npcState.knowsAboutSystem) {
-                        npcInfo += `${npcName} is not aware of Jinwoo's mysterious System interface. `;
-                    }
-                }
-                userPrompt = `${npcInfo}Jinwoo's action: ${playerAct}. Provide only ${npcName}'s spoken dialogue as a direct response, enclosed in quotes (e.g., "What do you want?").`;
-            } else if (modelType === 'light') {
-                // Build the prompt for the utility model (light) tasks
-                if (params.purpose === 'validate') {
-                    // Validate a player action against the current context and output JSON
-                    const ctx = params.context || {};
-                    const actionText = params.playerAction;
-                    userPrompt = `Validate the player's action given the context.\nAction: "${actionText}"\nContext: ${JSON.stringify(ctx)}\nRespond with a JSON object with keys: valid (boolean), reason (string), involveNPC (boolean), npcName (string), newScene (boolean, true if the action has lead to a new physical scene for Sung Jinwoo i.e., hospital -> home, "true".).`;
-                    // Ask for JSON output explicitly
-                    config.responseMimeType = 'application/json';
-                    config.maxOutputTokens = 200;
-                } else if (params.purpose === 'extractChanges') {
-                    // Extract structured changes from a narrative text
-                    const narrative = params.narrative || '';
-                    userPrompt = `Analyze the following narrative and extract any game state changes (experience gain, gold gain, items gained, HP change) as a JSON object with keys: experience_gain, gold_gain, items_gain, hp_change.\nNarrative: "${narrative}"\nJSON:`;
-                    config.responseMimeType = 'application/json';
-                    config.maxOutputTokens = 200;
-                } else {
-                    // Default light model usage (if any other utility function)
-                    userPrompt = params.prompt || '';
-                    config.maxOutputTokens = params.maxOutputTokens || 256;
-                }
-            } else if (modelType === 'image') {
-                // For image generation, the user prompt is just the description of the scene
-                userPrompt = params.prompt;
+            // Light-model purposes with a declared schema request schema-constrained JSON
+            const schema = modelType === 'light' ? this.structuredOutput.getSchema(params.purpose) : null;
+            if (schema) {
+                config.responseMimeType = 'application/json';
+                config.responseSchema = schema;
             }
             
-            // Initialize the API client if not already done
-            if (!this.apiClient) {
-                this.apiClient = new GeminiApiClient(this.apiKey);
+            // Light-model results and images may be served from the response cache
+            const cacheKey = this._cacheKeyFor(modelType, model, systemPrompt, userPrompt, config);
+            if (cacheKey) {
+                const cached = await this.cache.get(cacheKey);
+                if (cached !== undefined) {
+                    console.log(`Response cache hit for ${modelType} model (${params.purpose || modelType})`);
+                    return cached;
+                }
             }
             
+            // Resolve the provider client serving this role
+            const client = this._getClient(modelType);
+            
             if (modelType === 'image') {
-                // Call the Gemini image generation model with system prompt
-                const imageDataUrl = await this.apiClient.generateImage(model, userPrompt, {
+                // Call the image generation model with system prompt
+                let imageUsage = null;
+                const startedAt = performance.now();
+                const imageDataUrl = await client.generateImage(model, userPrompt, {
                     systemPrompt: params.systemPrompt,
-                    ...config
+                    ...config,
+                    onUsage: (usage) => { imageUsage = usage; }
                 });
+                this._recordUsage(modelType, model, imageUsage, startedAt);
+                if (imageDataUrl) {
+                    await this._storeInCache(cacheKey, imageDataUrl, modelType);
+                }
                 return imageDataUrl;  // return the base64 data URL for the image
             } else {
-                // Call a text-generating model (heavy, medium, or light)
-                const result = await this.apiClient.generateContent(model, systemPrompt, userPrompt, config, tools);
+                // The narrator gets the ToolFunctions declarations and runs a function-calling loop
+                const tools = (modelType === 'heavy' && params.useTools !== false) ? this._getNarratorTools() : null;
+                const result = tools
+                    ? await this._runToolLoop(modelType, client, model, systemPrompt, userPrompt, config, tools, params.onChunk)
+                    : await this._generateText(modelType, client, model, systemPrompt, userPrompt, config, null, params.onChunk);
                 
-                // Handle function call outputs if any (tools can return structured data or state changes)
-                if (result.functionCalls && result.functionCalls.length > 0) {
-                    let combinedChanges = {};
-                    for (const call of result.functionCalls) {
-                        if (call.name === 'update_state' && call.parameters.changes) {
-                            combinedChanges = { ...combinedChanges, ...call.parameters.changes };
-                        }
-                        if (call.name === 'update_character_profile' && call.parameters) {
-                            // Map update_character_profile parameters to player state
-                            combinedChanges.player = combinedChanges.player || {};
-                            combinedChanges.player.rank = call.parameters.rank || combinedChanges.player.rank;
-                            combinedChanges.player.level = call.parameters.level || combinedChanges.player.level;
-                            combinedChanges.player.HP = call.parameters.hp || combinedChanges.player.HP;
-                            combinedChanges.player.MP = call.parameters.mp || combinedChanges.player.MP;
-                            combinedChanges.player.gold = call.parameters.gold || combinedChanges.player.gold;
-                            if (call.parameters.inventory) {
-                                combinedChanges.player.inventory = call.parameters.inventory;
-                            }
-                            if (call.parameters.skills) {
-                                combinedChanges.player.skills = call.parameters.skills;
-                            }
-                        }
-                        if (call.name === 'update_inventory' && call.parameters.items) {
-                            combinedChanges.player = combinedChanges.player || {};
-                            if (call.parameters.action === 'add') {
-                                combinedChanges.player.inventoryAdd = (combinedChanges.player.inventoryAdd || []).concat(call.parameters.items);
-                            } else if (call.parameters.action === 'remove') {
-                                combinedChanges.player.inventoryRemove = (combinedChanges.player.inventoryRemove || []).concat(call.parameters.items);
-                            }
-                        }
-                        if (call.name === 'complete_quest' && call.parameters.completedQuest) {
-                            combinedChanges.quests = combinedChanges.quests || {};
-                            combinedChanges.quests.completeQuest = call.parameters.completedQuest;
-                            if (call.parameters.newQuest) {
-                                combinedChanges.quests.current = call.parameters.newQuest;
-                            }
-                        }
-                        if (call.name === 'log_event' && call.parameters.event) {
-                            combinedChanges.history = (combinedChanges.history || []).concat(call.parameters.event);
-                        }
-                    }
-                    // Prepare response object including any text and state changes from function calls
-                    const responseObj = {
-                        text: result.text || '',
-                        stateChanges: Object.keys(combinedChanges).length > 0 ? combinedChanges : undefined
-                    };
-                    // Filter out tool_code from narration
-                    if (responseObj.text.includes('```tool_code')) {
-                        responseObj.text = responseObj.text.split('```tool_code')[0].trim();
-                    }
-                    if (modelType === 'heavy') {
-                        responseObj.narration = responseObj.text;
-                        delete responseObj.text;
-                    } else if (modelType === 'medium') {
-                        responseObj.dialogue = responseObj.text;
-                        delete responseObj.text;
-                    }
-                    return responseObj;
-                }
-                // No function calls; return the model's direct output in the expected format
+                // Filter out tool_code blocks some models write into the prose
+                result.text = (result.text || '').split('```tool_code')[0].trim();
+                
+                // Return the model's output in the expected format
                 if (modelType === 'heavy') {
-                    // Heavy model returns a narration string
-                    return { narration: result.text || '' };
+                    // Heavy model returns a narration string plus the tool calls it made along the way
+                    return { narration: result.text, toolCalls: result.toolCalls || [] };
                 } else if (modelType === 'medium') {
                     // Medium model returns NPC dialogue text
                     return { dialogue: result.text || '' };
                 } else if (modelType === 'light') {
-                    // Light model may return a JSON string or plain text. Try to parse if JSON.
-                    let textOut = result.text || '';
-                    if (textOut.trim().startsWith('{')) {
-                        try {
-                            const parsed = JSON.parse(textOut);
-                            return parsed;
-                        } catch {
-                            // If JSON parsing fails, we'll convert the text to a reason below
-                        }
+                    // Free-text utility purposes (e.g. summaries) return the text as-is;
+                    // structured purposes are validated against their schema, repaired, or replaced by a fallback
+                    const value = schema
+                        ? await this._resolveStructuredOutput(modelType, client, model, systemPrompt, userPrompt, config, params.purpose, result.text)
+                        : { text: result.text };
+                    // Fallbacks and empty answers stand in for bad output; never reuse them
+                    if (!value.modelOutputInvalid && value.text !== '') {
+                        await this._storeInCache(cacheKey, value, modelType);
                     }
-                    // If it's not JSON, return an object marking the action invalid with the text as the reason
-                    return {
-                        valid: false,
-                        reason: textOut.trim() || 'Invalid action or response format.',
-                        involveNPC: false
-                    };
+                    return value;
                 } else {
                     // For any other model type (not expected), return raw text
                     return result.text || '';
@@ -306,25 +392,448 @@ Ensure your outputs can be parsed directly as JSON.`,
         }
     }
     
+    /**
+     * Cache key for a call, or null when its result must not come from the cache: the cache
+     * is off, the role isn't cacheable (narration and dialogue should vary), or a fixture is
+     * being recorded or replayed (every request has to reach the provider layer).
+     * @param {string} modelType - Model role
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @param {Object} config - Resolved generation config
+     * @returns {string|null} - Cache key
+     * @private
+     */
+    _cacheKeyFor(modelType, model, systemPrompt, userPrompt, config) {
+        if (!this.cache?.enabled || !['light', 'image'].includes(modelType)) {
+            return null;
+        }
+        if (this.recorder.isRecording || this.recorder.isReplaying) {
+            return null;
+        }
+        return this.cache.keyFor(model, systemPrompt, userPrompt, config);
+    }
+    
+    /**
+     * Store a result in the response cache (no-op without a cache key)
+     * @param {string|null} cacheKey - Key from _cacheKeyFor
+     * @param {*} value - Result to store
+     * @param {string} modelType - Model role
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _storeInCache(cacheKey, value, modelType) {
+        if (cacheKey) {
+            await this.cache.set(cacheKey, value, modelType);
+        }
+    }
+    
+    /**
+     * Validate a structured light-model response. Malformed output gets a bounded
+     * repair pass (the model is re-asked with the validation errors); if it is still
+     * malformed, the purpose's fallback is returned with `modelOutputInvalid: true`.
+     * @param {string} modelType - Model role the call is made for
+     * @param {LlmProvider} client - Provider client
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - Original prompt
+     * @param {Object} config - Generation config (including responseSchema)
+     * @param {string} purpose - Light-model purpose
+     * @param {string} text - First response text
+     * @returns {Promise<Object>} - Valid parsed value or fallback
+     * @private
+     */
+    async _resolveStructuredOutput(modelType, client, model, systemPrompt, userPrompt, config, purpose, text) {
+        let { value, errors } = this.structuredOutput.parse(purpose, text);
+        const conversation = Array.isArray(userPrompt)
+            ? [...userPrompt]
+            : [{ role: 'user', parts: [{ text: userPrompt }] }];
+        let lastText = text;
+        
+        for (let attempt = 1; errors.length > 0 && attempt <= this.maxRepairAttempts; attempt++) {
+            console.warn(`Malformed ${purpose} output from light model (repair attempt ${attempt}):`, errors);
+            conversation.push(
+                { role: 'model', parts: [{ text: lastText || '(empty response)' }] },
+                { role: 'user', parts: [{ text: this.structuredOutput.buildRepairPrompt(errors) }] }
+            );
+            const retry = await this._generateText(modelType, client, model, systemPrompt, conversation, config, null, null);
+            lastText = retry.text || '';
+            ({ value, errors } = this.structuredOutput.parse(purpose, lastText));
+        }
+        
+        if (errors.length > 0) {
+            console.error(`Light model never produced valid ${purpose} output; using fallback.`, errors);
+            return this.structuredOutput.getFallback(purpose);
+        }
+        return value;
+    }
+    
+    /**
+     * Get the function declarations the narrator may call, in Gemini `tools` format
+     * @returns {Array|null} - Tools, or null when no ToolFunctions instance is linked
+     * @private
+     */
+    _getNarratorTools() {
+        if (!this.toolFunctions) {
+            return null;
+        }
+        return [{ functionDeclarations: this.toolFunctions.getToolsDefinition() }];
+    }
+    
+    /**
+     * Run a text generation. Narration and dialogue (heavy/medium) that come back blocked
+     * or truncated go through _recoverResponse; light-model output has its own repair path.
+     * @param {string} modelType - Model role the call is made for
+     * @param {LlmProvider} client - Provider client
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @param {Object} config - Generation config
+     * @param {Array|null} tools - Function declarations
+     * @param {Function|null} onChunk - Optional stream handler
+     * @returns {Promise<Object>} - { text, finishReason, functionCalls?, content? }
+     * @private
+     */
+    async _generateText(modelType, client, model, systemPrompt, userPrompt, config, tools, onChunk) {
+        const result = await this._generateOnce(modelType, client, model, systemPrompt, userPrompt, config, tools, onChunk);
+        if (!['heavy', 'medium'].includes(modelType)) {
+            return result;
+        }
+        return await this._recoverResponse(modelType, client, model, systemPrompt, userPrompt, config, tools, onChunk, result);
+    }
+    
+    /**
+     * Recover from a blocked or truncated response. A blocked response (safety, recitation,
+     * blocked prompt, no candidates) is retried once with a softened prompt; a response cut
+     * off at MAX_TOKENS is continued where it stopped, up to maxContinuations times.
+     * @param {string} modelType - Model role the call is made for
+     * @param {LlmProvider} client - Provider client
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @param {Object} config - Generation config
+     * @param {Array|null} tools - Function declarations
+     * @param {Function|null} onChunk - Optional stream handler
+     * @param {Object} result - First response
+     * @returns {Promise<Object>} - Recovered response
+     * @throws {ModelApiError} - 'safety', 'recitation' or 'empty' when the response stays blocked
+     * @private
+     */
+    async _recoverResponse(modelType, client, model, systemPrompt, userPrompt, config, tools, onChunk, result) {
+        let conversation = Array.isArray(userPrompt)
+            ? [...userPrompt]
+            : [{ role: 'user', parts: [{ text: userPrompt }] }];
+        
+        if (this._isBlocked(result) && this.recovery.softenBlocked) {
+            console.warn(`${modelType} model response blocked (${result.finishReason}${result.blockReason ? `: ${result.blockReason}` : ''}); retrying with a softened prompt`);
+            conversation = this._softenPrompt(conversation, result.finishReason);
+            result = await this._generateOnce(modelType, client, model, systemPrompt, conversation, config, tools, onChunk);
+        }
+        if (this._isBlocked(result)) {
+            const kind = result.finishReason === 'recitation' || result.finishReason === 'empty' ? result.finishReason : 'safety';
+            throw new ModelApiError(kind, `${modelType} model response blocked (${result.finishReason}${result.blockReason ? `: ${result.blockReason}` : ''})`);
+        }
+        
+        if (result.finishReason !== 'max_tokens' || result.functionCalls || !this.recovery.continueTruncated) {
+            return result;
+        }
+        
+        // Continue a truncated answer: echo what we have and ask for the rest. Continuations
+        // may not call functions, so the merged result is plain text.
+        let text = result.text || '';
+        let finishReason = result.finishReason;
+        for (let attempt = 1; finishReason === 'max_tokens' && attempt <= this.recovery.maxContinuations; attempt++) {
+            console.warn(`${modelType} model response hit MAX_TOKENS; continuing (${attempt}/${this.recovery.maxContinuations})`);
+            if (text) {
+                conversation.push(
+                    { role: 'model', parts: [{ text }] },
+                    { role: 'user', parts: [{ text: 'Your previous answer was cut off. Continue exactly where it stopped, without repeating any of it or adding a preamble.' }] }
+                );
+            }
+            const prefix = text;
+            const continuation = await this._generateOnce(
+                modelType, client, model, systemPrompt, conversation,
+                { ...config, functionCallingMode: 'NONE' }, tools,
+                onChunk ? (chunkText) => onChunk(prefix + chunkText) : null
+            );
+            // A continuation that gets blocked leaves the text we already have
+            if (this._isBlocked(continuation)) {
+                break;
+            }
+            text += continuation.text || '';
+            finishReason = continuation.finishReason;
+        }
+        return { text, finishReason };
+    }
+    
+    /**
+     * Whether a response was blocked or came back without any candidate
+     * @param {Object} result - Processed response
+     * @returns {boolean}
+     * @private
+     */
+    _isBlocked(result) {
+        return ['safety', 'recitation', 'blocked', 'empty'].includes(result.finishReason);
+    }
+    
+    /**
+     * Add a softening instruction to the last user turn of a conversation
+     * @param {Array} conversation - Contents turns
+     * @param {string} finishReason - Why the previous response was blocked
+     * @returns {Array} - New conversation (the original is not modified)
+     * @private
+     */
+    _softenPrompt(conversation, finishReason) {
+        const instruction = finishReason === 'recitation'
+            ? 'Write this in entirely original wording. Do not quote or closely paraphrase any existing text.'
+            : 'Keep this restrained and non-graphic: imply violence and injuries rather than describing them in detail, and avoid explicit or disturbing content. Do not mention this instruction.';
+        const softened = [...conversation];
+        const index = softened.map(turn => turn.role).lastIndexOf('user');
+        if (index === -1) {
+            softened.push({ role: 'user', parts: [{ text: instruction }] });
+        } else {
+            softened[index] = { ...softened[index], parts: [...(softened[index].parts || []), { text: `\n\n${instruction}` }] };
+        }
+        return softened;
+    }
+    
+    /**
+     * Run a single text generation, streaming when a chunk handler is given
+     * @param {string} modelType - Model role the call is made for
+     * @param {LlmProvider} client - Provider client
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @param {Object} config - Generation config
+     * @param {Array|null} tools - Function declarations
+     * @param {Function|null} onChunk - Optional stream handler
+     * @returns {Promise<Object>} - { text, finishReason, functionCalls?, content? }
+     * @private
+     */
+    async _generateOnce(modelType, client, model, systemPrompt, userPrompt, config, tools, onChunk) {
+        const startedAt = performance.now();
+        const result = onChunk
+            ? await this._streamContent(client, model, systemPrompt, userPrompt, config, tools, onChunk)
+            : await client.generateContent(model, systemPrompt, userPrompt, config, tools);
+        this._recordUsage(modelType, model, result.usage, startedAt, this._estimatePromptTokens(systemPrompt, userPrompt));
+        return result;
+    }
+    
+    /**
+     * Record a finished call's token usage and latency
+     * @param {string} modelType - Model role
+     * @param {string} model - Model ID
+     * @param {Object|null} usage - { promptTokens, candidateTokens, totalTokens } reported by the provider
+     * @param {number} startedAt - performance.now() when the call started
+     * @param {number} estimatedPromptTokens - estimateTokens() of the prompt, for calibration
+     * @private
+     */
+    _recordUsage(modelType, model, usage, startedAt, estimatedPromptTokens = 0) {
+        this.usage.record({
+            role: modelType,
+            model,
+            provider: this.providers[modelType] || 'gemini',
+            usage,
+            latencyMs: performance.now() - startedAt,
+            estimatedPromptTokens
+        });
+    }
+    
+    /**
+     * Heuristic token count of everything sent as the prompt
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @returns {number} - estimateTokens() of the prompt text
+     * @private
+     */
+    _estimatePromptTokens(systemPrompt, userPrompt) {
+        const turns = Array.isArray(userPrompt) ? userPrompt : [{ parts: [{ text: userPrompt }] }];
+        const text = turns
+            .flatMap(turn => turn.parts || [])
+            .map(part => part.text || JSON.stringify(part.functionCall || part.functionResponse || ''))
+            .join('\n');
+        return estimateTokens(`${systemPrompt}\n${text}`);
+    }
+    
+    /**
+     * Token count for a text, calibrated against the counts providers have reported
+     * @param {string} text - Text to count
+     * @returns {number} - Token count
+     */
+    countTokens(text) {
+        return this.usage.countTokens(text);
+    }
+    
+    /**
+     * Multi-turn function-calling loop. Each function call the model makes is executed
+     * through ToolFunctions.executeFunction and its result sent back as a functionResponse,
+     * until the model answers with narration only or the iteration cap is reached.
+     * @param {string} modelType - Model role the call is made for
+     * @param {LlmProvider} client - Provider client
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - Initial user prompt
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Function declarations
+     * @param {Function|null} onChunk - Optional stream handler
+     * @returns {Promise<Object>} - { text, toolCalls } with every call and its result
+     * @private
+     */
+    async _runToolLoop(modelType, client, model, systemPrompt, userPrompt, config, tools, onChunk) {
+        const contents = Array.isArray(userPrompt)
+            ? [...userPrompt]
+            : [{ role: 'user', parts: [{ text: userPrompt }] }];
+        const toolCalls = [];
+        let narration = '';
+        
+        for (let iteration = 0; ; iteration++) {
+            config.signal?.throwIfAborted();
+            // On the last allowed turn, forbid further calls so the model has to narrate
+            const isLastIteration = iteration >= this.maxToolIterations;
+            const turnConfig = isLastIteration ? { ...config, functionCallingMode: 'NONE' } : config;
+            const previousText = narration;
+            const streamHandler = onChunk ? (text) => onChunk(previousText + text) : null;
+            
+            const result = await this._generateText(modelType, client, model, systemPrompt, contents, turnConfig, tools, streamHandler);
+            narration += result.text || '';
+            
+            if (!result.functionCalls || result.functionCalls.length === 0 || isLastIteration) {
+                break;
+            }
+            
+            // Echo the model's turn, then answer each call with a functionResponse
+            contents.push(result.content || this._buildModelTurn(result));
+            const responseParts = [];
+            // Don't apply function calls from a turn that has been cancelled
+            config.signal?.throwIfAborted();
+            for (const call of result.functionCalls) {
+                const response = this._executeToolCall(call);
+                toolCalls.push({ name: call.name, parameters: call.parameters, result: response });
+                responseParts.push({ functionResponse: { id: call.id, name: call.name, response } });
+            }
+            contents.push({ role: 'user', parts: responseParts });
+        }
+        
+        return { text: narration, toolCalls };
+    }
+    
+    /**
+     * Execute one function call, turning failures into an error response for the model
+     * @param {Object} call - { name, parameters }
+     * @returns {Object} - Function result
+     * @private
+     */
+    _executeToolCall(call) {
+        try {
+            return this.toolFunctions.executeFunction(call.name, call.parameters || {});
+        } catch (error) {
+            console.error(`Tool call ${call.name} failed:`, error);
+            return { success: false, message: error.message };
+        }
+    }
+    
+    /**
+     * Rebuild a model turn from a processed response (used when the provider didn't return raw content)
+     * @param {Object} result - { text, functionCalls }
+     * @returns {Object} - Contents turn
+     * @private
+     */
+    _buildModelTurn(result) {
+        const parts = [];
+        if (result.text) {
+            parts.push({ text: result.text });
+        }
+        for (const call of result.functionCalls || []) {
+            parts.push({ functionCall: { id: call.id, name: call.name, args: call.parameters } });
+        }
+        return { role: 'model', parts };
+    }
+    
+    /**
+     * Consume a provider stream, forwarding the accumulated text to a chunk handler.
+     * Function calls are collected and returned with the final text so they can be
+     * applied once the stream has ended.
+     * @param {LlmProvider} client - Provider client
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @param {Object} config - Generation config
+     * @param {Array|null} tools - Function declarations
+     * @param {Function} onChunk - Called with the narration text received so far
+     * @returns {Promise<Object>} - Same shape as generateContent ({ text, finishReason, functionCalls? })
+     * @private
+     */
+    async _streamContent(client, model, systemPrompt, userPrompt, config, tools, onChunk) {
+        let text = '';
+        let usage = null;
+        let finishReason = 'stop';
+        let blockReason = null;
+        const functionCalls = [];
+        
+        for await (const chunk of client.streamContent(model, systemPrompt, userPrompt, config, tools)) {
+            // Usage is cumulative; the last chunk that reports it has the final counts
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+            if (chunk.finishReason) {
+                finishReason = chunk.finishReason;
+                blockReason = chunk.blockReason || blockReason;
+            }
+            if (chunk.text) {
+                text += chunk.text;
+                // Never show tool_code blocks while they stream in
+                onChunk(text.split('```tool_code')[0]);
+            }
+            if (chunk.functionCalls) {
+                functionCalls.push(...chunk.functionCalls);
+            }
+        }
+        
+        // A stream that ends without text or function calls is an empty response, as in _processResponse
+        if (!text.trim() && functionCalls.length === 0 && finishReason === 'stop') {
+            finishReason = 'empty';
+        }
+        
+        const result = functionCalls.length > 0 ? { text, finishReason, functionCalls } : { text, finishReason };
+        if (blockReason) {
+            result.blockReason = blockReason;
+        }
+        if (usage) {
+            result.usage = usage;
+        }
+        return result;
+    }
+    
     /**
      * Validate a player's action against the current game state using the light model.
      * @param {string} action - The player's action input.
      * @param {Object} gameState - Current game state.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
      * @returns {Promise<Object>} - Validation result (e.g., {valid: true, involveNPC: false, ...}).
      */
-    async validatePlayerAction(action, gameState) {
-        // Prepare context for validation (e.g., location, player stats/inventory)
-        const validationContext = {
-            location: gameState.world.location,
-            playerRank: gameState.player.rank,
-            playerLevel: gameState.player.level,
-            inventory: gameState.player.inventory.map(item => item.name)
-        };
+    async validatePlayerAction(action, gameState, signal = null) {
         // Use the light model to validate the action and get a structured JSON result
         return await this._callModel('light', {
             purpose: 'validate',
-            playerAction: action,
-            context: validationContext
+            prompt: this.contextBuilder.buildValidation(gameState, action),
+            config: { maxOutputTokens: 200 },
+            signal
+        });
+    }
+    
+    /**
+     * Count the Daily Quest training done in a turn using the light model.
+     * @param {string} action - The player's action text.
+     * @param {string} narration - The turn's narration.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
+     * @returns {Promise<Object>} - { pushups, situps, squats, running }.
+     */
+    async extractTraining(action, narration, signal = null) {
+        return await this._callModel('light', {
+            purpose: 'extractTraining',
+            prompt: this.contextBuilder.buildTrainingExtraction(action, narration),
+            config: { maxOutputTokens: 100 },
+            signal
         });
     }
     
@@ -333,16 +842,17 @@ Ensure your outputs can be parsed directly as JSON.`,
      * @param {string} npcName - Name of the NPC.
      * @param {string} playerAction - The player's action text.
      * @param {Object} npcState - Current state of the NPC (e.g., relationship, knowledge).
-     * @param {Object} sceneContext - Context of the current scene.
+     * @param {Object} gameState - Current game state.
+     * @param {Function|null} onChunk - Optional handler receiving the dialogue streamed so far.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
      * @returns {Promise<Object>} - NPC response containing dialogue (and optional npcChanges).
      */
-    async generateNPCResponse(npcName, playerAction, npcState, sceneContext) {
+    async generateNPCResponse(npcName, playerAction, npcState, gameState, onChunk = null, signal = null) {
         // Call the medium model for NPC dialogue; result will have {dialogue, ...}
         return await this._callModel('medium', {
-            npcName,
-            playerAction,
-            npcState,
-            sceneContext
+            prompt: this.contextBuilder.buildNpcDialogue(gameState, { npcName, npcState, playerAction }),
+            onChunk,
+            signal
         });
     }
     
@@ -350,55 +860,79 @@ Ensure your outputs can be parsed directly as JSON.`,
      * Generate narration for the outcome of a player action using the heavy model.
      * @param {string} playerAction - The player's action.
      * @param {Object|null} npcResponse - The NPC response object if an NPC was involved, otherwise null.
-     * @param {Object} gameState - Current game state.
-     * @param {Object} sceneContext - Additional scene context (e.g., sceneMemory, location, time).
+     * @param {GameState} gameState - Current game state.
      * @param {string|null} npcName - The name of the NPC involved (if any).
-     * @returns {Promise<Object>} - Narration result containing the narration text and any state changes.
-     */
-    async generateNarration(playerAction, npcResponse, gameState, sceneContext, npcName = null) {
-        // Prepare context object to send to the heavy model
-        let tokenCount = 0;
-        const recentEntries = [];
-        for (let i = gameState.state.conversationHistory.length - 1; i >= 0 && tokenCount < 20000; i--) {
-            const entry = gameState.state.conversationHistory[i];
-            tokenCount += entry.tokens;
-            if (tokenCount <= 20000) recentEntries.unshift(entry);
-        }
-        const recentHistory = recentEntries.map(entry => `${entry.role}: ${entry.text}`).join('\n');
-        const allSummaries = gameState.state.summaries.map(summary => `${summary.role}: ${summary.text}`).join('\n');
-        const narrativeContext = {
+     * @param {Function|null} onChunk - Optional handler receiving the narration streamed so far.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the requests (and any further tool calls).
+     * @returns {Promise<Object>} - Narration result containing the narration text and the tool calls made.
+     */
+    async generateNarration(playerAction, npcResponse, gameState, npcName = null, onChunk = null, signal = null) {
+        // History, summaries and the state slice are assembled into multi-turn contents
+        const contents = this.contextBuilder.buildNarration(gameState.state, {
             playerAction,
+            npcName,
             npcResponse: npcResponse?.dialogue,
-            npcName: npcName,
-            playerName: gameState.state.player.name,
-            playerRank: gameState.state.player.rank,
-            playerLevel: gameState.state.player.level,
-            location: gameState.state.world.location,
-            time: gameState.state.world.time,
-            recentHistory,
-            allSummaries
-        };
+            skillUse: gameState.turnSkillUse
+        });
         // Call the heavy model for narrative continuation
         return await this._callModel('heavy', {
-            context: narrativeContext,
-            playerAction
+            prompt: contents,
+            onChunk,
+            signal
+        });
+    }
+    
+    /**
+     * Narrate a combat round the CombatEngine has already resolved, using the heavy model.
+     * @param {Array<string>} roundLines - What happened (CombatEngine.describeRound).
+     * @param {GameState} gameState - Current game state (after the round).
+     * @param {Function|null} onChunk - Optional handler receiving the narration streamed so far.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
+     * @returns {Promise<Object>} - Narration result containing the narration text.
+     */
+    async generateCombatNarration(roundLines, gameState, onChunk = null, signal = null) {
+        // The mechanics are settled; the narrator only describes them
+        return await this._callModel('heavy', {
+            prompt: this.contextBuilder.buildCombatNarration(gameState.state, roundLines),
+            useTools: false,
+            onChunk,
+            signal
+        });
+    }
+    
+    /**
+     * Narrate a shadow extraction attempt the ShadowEngine has already resolved, using the heavy model.
+     * @param {Array<string>} resultLines - What happened (ShadowEngine.describeExtraction).
+     * @param {GameState} gameState - Current game state (after the attempt).
+     * @param {Function|null} onChunk - Optional handler receiving the narration streamed so far.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
+     * @returns {Promise<Object>} - Narration result containing the narration text.
+     */
+    async generateExtractionNarration(resultLines, gameState, onChunk = null, signal = null) {
+        return await this._callModel('heavy', {
+            prompt: this.contextBuilder.buildExtractionNarration(gameState.state, resultLines),
+            useTools: false,
+            onChunk,
+            signal
         });
     }
     
     /**
      * Generate the opening sequence narration for a new game using the heavy model.
-     * @returns {Promise<Object>} - Opening sequence result containing narration text and initial state changes.
+     * @param {Function|null} onChunk - Optional handler receiving the narration streamed so far.
+     * @returns {Promise<Object>} - Opening sequence result containing the narration text and its image prompt.
      */
-    async generateOpeningSequence() {
+    async generateOpeningSequence(onChunk = null) {
+        const initialContext = this.gameState ? this.gameState.getInitialContext() : "Jinwoo has just awakened...";
+        const state = this.gameState ? this.gameState.state : null;
         const result = await this._callModel('heavy', {
-            isOpeningSequence: true,
-            initialContext: this.gameState ? this.gameState.getInitialContext() : "Jinwoo has just awakened..."
+            prompt: state ? this.contextBuilder.buildOpening(state, initialContext) : initialContext,
+            onChunk
         });
         return {
             narration: result.narration,
-            stateChanges: result.stateChanges,
             shouldGenerateImage: true, // Always generate for opening
-            imagePrompt: "A hospital room in Seoul Ilshin Hospital, morning light filtering through blinds, sterile and quiet, Solo Leveling manhwa-style dark fantasy atmosphere"
+            imagePrompt: this.contextBuilder.buildOpeningImagePrompt()
         };
     }
     
@@ -408,20 +942,11 @@ Ensure your outputs can be parsed directly as JSON.`,
      * @returns {Promise<string>} - Continuation narration text.
      */
     async generateContinuationNarration(gameState) {
-        // Provide the current state context to the heavy model to resume the story
-        const recentHistory = gameState.state.conversationHistory.map(entry => `${entry.role}: ${entry.text}`).join('\n');
-        const allSummaries = gameState.state.summaries.map(summary => `${summary.role}: ${summary.text}`).join('\n');
-        const narrativeContext = {
-            isContinuation: true,
-            playerName: gameState.player.name,
-            playerRank: gameState.player.rank,
-            playerLevel: gameState.player.level,
-            location: gameState.world.location,
-            time: gameState.world.time,
-            recentHistory,
-            allSummaries
-        };
-        const result = await this._callModel('heavy', { context: narrativeContext });
+        // Resuming should only narrate, not change the loaded state
+        const result = await this._callModel('heavy', {
+            prompt: this.contextBuilder.buildContinuation(gameState),
+            useTools: false
+        });
         // Return the narration text (or a default line if somehow none returned)
         return result.narration || result.text || "You continue your journey...";
     }
@@ -429,28 +954,50 @@ Ensure your outputs can be parsed directly as JSON.`,
     /**
      * Generate an image for the given scene description using the Gemini image model.
      * @param {string} imagePrompt - A descriptive prompt for the scene.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
      * @returns {Promise<string>} - A Data URL string for the generated image.
      */
-    async generateImage(imagePrompt) {
+    async generateImage(imagePrompt, signal = null) {
         try {
-            const imageUrl = await this._callModel('image', { prompt: imagePrompt });
+            const imageUrl = await this._callModel('image', { prompt: imagePrompt, signal });
             return imageUrl; // Returns a URL directly usable by the UI
         } catch (error) {
             console.error('Gemini image generation error:', error);
             throw error;
         }
     }
-        /**
+    
+    /**
+     * Generate an image of the scene described by a narration.
+     * @param {Object} gameState - Current game state.
+     * @param {string} narration - Narration describing the new scene.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
+     * @returns {Promise<string>} - A Data URL string for the generated image.
+     */
+    async generateSceneImage(gameState, narration, signal = null) {
+        return await this.generateImage(this.contextBuilder.buildImagePrompt(gameState, narration), signal);
+    }
+    
+    /**
      * Summarize a chunk of conversation history using the light model.
      * @param {Array<string>} entries - Array of text entries to summarize.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
      * @returns {Promise<string>} - Summary text.
      */
-        async summarizeHistory(entries) {
-            const userPrompt = `Summarize the following under 50 words:\n${entries.join('\n')}`;
-            const result = await this._callModel('light', { 
-                prompt: userPrompt,
-                systemPrompt: this.systemPrompts.light // Use existing light system prompt
-            });
-            return result.text || "Summary unavailable.";
-        }
+    async summarizeHistory(entries, signal = null) {
+        const result = await this._callModel('light', { 
+            purpose: 'summarize',
+            prompt: this.contextBuilder.buildSummary(entries),
+            config: { maxOutputTokens: 256 },
+            signal
+        });
+        return result.text || "Summary unavailable.";
+    }
 }
+
+/**
+ * Whether a model accepts a thinking budget (thinkingConfig.thinkingBudget)
+ * @param {string} model - Model ID
+ * @returns {boolean}
+ */
+ModelManager.supportsThinkingBudget = (model) => /^gemini-(2\.5|[3-9])/.test(model || '');
@@ -0,0 +1,334 @@
+/**
+ * OpenAI-Compatible API Client
+ *
+ * Talks to any server exposing the OpenAI chat-completions API, such as a
+ * local llama.cpp server or Ollama. Lets the game run against a local model
+ * without internet access.
+ */
+class OpenAiCompatibleClient extends LlmProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || 'http://localhost:8080/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || '';
+    }
+
+    /**
+     * Generate content using a chat-completions model
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {Promise<Object>} - Processed response
+     */
+    async generateContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        try {
+            const requestBody = this._buildChatRequest(model, systemPrompt, userPrompt, config, tools);
+
+            const data = await this._postJson(`${this.baseUrl}/chat/completions`, requestBody, this._authHeaders(), config.signal);
+
+            return this._processResponse(data);
+
+        } catch (error) {
+            console.error('OpenAI-compatible API error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stream content using `stream: true` chat completions.
+     * Tool call fragments are accumulated and yielded once the stream ends.
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {AsyncGenerator<Object>} - Chunks of { text, functionCalls? }
+     */
+    async *streamContent(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        try {
+            const requestBody = this._buildChatRequest(model, systemPrompt, userPrompt, config, tools);
+            requestBody.stream = true;
+            // Ask for a final usage event (servers that don't support it just omit it)
+            requestBody.stream_options = { include_usage: true };
+
+            const toolCalls = [];
+            for await (const event of this._postStream(`${this.baseUrl}/chat/completions`, requestBody, this._authHeaders(), config.signal)) {
+                if (event.usage) {
+                    yield { text: '', usage: this._processUsage(event.usage) };
+                }
+                const delta = event.choices?.[0]?.delta || {};
+                if (event.choices?.[0]?.finish_reason) {
+                    yield { text: '', finishReason: this._mapFinishReason(event.choices[0].finish_reason) };
+                }
+                if (delta.content) {
+                    yield { text: delta.content };
+                }
+                for (const fragment of delta.tool_calls || []) {
+                    const index = fragment.index || 0;
+                    toolCalls[index] = toolCalls[index] || { id: fragment.id, name: '', arguments: '' };
+                    toolCalls[index].name += fragment.function?.name || '';
+                    toolCalls[index].arguments += fragment.function?.arguments || '';
+                }
+            }
+
+            const functionCalls = toolCalls
+                .filter(Boolean)
+                .map(call => this._parseToolCall(call.name, call.arguments, call.id));
+            if (functionCalls.length > 0) {
+                yield { text: '', functionCalls };
+            }
+
+        } catch (error) {
+            console.error('OpenAI-compatible streaming error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the chat-completions request body
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt, or Gemini-style `contents` turns
+     * @param {Object} config - Generation config
+     * @param {Array} tools - Functions available to the model (optional)
+     * @returns {Object} - Request body
+     * @private
+     */
+    _buildChatRequest(model, systemPrompt, userPrompt, config = {}, tools = null) {
+        const messages = [];
+        if (systemPrompt) {
+            messages.push({ role: 'system', content: systemPrompt });
+        }
+        if (Array.isArray(userPrompt)) {
+            messages.push(...this._convertContents(userPrompt));
+        } else {
+            messages.push({ role: 'user', content: userPrompt });
+        }
+
+        const requestBody = { model, messages };
+        // Unset sampling parameters are left to the server's defaults
+        if (config.temperature !== undefined) {
+            requestBody.temperature = config.temperature;
+        }
+        if (config.topP !== undefined) {
+            requestBody.top_p = config.topP;
+        }
+        if (config.maxOutputTokens !== undefined) {
+            requestBody.max_tokens = config.maxOutputTokens;
+        }
+
+        if (config.stopSequences && config.stopSequences.length > 0) {
+            requestBody.stop = config.stopSequences;
+        }
+
+        if (tools && tools.length > 0) {
+            requestBody.tools = this._convertTools(tools);
+            requestBody.tool_choice = config.functionCallingMode === 'NONE' ? 'none' : 'auto';
+        }
+
+        if (config.responseSchema) {
+            requestBody.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: config.responseSchema }
+            };
+        } else if (config.responseMimeType === 'application/json') {
+            requestBody.response_format = { type: 'json_object' };
+        }
+
+        return requestBody;
+    }
+
+    /**
+     * Generate an image through the /images/generations endpoint
+     * @param {string} model - Model ID
+     * @param {string} prompt - Scene description
+     * @param {Object} config - Generation config
+     * @returns {Promise<string>} - Image data URL
+     */
+    async generateImage(model, prompt, config = {}) {
+        try {
+            const requestBody = {
+                model,
+                prompt: config.systemPrompt ? `${config.systemPrompt}\n\nGenerate an image of: ${prompt}` : prompt,
+                n: 1,
+                response_format: 'b64_json'
+            };
+
+            const data = await this._postJson(`${this.baseUrl}/images/generations`, requestBody, this._authHeaders(), config.signal);
+
+            if (config.onUsage) {
+                config.onUsage(this._processUsage(data.usage));
+            }
+
+            const image = data.data?.[0];
+            if (image?.b64_json) {
+                return `data:image/png;base64,${image.b64_json}`;
+            }
+            if (image?.url) {
+                return image.url;
+            }
+            throw new Error('No image data in response');
+
+        } catch (error) {
+            console.error('OpenAI-compatible image generation error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert Gemini-style function declarations into OpenAI tool definitions
+     * @param {Array} tools - Gemini tools ([{ functionDeclarations: [...] }]) or bare declarations
+     * @returns {Array} - OpenAI tools
+     * @private
+     */
+    _convertTools(tools) {
+        const declarations = tools.flatMap(tool => tool.functionDeclarations || [tool]);
+        return declarations.map(declaration => ({
+            type: 'function',
+            function: {
+                name: declaration.name,
+                description: declaration.description,
+                // Declarations without arguments (see leave_gate) still get an empty object schema here
+                parameters: declaration.parameters || { type: 'object', properties: {} }
+            }
+        }));
+    }
+
+    /**
+     * Convert Gemini-style `contents` turns into chat-completions messages
+     * @param {Array} contents - Turns of { role, parts }
+     * @returns {Array} - OpenAI messages
+     * @private
+     */
+    _convertContents(contents) {
+        const messages = [];
+        for (const turn of contents) {
+            const parts = turn.parts || [];
+            const text = parts.filter(part => part.text).map(part => part.text).join('');
+            const calls = parts.filter(part => part.functionCall);
+            const responses = parts.filter(part => part.functionResponse);
+
+            if (responses.length > 0) {
+                responses.forEach((part, i) => messages.push({
+                    role: 'tool',
+                    tool_call_id: part.functionResponse.id || `call_${i}`,
+                    content: JSON.stringify(part.functionResponse.response)
+                }));
+                if (text) {
+                    messages.push({ role: 'user', content: text });
+                }
+            } else if (turn.role === 'model') {
+                const message = { role: 'assistant', content: text || null };
+                if (calls.length > 0) {
+                    message.tool_calls = calls.map((part, i) => ({
+                        id: part.functionCall.id || `call_${i}`,
+                        type: 'function',
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {})
+                        }
+                    }));
+                }
+                messages.push(message);
+            } else {
+                messages.push({ role: 'user', content: text });
+            }
+        }
+        return messages;
+    }
+
+    /**
+     * Build the Authorization header when an API key is configured
+     * @returns {Object} - Headers
+     * @private
+     */
+    _authHeaders() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    /**
+     * Process and format the API response
+     * @param {Object} response - Raw API response
+     * @returns {Object} - Processed response
+     * @private
+     */
+    _processResponse(response) {
+        const message = response.choices?.[0]?.message;
+        if (!message) {
+            throw new Error('No choices in response');
+        }
+
+        const result = {
+            text: message.content || '',
+            finishReason: this._mapFinishReason(response.choices[0].finish_reason),
+            usage: this._processUsage(response.usage)
+        };
+
+        if (message.tool_calls && message.tool_calls.length > 0) {
+            result.functionCalls = message.tool_calls.map(call => this._parseToolCall(call.function.name, call.function.arguments, call.id));
+        }
+
+        return result;
+    }
+
+    /**
+     * Map an OpenAI finish_reason onto LlmProvider.FINISH_REASONS
+     * @param {string} finishReason - Raw finish reason
+     * @returns {string} - Normalized finish reason
+     * @private
+     */
+    _mapFinishReason(finishReason) {
+        switch (finishReason) {
+            case undefined:
+            case null:
+            case 'stop':
+            case 'tool_calls':
+            case 'function_call':
+                return 'stop';
+            case 'length':
+                return 'max_tokens';
+            case 'content_filter':
+                return 'safety';
+            default:
+                return 'other';
+        }
+    }
+
+    /**
+     * Convert an OpenAI usage object into the { promptTokens, candidateTokens, totalTokens } shape
+     * @param {Object} usage - Raw usage
+     * @returns {Object|null} - Usage
+     * @private
+     */
+    _processUsage(usage) {
+        if (!usage) {
+            return null;
+        }
+        const promptTokens = usage.prompt_tokens || usage.input_tokens || 0;
+        const candidateTokens = usage.completion_tokens || usage.output_tokens || 0;
+        return {
+            promptTokens,
+            candidateTokens,
+            totalTokens: usage.total_tokens || promptTokens + candidateTokens
+        };
+    }
+
+    /**
+     * Convert an OpenAI tool call into the { name, parameters } shape used by ModelManager
+     * @param {string} name - Function name
+     * @param {string} args - JSON-encoded arguments
+     * @param {string} id - Tool call ID, echoed back with the function response
+     * @returns {Object} - Function call
+     * @private
+     */
+    _parseToolCall(name, args, id) {
+        let parameters = {};
+        try {
+            parameters = JSON.parse(args || '{}');
+        } catch (error) {
+            console.warn(`Could not parse arguments for ${name}:`, error);
+        }
+        return { id, name, parameters };
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Request Layer
+ *
+ * Every provider HTTP call goes through here. Failures are classified
+ * (rate limit, server error, network failure, safety block, invalid key, ...),
+ * transient ones are retried with exponential backoff and jitter while
+ * honoring Retry-After, and a circuit breaker pauses calls after repeated
+ * failed requests.
+ */
+
+/**
+ * Error raised for a classified model API failure
+ */
+class ModelApiError extends Error {
+    /**
+     * @param {string} kind - One of ModelApiError.KINDS
+     * @param {string} message - Technical message (for logs)
+     * @param {Object} details - { status, retryAfterMs }
+     */
+    constructor(kind, message, details = {}) {
+        super(message);
+        this.name = 'ModelApiError';
+        this.kind = kind;
+        this.status = details.status || null;
+        this.retryAfterMs = details.retryAfterMs || null;
+    }
+
+    /**
+     * Whether retrying the same request may succeed
+     * @returns {boolean}
+     */
+    get retryable() {
+        return ['rate_limit', 'server', 'network'].includes(this.kind);
+    }
+
+    /**
+     * Message suitable for showing to the player
+     * @returns {string}
+     */
+    get userMessage() {
+        switch (this.kind) {
+            case 'rate_limit':
+                return 'The model is rate limited (quota reached). Wait a moment, then try your action again.';
+            case 'server':
+                return 'The model service is having trouble right now. Please try again shortly.';
+            case 'network':
+                return 'Could not reach the model service. Check your connection (or local model server) and try again.';
+            case 'safety':
+                return 'The model refused to continue this scene because of its safety filters. Try rephrasing your action.';
+            case 'recitation':
+                return 'The model stopped because its answer was too close to existing text. Try rephrasing your action.';
+            case 'empty':
+                return 'The model returned an empty answer. Please try your action again.';
+            case 'invalid_key':
+                return 'Your API key was rejected. Update it in Settings and try again.';
+            case 'not_found':
+                return 'The configured model was not found. Check the model ID in Settings.';
+            case 'circuit_open':
+                return `Model calls are paused after repeated failures. Try again in ${Math.ceil((this.retryAfterMs || 0) / 1000)} seconds.`;
+            default:
+                return 'The model rejected the request. Please try a different action.';
+        }
+    }
+}
+
+ModelApiError.KINDS = ['rate_limit', 'server', 'network', 'safety', 'recitation', 'empty', 'invalid_key', 'not_found', 'bad_request', 'circuit_open'];
+
+class RequestLayer {
+    /**
+     * @param {Object} options - Retry and circuit breaker policy
+     */
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelayMs = options.baseDelayMs ?? 1000;
+        this.maxDelayMs = options.maxDelayMs ?? 20000;
+        this.maxRetryAfterMs = options.maxRetryAfterMs ?? 60000;  // Longer server-requested waits fail fast instead
+        this.failureThreshold = options.failureThreshold ?? 3;    // Failed requests before the circuit opens
+        this.cooldownMs = options.cooldownMs ?? 30000;
+
+        // Circuit breaker state
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+
+        // Optional hook (error, attempt, delayMs) called before each retry
+        this.onRetry = null;
+    }
+
+    /**
+     * Perform a request with classification, retries and the circuit breaker
+     * @param {Function} doFetch - Returns a fetch() promise; called once per attempt
+     * @param {AbortSignal} signal - Optional signal; aborting also cancels a pending backoff wait
+     * @returns {Promise<Response>} - Successful response
+     */
+    async execute(doFetch, signal = null) {
+        const now = Date.now();
+        if (now < this.openUntil) {
+            throw new ModelApiError('circuit_open', 'Circuit breaker is open', { retryAfterMs: this.openUntil - now });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            signal?.throwIfAborted();
+            let error;
+            try {
+                const response = await doFetch();
+                if (response.ok) {
+                    this._recordSuccess();
+                    return response;
+                }
+                error = await this._errorFromResponse(response);
+            } catch (fetchError) {
+                // Deliberate cancellation is never retried or counted as a failure
+                if (fetchError.name === 'AbortError') {
+                    throw fetchError;
+                }
+                error = fetchError instanceof ModelApiError
+                    ? fetchError
+                    : new ModelApiError('network', `Network error: ${fetchError.message}`);
+            }
+
+            const delayMs = this._retryDelay(attempt, error);
+            if (!error.retryable || attempt >= this.maxRetries || delayMs === null) {
+                this._recordFailure(error);
+                throw error;
+            }
+
+            console.warn(`Model request failed (${error.kind}); retrying in ${delayMs}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+            if (this.onRetry) {
+                this.onRetry(error, attempt + 1, delayMs);
+            }
+            await this._sleep(delayMs, signal);
+        }
+    }
+
+    /**
+     * Wait before a retry, rejecting early if the signal aborts
+     * @param {number} delayMs - Delay in milliseconds
+     * @param {AbortSignal|null} signal - Optional abort signal
+     * @returns {Promise<void>}
+     * @private
+     */
+    _sleep(delayMs, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delayMs);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Classify a failure returned by the API itself (used for errors found in 200 responses too)
+     * @param {number} status - HTTP status
+     * @param {Object} body - Parsed error body
+     * @param {number|null} retryAfterMs - Server-requested delay
+     * @returns {ModelApiError}
+     */
+    classify(status, body = {}, retryAfterMs = null) {
+        const apiError = body.error || {};
+        const message = apiError.message || `HTTP ${status}`;
+        const reasons = (apiError.details || []).map(detail => detail.reason).filter(Boolean);
+
+        let kind = 'bad_request';
+        if (status === 429 || apiError.status === 'RESOURCE_EXHAUSTED') {
+            kind = 'rate_limit';
+        } else if (status >= 500) {
+            kind = 'server';
+        } else if (status === 401 || status === 403 || reasons.includes('API_KEY_INVALID') || /api key/i.test(message)) {
+            kind = 'invalid_key';
+        } else if (status === 404 || apiError.status === 'NOT_FOUND') {
+            kind = 'not_found';
+        }
+
+        return new ModelApiError(kind, `API error: ${message}`, { status, retryAfterMs });
+    }
+
+    /**
+     * Build a classified error from a non-OK response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<ModelApiError>}
+     * @private
+     */
+    async _errorFromResponse(response) {
+        const body = await response.json().catch(() => ({}));
+        return this.classify(response.status, body, this._parseRetryAfter(response, body));
+    }
+
+    /**
+     * Read the server-requested delay from the Retry-After header or Gemini's RetryInfo detail
+     * @param {Response} response - Fetch response
+     * @param {Object} body - Parsed error body
+     * @returns {number|null} - Delay in milliseconds
+     * @private
+     */
+    _parseRetryAfter(response, body) {
+        const header = response.headers?.get('Retry-After');
+        if (header) {
+            const seconds = Number(header);
+            if (!Number.isNaN(seconds)) {
+                return seconds * 1000;
+            }
+            const date = Date.parse(header);
+            if (!Number.isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+
+        const retryInfo = (body.error?.details || []).find(detail => detail.retryDelay);
+        if (retryInfo) {
+            const seconds = parseFloat(retryInfo.retryDelay);
+            if (!Number.isNaN(seconds)) {
+                return seconds * 1000;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Delay before the next attempt: Retry-After when given, else exponential backoff with jitter
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {ModelApiError} error - The failure
+     * @returns {number|null} - Delay in ms, or null when the server asks for a wait too long to sit through
+     * @private
+     */
+    _retryDelay(attempt, error) {
+        if (error.retryAfterMs !== null) {
+            return error.retryAfterMs > this.maxRetryAfterMs ? null : Math.round(error.retryAfterMs + Math.random() * 250);
+        }
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        // "Equal jitter": half fixed, half random
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Reset the circuit breaker after a success
+     * @private
+     */
+    _recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+    }
+
+    /**
+     * Count a failed request; open the circuit after too many transient failures in a row
+     * @param {ModelApiError} error - The failure
+     * @private
+     */
+    _recordFailure(error) {
+        if (!error.retryable) {
+            return;
+        }
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.failureThreshold) {
+            this.openUntil = Date.now() + this.cooldownMs;
+            console.warn(`Circuit breaker opened for ${this.cooldownMs}ms after ${this.consecutiveFailures} failed requests`);
+        }
+    }
+}
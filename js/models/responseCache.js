@@ -0,0 +1,142 @@
+/**
+ * Response Cache
+ *
+ * Opt-in IndexedDB cache for model results that are safe to reuse: light-model
+ * results (validation, extraction, summaries) and generated images. Entries
+ * are keyed by a hash of the model, system prompt, user prompt and config,
+ * expire after a TTL, and the least recently used entries are evicted once
+ * the cache grows past its size limit.
+ *
+ * Every failure (no IndexedDB, quota errors, ...) degrades to a cache miss.
+ */
+class ResponseCache {
+    /**
+     * @param {Object} options - { enabled, ttlMs, maxBytes }
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? false;
+        this.ttlMs = options.ttlMs ?? 7 * 24 * 60 * 60 * 1000;   // One week
+        this.maxBytes = options.maxBytes ?? 50 * 1024 * 1024;    // 50 MB
+        this.store = new IdbStore('solo_leveling_response_cache', 'responses');
+    }
+
+    /**
+     * Build the cache key for a call
+     * @param {string} model - Model ID
+     * @param {string} systemPrompt - System prompt
+     * @param {string|Array} userPrompt - User prompt or contents turns
+     * @param {Object} config - Generation config (the abort signal and callbacks are ignored)
+     * @returns {string} - Cache key
+     */
+    keyFor(model, systemPrompt, userPrompt, config = {}) {
+        const { signal, onUsage, ...cacheableConfig } = config;
+        return hashString(canonicalJson({ model, systemPrompt, userPrompt, config: cacheableConfig }));
+    }
+
+    /**
+     * Look up a cached result
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} - Cached value, or undefined on a miss
+     */
+    async get(key) {
+        if (!this.enabled) {
+            return undefined;
+        }
+        try {
+            const entry = await this.store.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (Date.now() - entry.createdAt > this.ttlMs) {
+                await this.store.delete(key);
+                return undefined;
+            }
+            // Touch for LRU eviction; no need to wait for it
+            this.store.put({ ...entry, lastUsed: Date.now() }).catch(() => {});
+            return entry.value;
+        } catch (error) {
+            console.warn('Response cache lookup failed:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Store a result, then evict expired and least recently used entries if over the size limit
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-compatible result
+     * @param {string} role - Model role that produced it (for stats)
+     * @returns {Promise<void>}
+     */
+    async set(key, value, role) {
+        if (!this.enabled) {
+            return;
+        }
+        try {
+            const now = Date.now();
+            await this.store.put({
+                key,
+                value,
+                role,
+                createdAt: now,
+                lastUsed: now,
+                // UTF-16 string size is a close enough estimate of the stored size
+                size: JSON.stringify(value).length * 2
+            });
+            await this._evict();
+        } catch (error) {
+            console.warn('Response cache write failed:', error);
+        }
+    }
+
+    /**
+     * Entry count and approximate size of the cache
+     * @returns {Promise<Object>} - { entries, bytes }
+     */
+    async getStats() {
+        try {
+            const entries = await this.store.getAll();
+            return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0) };
+        } catch (error) {
+            return { entries: 0, bytes: 0 };
+        }
+    }
+
+    /**
+     * Remove every cached result
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.warn('Failed to clear response cache:', error);
+        }
+    }
+
+    /**
+     * Drop expired entries, then the least recently used ones until under maxBytes
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _evict() {
+        const now = Date.now();
+        const entries = await this.store.getAll();
+        let total = 0;
+        const live = [];
+        for (const entry of entries) {
+            if (now - entry.createdAt > this.ttlMs) {
+                await this.store.delete(entry.key);
+            } else {
+                live.push(entry);
+                total += entry.size || 0;
+            }
+        }
+
+        live.sort((a, b) => a.lastUsed - b.lastUsed);
+        for (const entry of live) {
+            if (total <= this.maxBytes) break;
+            await this.store.delete(entry.key);
+            total -= entry.size || 0;
+        }
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Structured Output
+ *
+ * Declares the JSON schema for each light-model purpose and checks responses
+ * against it. The same schema is sent to the API as `responseSchema`, then
+ * enforced locally, since models (especially local ones) don't always honor it.
+ * When output stays malformed after the repair pass, callers get the
+ * purpose's fallback, flagged with `modelOutputInvalid: true`.
+ */
+class StructuredOutput {
+    constructor() {
+        // Schemas use the OpenAPI subset understood by Gemini's responseSchema
+        this.schemas = {
+            validate: {
+                type: 'object',
+                properties: {
+                    valid: { type: 'boolean', description: 'Whether the action is possible in the current situation' },
+                    reason: { type: 'string', description: 'Why the action is or is not possible' },
+                    involveNPC: { type: 'boolean', description: 'Whether the action involves talking to or interacting with an NPC' },
+                    npcName: { type: 'string', description: 'Name of the NPC involved, empty if none' },
+                    newScene: { type: 'boolean', description: 'Whether the action moves Jinwoo to a new physical scene' },
+                    skill: { type: 'string', description: 'Name of the skill the action uses, empty if none' }
+                },
+                required: ['valid', 'reason', 'involveNPC', 'npcName', 'newScene']
+            },
+            extractTraining: {
+                type: 'object',
+                properties: {
+                    pushups: { type: 'integer', description: 'Push-ups Jinwoo completed this turn' },
+                    situps: { type: 'integer', description: 'Sit-ups Jinwoo completed this turn' },
+                    squats: { type: 'integer', description: 'Squats Jinwoo completed this turn' },
+                    running: { type: 'number', description: 'Kilometers Jinwoo ran this turn' }
+                },
+                required: ['pushups', 'situps', 'squats', 'running']
+            }
+        };
+
+        // Checks the schema cannot express
+        this.checks = {
+            validate: (value) => (value.involveNPC && !value.npcName.trim())
+                ? ['npcName must name the NPC when involveNPC is true']
+                : []
+        };
+
+        // Used when the model never produced valid output. A malformed validation
+        // lets the action through: bad model output is not a bad player action.
+        this.fallbacks = {
+            validate: { valid: true, reason: '', involveNPC: false, npcName: '', newScene: false },
+            extractTraining: { pushups: 0, situps: 0, squats: 0, running: 0 }
+        };
+    }
+
+    /**
+     * Whether a purpose has a declared schema
+     * @param {string} purpose - Light-model purpose
+     * @returns {boolean}
+     */
+    hasSchema(purpose) {
+        return Boolean(purpose && this.schemas[purpose]);
+    }
+
+    /**
+     * Get the schema for a purpose
+     * @param {string} purpose - Light-model purpose
+     * @returns {Object|undefined} - Schema
+     */
+    getSchema(purpose) {
+        return this.schemas[purpose];
+    }
+
+    /**
+     * Get a fresh copy of the fallback for a purpose
+     * @param {string} purpose - Light-model purpose
+     * @returns {Object} - Fallback value flagged with modelOutputInvalid
+     */
+    getFallback(purpose) {
+        return { ...JSON.parse(JSON.stringify(this.fallbacks[purpose] || {})), modelOutputInvalid: true };
+    }
+
+    /**
+     * Parse and validate a model response
+     * @param {string} purpose - Light-model purpose
+     * @param {string} text - Raw model text
+     * @returns {Object} - { value, errors } (errors is empty when the value is valid)
+     */
+    parse(purpose, text) {
+        const schema = this.schemas[purpose];
+        let value;
+        try {
+            value = JSON.parse(this._stripCodeFence(text || ''));
+        } catch (error) {
+            return { value: null, errors: [`Response is not valid JSON (${error.message})`] };
+        }
+
+        value = this._coerce(value, schema);
+        const errors = this.validate(value, schema);
+        if (errors.length === 0 && this.checks[purpose]) {
+            errors.push(...this.checks[purpose](value));
+        }
+        return { value, errors };
+    }
+
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema
+     * @param {string} path - Path used in error messages
+     * @returns {Array<string>} - Validation errors
+     */
+    validate(value, schema, path = 'response') {
+        if (value === null || value === undefined) {
+            return schema.nullable ? [] : [`${path} is missing`];
+        }
+
+        const errors = [];
+        switch (schema.type) {
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    return [`${path} must be an object`];
+                }
+                for (const key of schema.required || []) {
+                    if (!(key in value)) {
+                        errors.push(`${path}.${key} is required`);
+                    }
+                }
+                for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                    if (key in value) {
+                        errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+                    }
+                }
+                break;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    return [`${path} must be an array`];
+                }
+                if (schema.items) {
+                    value.forEach((item, i) => errors.push(...this.validate(item, schema.items, `${path}[${i}]`)));
+                }
+                break;
+
+            case 'integer':
+                if (!Number.isInteger(value)) {
+                    errors.push(`${path} must be an integer`);
+                }
+                break;
+
+            case 'number':
+                if (typeof value !== 'number' || Number.isNaN(value)) {
+                    errors.push(`${path} must be a number`);
+                }
+                break;
+
+            case 'boolean':
+            case 'string':
+                if (typeof value !== schema.type) {
+                    errors.push(`${path} must be a ${schema.type}`);
+                }
+                break;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Build the follow-up prompt asking the model to fix its previous answer
+     * @param {Array<string>} errors - Validation errors
+     * @returns {string} - Repair prompt
+     */
+    buildRepairPrompt(errors) {
+        return `Your previous response did not match the required JSON schema:\n- ${errors.join('\n- ')}\nRespond again with only the corrected JSON object.`;
+    }
+
+    /**
+     * Remove a ```json ... ``` fence around the payload
+     * @param {string} text - Raw text
+     * @returns {string} - Unfenced text
+     * @private
+     */
+    _stripCodeFence(text) {
+        const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+        return match ? match[1] : text.trim();
+    }
+
+    /**
+     * Apply lossless coercions models commonly need ("true" -> true, "5" -> 5)
+     * @param {*} value - Parsed value
+     * @param {Object} schema - Schema
+     * @returns {*} - Coerced value
+     * @private
+     */
+    _coerce(value, schema) {
+        if (!schema || value === null || value === undefined) {
+            return value;
+        }
+        if (schema.type === 'boolean' && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+            return value.trim().toLowerCase() === 'true';
+        }
+        if ((schema.type === 'integer' || schema.type === 'number') && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+            return Number(value);
+        }
+        if (schema.type === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+            const coerced = { ...value };
+            for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                if (key in coerced) {
+                    coerced[key] = this._coerce(coerced[key], propertySchema);
+                }
+            }
+            return coerced;
+        }
+        if (schema.type === 'array' && Array.isArray(value)) {
+            return value.map(item => this._coerce(item, schema.items));
+        }
+        return value;
+    }
+}
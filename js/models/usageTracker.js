@@ -0,0 +1,178 @@
+/**
+ * Usage Tracker
+ *
+ * Records the token usage and latency of every model call, per role
+ * (heavy/medium/light/image) and per turn, and prices it with a per-model
+ * cost table. The measured prompt sizes also calibrate the word-count
+ * heuristic in tokenestimate.js, so history trimming works from real counts.
+ */
+class UsageTracker {
+    /**
+     * @param {Object} pricing - USD per million tokens by model ID: { [model]: { input, output } }
+     */
+    constructor(pricing = {}) {
+        this.pricing = { ...UsageTracker.DEFAULT_PRICING, ...pricing };
+        this.reset();
+    }
+
+    /**
+     * Clear all records (start of a new session)
+     */
+    reset() {
+        this.records = [];
+        this.turn = 0;
+        this.turnLabels = { 0: 'Setup' };
+        // Measured vs. estimated prompt tokens, for calibrating estimateTokens
+        this.measuredPromptTokens = 0;
+        this.estimatedPromptTokens = 0;
+    }
+
+    /**
+     * Start attributing calls to a new turn
+     * @param {string} label - Turn description (e.g. the player's action)
+     */
+    beginTurn(label) {
+        this.turn++;
+        this.turnLabels[this.turn] = label;
+    }
+
+    /**
+     * Record one model call
+     * @param {Object} call - { role, model, provider, usage, latencyMs, estimatedPromptTokens }
+     *   where usage is { promptTokens, candidateTokens, totalTokens } (null when the provider reported none)
+     */
+    record(call) {
+        const usage = call.usage || {};
+        const promptTokens = usage.promptTokens || 0;
+        const candidateTokens = usage.candidateTokens || 0;
+
+        this.records.push({
+            turn: this.turn,
+            role: call.role,
+            model: call.model,
+            provider: call.provider,
+            promptTokens,
+            candidateTokens,
+            totalTokens: usage.totalTokens || promptTokens + candidateTokens,
+            latencyMs: Math.round(call.latencyMs || 0),
+            reported: Boolean(call.usage)
+        });
+
+        if (call.usage && promptTokens > 0 && call.estimatedPromptTokens > 0) {
+            this.measuredPromptTokens += promptTokens;
+            this.estimatedPromptTokens += call.estimatedPromptTokens;
+        }
+    }
+
+    /**
+     * Ratio of measured to estimated prompt tokens (1 until a provider has reported usage)
+     * @returns {number}
+     */
+    getCalibration() {
+        return this.estimatedPromptTokens > 0 ? this.measuredPromptTokens / this.estimatedPromptTokens : 1;
+    }
+
+    /**
+     * Token count for a text: the estimate, scaled by what the provider actually measured
+     * @param {string} text - Text to count
+     * @returns {number} - Token count
+     */
+    countTokens(text) {
+        return Math.ceil(estimateTokens(text || '') * this.getCalibration());
+    }
+
+    /**
+     * Estimated cost of a call in USD
+     * @param {string} model - Model ID
+     * @param {number} promptTokens - Input tokens
+     * @param {number} candidateTokens - Output tokens
+     * @returns {number|null} - Cost, or null when the model has no price configured
+     */
+    estimateCost(model, promptTokens, candidateTokens) {
+        const price = this.pricing[model];
+        if (!price) {
+            return null;
+        }
+        return (promptTokens * (price.input || 0) + candidateTokens * (price.output || 0)) / 1e6;
+    }
+
+    /**
+     * Session totals per role
+     * @returns {Object} - { [role]: { calls, promptTokens, candidateTokens, totalTokens, avgLatencyMs, cost } }
+     */
+    getRoleTotals() {
+        return this._aggregate(record => record.role);
+    }
+
+    /**
+     * Totals per turn, in turn order
+     * @returns {Array<Object>} - [{ turn, label, calls, promptTokens, candidateTokens, totalTokens, avgLatencyMs, cost }]
+     */
+    getTurnTotals() {
+        const byTurn = this._aggregate(record => record.turn);
+        return Object.keys(byTurn)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(turn => ({ turn, label: this.turnLabels[turn] || '', ...byTurn[turn] }));
+    }
+
+    /**
+     * Totals per model, for the cost table
+     * @returns {Object} - { [model]: totals }
+     */
+    getModelTotals() {
+        return this._aggregate(record => record.model);
+    }
+
+    /**
+     * Totals across the whole session
+     * @returns {Object} - Totals
+     */
+    getSessionTotals() {
+        return this._aggregate(() => 'session').session || this._emptyTotals();
+    }
+
+    /**
+     * Sum records grouped by a key
+     * @param {Function} keyOf - Record -> group key
+     * @returns {Object} - Totals by key
+     * @private
+     */
+    _aggregate(keyOf) {
+        const groups = {};
+        for (const record of this.records) {
+            const key = keyOf(record);
+            const totals = groups[key] = groups[key] || this._emptyTotals();
+            totals.calls++;
+            totals.promptTokens += record.promptTokens;
+            totals.candidateTokens += record.candidateTokens;
+            totals.totalTokens += record.totalTokens;
+            totals.latencyMs += record.latencyMs;
+            const cost = this.estimateCost(record.model, record.promptTokens, record.candidateTokens);
+            if (cost !== null) {
+                totals.cost += cost;
+            }
+        }
+        for (const totals of Object.values(groups)) {
+            totals.avgLatencyMs = Math.round(totals.latencyMs / totals.calls);
+        }
+        return groups;
+    }
+
+    /**
+     * Zeroed totals
+     * @returns {Object}
+     * @private
+     */
+    _emptyTotals() {
+        return { calls: 0, promptTokens: 0, candidateTokens: 0, totalTokens: 0, latencyMs: 0, avgLatencyMs: 0, cost: 0 };
+    }
+}
+
+// USD per million tokens; override or extend from Settings (stats view)
+UsageTracker.DEFAULT_PRICING = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-2.0-flash-thinking-exp-01-21': { input: 0, output: 0 },
+    'gemini-2.0-flash-exp': { input: 0, output: 0 }
+};
@@ -0,0 +1,619 @@
+/**
+ * Combat Engine
+ *
+ * Turn-based combat: monster stat blocks by gate rank, turn order, and the
+ * damage, dodge, crit and flee formulas driven by the player's attributes,
+ * equipped items and skills. The narrator starts a fight with start_combat; from then on
+ * the player picks actions from the combat menu, every round is resolved
+ * here with the game's seeded RNG, and the heavy model only narrates the
+ * mechanical results. Whether Jinwoo lives is decided by the numbers.
+ *
+ * The encounter lives in state.combat:
+ *   { round, participants: [{ id, name, side, ... }], turnOrder: [ids], log: [lines] }
+ * Enemy participants carry their own HP and stats; the player's HP stays in state.player.
+ * Summoned shadows join as participants on the player's side (side 'shadow', see ShadowEngine).
+ * GameState adds what the fight is for (roomId, penalty) and whether it can be fled
+ * (escapable: false for fights with no way out).
+ */
+class CombatEngine {
+    /**
+     * @param {Object} rules - Formula constants, merged over CombatEngine.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...CombatEngine.DEFAULT_RULES, ...rules };
+        // Skill costs, cooldowns, power and passive bonuses
+        this.skills = new SkillEngine();
+        // Summon costs and shadow participants
+        this.shadows = new ShadowEngine();
+        // Bonuses of the items the player has equipped
+        this.equipment = new EquipmentEngine();
+    }
+
+    /**
+     * Start an encounter (modifies the state)
+     * @param {Object} state - Game state
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Array<Object>} enemies - Groups of [{ name, rank, count?, boss? }]
+     * @returns {Object} - state.combat
+     */
+    startEncounter(state, rng, enemies) {
+        if (state.combat) {
+            throw new Error('Already in combat');
+        }
+        const groups = this._reviewEnemies(enemies);
+
+        const participants = [{ id: 'player', name: state.player.name, side: 'player' }];
+        for (const group of groups) {
+            for (let i = 0; i < group.count; i++) {
+                const name = group.count > 1 ? `${group.name} ${i + 1}` : group.name;
+                participants.push(this.createMonster(rng, { ...group, name }, `e${participants.length}`));
+            }
+        }
+
+        state.combat = { round: 0, participants, turnOrder: this._turnOrder(state.player, participants), log: [] };
+        return state.combat;
+    }
+
+    /**
+     * Roll a monster from its rank's stat block
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} spec - { name, rank, boss }
+     * @param {string} id - Participant ID
+     * @returns {Object} - Enemy participant
+     */
+    createMonster(rng, spec, id) {
+        const block = CombatEngine.MONSTER_RANKS[spec.rank];
+        const boss = Boolean(spec.boss);
+        const statMultiplier = boss ? this.rules.bossStatMultiplier : 1;
+        const rewardMultiplier = boss ? this.rules.bossRewardMultiplier : 1;
+        // Individual monsters vary by up to 10% around the stat block
+        const roll = (value, multiplier = 1) => Math.max(1, Math.round(value * multiplier * rng.range(0.9, 1.1)));
+
+        const maxHP = roll(block.HP, boss ? this.rules.bossHpMultiplier : 1);
+        const stats = {};
+        for (const stat of CombatEngine.STATS) {
+            stats[stat] = roll(block[stat], statMultiplier);
+        }
+        return {
+            id,
+            name: spec.name,
+            side: 'enemy',
+            rank: spec.rank,
+            boss,
+            level: block.level + (boss ? 5 : 0),
+            HP: maxHP,
+            maxHP,
+            stats,
+            attack: roll(block.attack, statMultiplier),
+            defense: roll(block.defense, statMultiplier),
+            xp: Math.round(block.xp * rewardMultiplier),
+            gold: Math.round(rng.int(block.gold[0], block.gold[1]) * rewardMultiplier)
+        };
+    }
+
+    /**
+     * The player's attributes with equipment and passive skill bonuses, plus the attack and defense they add
+     * @param {Object} player - Player state
+     * @returns {Object} - { STR, AGI, INT, SENSE, VIT, attack, defense }
+     */
+    effectiveStats(player) {
+        const stats = { ...player.stats, attack: 0, defense: 0 };
+        for (const bonuses of [this.equipment.bonuses(player), this.skills.passiveBonuses(player)]) {
+            for (const [key, bonus] of Object.entries(bonuses)) {
+                stats[key] = (stats[key] || 0) + bonus;
+            }
+        }
+        // Cursed gear can't take an attribute below zero
+        for (const key of Object.keys(stats)) {
+            stats[key] = Math.max(0, stats[key]);
+        }
+        return stats;
+    }
+
+    /**
+     * What the combat menu can offer right now
+     * @param {Object} state - Game state
+     * @returns {Object} - { targets: [{ id, name }], skills: [{ name, mpCost }], items: [name],
+     *   summonable: [{ id, name, mpCost }], summoned: [{ id, name }], canFlee }
+     */
+    availableActions(state) {
+        const player = state.player;
+        const army = state.shadowArmy || { shadows: [] };
+        return {
+            targets: this._livingEnemies(state.combat).map(enemy => ({ id: enemy.id, name: enemy.name })),
+            skills: (player.skills || [])
+                .filter(skill => !this.skills.useBlockReason(player, skill.name))
+                .map(skill => ({ name: skill.name, mpCost: skill.mpCost })),
+            items: player.inventory.filter(item => this.itemEffect(item)).map(item => item.name),
+            summonable: army.shadows
+                .filter(shadow => !this.shadows.summonBlockReason(state, shadow.id))
+                .map(shadow => ({ id: shadow.id, name: shadow.name, mpCost: this.shadows.summonCost(shadow) })),
+            summoned: this._livingShadows(state.combat).map(shadow => ({ id: shadow.id, name: shadow.name })),
+            canFlee: state.combat?.escapable !== false
+        };
+    }
+
+    /**
+     * Check a combat action before it is resolved
+     * @param {Object} state - Game state
+     * @param {Object} action - { type: 'attack'|'skill'|'item'|'summon'|'dismiss'|'flee', target?, skill?, item?, shadow? }
+     * @returns {string|null} - Why the action can't be taken, or null if it can
+     */
+    validateAction(state, action) {
+        if (!state.combat) {
+            return 'You are not in combat';
+        }
+        const player = state.player;
+        switch (action?.type) {
+            case 'attack':
+                return this._findEnemy(state.combat, action.target) ? null : 'Choose a target that is still standing';
+            case 'skill': {
+                const blocked = this.skills.useBlockReason(player, action.skill);
+                if (blocked) {
+                    return blocked;
+                }
+                // Only skills that strike need a target
+                if (this.skills.find(player, action.skill).effect?.type !== 'damage') {
+                    return null;
+                }
+                return this._findEnemy(state.combat, action.target) ? null : 'Choose a target that is still standing';
+            }
+            case 'item': {
+                const item = this._findItem(player, action.item);
+                if (!item) {
+                    return `You don't have "${action.item}"`;
+                }
+                return this.itemEffect(item) ? null : `${item.name} can't be used in combat`;
+            }
+            case 'summon':
+                return this.shadows.summonBlockReason(state, action.shadow);
+            case 'dismiss':
+                return this._livingShadows(state.combat).some(shadow => shadow.id === action.shadow) ? null : 'Choose a summoned shadow';
+            case 'flee':
+                return state.combat.escapable === false ? 'There is no escape from this fight' : null;
+            default:
+                return 'Unknown combat action';
+        }
+    }
+
+    /**
+     * Resolve one round: every participant acts in turn order, the player with the chosen action
+     * (modifies the state; state.combat is cleared once the fight is over)
+     * @param {Object} state - Game state
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} action - Player's action (see validateAction)
+     * @returns {Object} - { round, action, events: [{ actor, type, target?, damage?, text, ... }],
+     *   outcome: null|'victory'|'defeat'|'fled', rewards: { experience, gold }|null }
+     */
+    resolveRound(state, rng, action) {
+        const error = this.validateAction(state, action);
+        if (error) {
+            throw new Error(error);
+        }
+        const combat = state.combat;
+        combat.round++;
+        const round = { round: combat.round, action, events: [], outcome: null, rewards: null };
+
+        for (const id of combat.turnOrder) {
+            if (id === 'player') {
+                this._playerTurn(state, rng, action, round);
+            } else {
+                // Shadows dismissed or beaten earlier in the round don't act
+                const actor = combat.participants.find(participant => participant.id === id);
+                if (actor?.HP > 0) {
+                    if (actor.side === 'shadow') {
+                        this._shadowTurn(state, rng, actor, action, round);
+                    } else {
+                        this._enemyTurn(state, rng, actor, round);
+                    }
+                }
+            }
+            round.outcome = round.outcome || this._outcome(state);
+            if (round.outcome) {
+                break;
+            }
+        }
+        // A shadow summoned this round takes its place in the turn order from the next one
+        combat.turnOrder = this._turnOrder(state.player, combat.participants);
+
+        combat.log = [...combat.log, ...round.events.map(event => event.text)].slice(-this.rules.maxLogLines);
+        if (round.outcome === 'victory') {
+            const defeated = combat.participants.filter(participant => participant.side === 'enemy');
+            round.rewards = {
+                experience: defeated.reduce((sum, enemy) => sum + enemy.xp, 0),
+                gold: defeated.reduce((sum, enemy) => sum + enemy.gold, 0)
+            };
+        }
+        if (round.outcome) {
+            state.combat = null;
+        }
+        return round;
+    }
+
+    /**
+     * Describe a resolved round, for the combat log and the narrator
+     * @param {Object} round - Result of resolveRound
+     * @returns {Array<string>} - Lines
+     */
+    describeRound(round) {
+        const lines = round.events.map(event => event.text);
+        if (round.outcome === 'victory') {
+            lines.push(`Victory. Rewards: ${round.rewards.experience} experience, ${round.rewards.gold} gold.`);
+        } else if (round.outcome === 'defeat') {
+            lines.push('Defeat. Jinwoo has fallen.');
+        } else if (round.outcome === 'fled') {
+            lines.push('Jinwoo escaped from the fight.');
+        }
+        return lines;
+    }
+
+    /**
+     * What a consumable does in combat: its own effects, or a standard potion effect
+     * @param {Object} item - Inventory item
+     * @returns {Object|null} - { HP?, MP? }, or null if it can't be used in combat
+     */
+    itemEffect(item) {
+        if (item.effects && (item.effects.HP || item.effects.MP)) {
+            return item.effects;
+        }
+        if (item.type !== 'consumable') {
+            return null;
+        }
+        if (/mana|\bmp\b/i.test(item.name)) {
+            return { MP: this.rules.potionRestore };
+        }
+        if (/heal|health|potion|elixir/i.test(item.name)) {
+            return { HP: this.rules.potionRestore };
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the player's action
+     * @param {Object} state - Game state
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} action - Player's action
+     * @param {Object} round - Round being resolved
+     * @private
+     */
+    _playerTurn(state, rng, action, round) {
+        const player = state.player;
+        const stats = this.effectiveStats(player);
+        const name = player.name;
+
+        let skill = null;
+        if (action.type === 'skill') {
+            // MP and cooldown are paid even if the skill misses
+            const use = this.skills.use(player, action.skill);
+            skill = use.skill;
+            if (use.leveledUp) {
+                round.events.push({ actor: name, type: 'skill-level', skill: skill.name, text: `${skill.name} reaches skill level ${skill.level}.` });
+            }
+            if (skill.effect?.type !== 'damage') {
+                round.events.push({ actor: name, type: 'skill', skill: skill.name, text: `${name} uses ${skill.name}.` });
+                return;
+            }
+        }
+
+        if (action.type === 'attack' || skill) {
+            // The chosen target may have fallen earlier in the round
+            const target = this._findEnemy(state.combat, action.target) || this._livingEnemies(state.combat)[0];
+            const magic = skill?.effect.stat === 'INT';
+            const strike = this._strike(rng, stats, { ...target.stats, attack: target.attack, defense: target.defense }, magic);
+            if (skill && !strike.dodged) {
+                strike.damage = Math.max(1, Math.round(strike.damage * this.skills.power(skill)));
+            }
+            round.events.push(this._damageEvent(name, target, strike, skill ? skill.name : null));
+            if (target.HP <= 0) {
+                round.events.push({ actor: name, type: 'defeated', target: target.name, text: `${target.name} is defeated.` });
+            }
+            return;
+        }
+
+        if (action.type === 'item') {
+            const item = this._findItem(player, action.item);
+            const effect = this.itemEffect(item);
+            item.quantity = (item.quantity || 1) - 1;
+            if (item.quantity <= 0) {
+                player.inventory.splice(player.inventory.indexOf(item), 1);
+            }
+            const restored = [];
+            if (effect.HP) {
+                const before = player.HP;
+                player.HP = Math.min(player.maxHP, player.HP + effect.HP);
+                restored.push(`${player.HP - before} HP`);
+            }
+            if (effect.MP) {
+                const before = player.MP;
+                player.MP = Math.min(player.maxMP, player.MP + effect.MP);
+                restored.push(`${player.MP - before} MP`);
+            }
+            round.events.push({ actor: name, type: 'item', item: item.name, text: `${name} uses ${item.name}, restoring ${restored.join(' and ')}.` });
+            return;
+        }
+
+        if (action.type === 'summon') {
+            const shadow = this.shadows.find(state.shadowArmy, action.shadow);
+            const cost = this.shadows.summonCost(shadow);
+            player.MP -= cost;
+            state.combat.participants.push(this.shadows.toParticipant(shadow));
+            round.events.push({ actor: name, type: 'summon', shadow: shadow.name, text: `${name} summons ${shadow.name} (${shadow.grade}) from his shadow for ${cost} MP.` });
+            return;
+        }
+
+        if (action.type === 'dismiss') {
+            const shadow = this._livingShadows(state.combat).find(participant => participant.id === action.shadow);
+            state.combat.participants = state.combat.participants.filter(participant => participant !== shadow);
+            round.events.push({ actor: name, type: 'dismiss', shadow: shadow.name, text: `${name} dismisses ${shadow.name} back into his shadow.` });
+            return;
+        }
+
+        // Flee: faster enemies are harder to escape, bosses harder still
+        const enemies = this._livingEnemies(state.combat);
+        const fastest = Math.max(...enemies.map(enemy => enemy.stats.AGI));
+        let chance = this.rules.fleeBase + (stats.AGI - fastest) * this.rules.fleePerAgi;
+        if (enemies.some(enemy => enemy.boss)) {
+            chance -= this.rules.fleeBossPenalty;
+        }
+        const escaped = rng.chance(this._clamp(chance, 0.05, 0.95));
+        round.events.push({ actor: name, type: 'flee', success: escaped, text: escaped ? `${name} breaks away and flees.` : `${name} tries to flee but is cut off.` });
+        if (escaped) {
+            round.outcome = 'fled';
+        }
+    }
+
+    /**
+     * Resolve a summoned shadow's attack on the player's target (or the first enemy standing)
+     * @param {Object} state - Game state
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} shadow - Shadow participant
+     * @param {Object} action - Player's action this round
+     * @param {Object} round - Round being resolved
+     * @private
+     */
+    _shadowTurn(state, rng, shadow, action, round) {
+        const target = this._findEnemy(state.combat, action.target) || this._livingEnemies(state.combat)[0];
+        const strike = this._strike(rng, { ...shadow.stats, attack: shadow.attack }, { ...target.stats, attack: target.attack, defense: target.defense }, false);
+        round.events.push(this._damageEvent(shadow.name, target, strike, null));
+        if (target.HP <= 0) {
+            round.events.push({ actor: shadow.name, type: 'defeated', target: target.name, text: `${target.name} is defeated.` });
+        }
+    }
+
+    /**
+     * Resolve an enemy's attack on the player, or on one of the summoned shadows
+     * @param {Object} state - Game state
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} enemy - Enemy participant
+     * @param {Object} round - Round being resolved
+     * @private
+     */
+    _enemyTurn(state, rng, enemy, round) {
+        const player = state.player;
+        const shadows = this._livingShadows(state.combat);
+        // Only roll for a target when there is more than one to choose from
+        const shadow = shadows.length > 0 ? rng.pick([null, ...shadows]) : null;
+        const attacker = { ...enemy.stats, attack: enemy.attack };
+        if (shadow) {
+            const strike = this._strike(rng, attacker, { ...shadow.stats, attack: shadow.attack, defense: shadow.defense }, false);
+            round.events.push(this._damageEvent(enemy.name, shadow, strike, null));
+            if (shadow.HP <= 0) {
+                round.events.push({ actor: enemy.name, type: 'shadow-fallen', target: shadow.name, text: `${shadow.name} falls and sinks back into Jinwoo's shadow.` });
+            }
+            return;
+        }
+        const strike = this._strike(rng, attacker, this.effectiveStats(player), false);
+        const target = { name: player.name, HP: player.HP, maxHP: player.maxHP };
+        round.events.push(this._damageEvent(enemy.name, target, strike, null));
+        player.HP = target.HP;
+    }
+
+    /**
+     * Roll one attack: dodge, then damage with variance, then critical hit
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} attacker - { STR, AGI, INT, SENSE, attack }
+     * @param {Object} defender - { AGI, VIT, defense }
+     * @param {boolean} magic - Magic attack (INT-based, harder to dodge, ignores half the defense)
+     * @returns {Object} - { dodged, crit, damage }
+     * @private
+     */
+    _strike(rng, attacker, defender, magic) {
+        const rules = this.rules;
+        let dodgeChance = this._clamp(rules.dodgeBase + (defender.AGI - attacker.AGI) * rules.dodgePerAgi, rules.dodgeMin, rules.dodgeMax);
+        if (magic) {
+            dodgeChance /= 2;
+        }
+        if (rng.chance(dodgeChance)) {
+            return { dodged: true, crit: false, damage: 0 };
+        }
+
+        const power = magic
+            ? attacker.INT * rules.magicPerInt
+            : attacker.STR * rules.attackPerStr + (attacker.attack || 0);
+        const defense = (defender.VIT + (defender.defense || 0)) * rules.defenseFactor * (magic ? 0.5 : 1);
+        let damage = power * rng.range(1 - rules.damageVariance, 1 + rules.damageVariance) - defense;
+        const crit = rng.chance(this._clamp(rules.critBase + attacker.SENSE * rules.critPerSense, rules.critBase, rules.critMax));
+        if (crit) {
+            damage *= rules.critMultiplier;
+        }
+        return { dodged: false, crit, damage: Math.max(1, Math.round(damage)) };
+    }
+
+    /**
+     * Apply a strike to its target and describe it
+     * @param {string} actor - Attacker name
+     * @param {Object} target - Participant (or player view) with name, HP, maxHP
+     * @param {Object} strike - Result of _strike
+     * @param {string|null} skill - Skill used, if any
+     * @returns {Object} - Event
+     * @private
+     */
+    _damageEvent(actor, target, strike, skill) {
+        const how = skill ? `uses ${skill} on` : 'attacks';
+        if (strike.dodged) {
+            return { actor, type: skill ? 'skill' : 'attack', skill, target: target.name, dodged: true, damage: 0, text: `${actor} ${how} ${target.name}, who dodges.` };
+        }
+        target.HP = Math.max(0, target.HP - strike.damage);
+        return {
+            actor,
+            type: skill ? 'skill' : 'attack',
+            skill,
+            target: target.name,
+            damage: strike.damage,
+            crit: strike.crit,
+            text: `${actor} ${how} ${target.name} for ${strike.damage} damage${strike.crit ? ' (critical hit)' : ''}. ${target.name}: ${target.HP}/${target.maxHP} HP.`
+        };
+    }
+
+    /**
+     * How the fight stands after an action
+     * @param {Object} state - Game state
+     * @returns {string|null} - 'defeat', 'victory' or null while it goes on
+     * @private
+     */
+    _outcome(state) {
+        if (state.player.HP <= 0) {
+            return 'defeat';
+        }
+        return this._livingEnemies(state.combat).length === 0 ? 'victory' : null;
+    }
+
+    /**
+     * Check and normalize the enemy groups of a new encounter
+     * @param {Array<Object>} enemies - [{ name, rank, count?, boss? }]
+     * @returns {Array<Object>} - [{ name, rank, count, boss }]
+     * @private
+     */
+    _reviewEnemies(enemies) {
+        if (!Array.isArray(enemies) || enemies.length === 0) {
+            throw new Error('An encounter needs at least one enemy');
+        }
+        const groups = enemies.map(enemy => {
+            const rank = String(enemy?.rank || '').toUpperCase();
+            if (!CombatEngine.MONSTER_RANKS[rank]) {
+                throw new Error(`Unknown monster rank "${enemy?.rank}" (use ${Object.keys(CombatEngine.MONSTER_RANKS).join(', ')})`);
+            }
+            if (typeof enemy.name !== 'string' || !enemy.name.trim()) {
+                throw new Error('Every enemy needs a name');
+            }
+            const count = enemy.count ?? 1;
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error(`Invalid count for ${enemy.name}`);
+            }
+            return { name: enemy.name.trim(), rank, count, boss: Boolean(enemy.boss) };
+        });
+        const total = groups.reduce((sum, group) => sum + group.count, 0);
+        if (total > this.rules.maxEnemies) {
+            throw new Error(`At most ${this.rules.maxEnemies} enemies per encounter`);
+        }
+        return groups;
+    }
+
+    /**
+     * Turn order of an encounter: fastest first, the player winning ties
+     * @param {Object} player - Player state
+     * @param {Array<Object>} participants - Participants
+     * @returns {Array<string>} - Participant IDs
+     * @private
+     */
+    _turnOrder(player, participants) {
+        const playerAGI = this.effectiveStats(player).AGI;
+        const speed = (participant) => participant.side === 'player' ? playerAGI : participant.stats.AGI;
+        return [...participants]
+            .sort((a, b) => speed(b) - speed(a) || (b.side === 'player') - (a.side === 'player'))
+            .map(participant => participant.id);
+    }
+
+    /**
+     * Summoned shadows still fighting
+     * @param {Object} combat - state.combat
+     * @returns {Array<Object>}
+     * @private
+     */
+    _livingShadows(combat) {
+        return this.shadows.summoned(combat).filter(shadow => shadow.HP > 0);
+    }
+
+    /**
+     * Living enemies of an encounter
+     * @param {Object} combat - state.combat
+     * @returns {Array<Object>}
+     * @private
+     */
+    _livingEnemies(combat) {
+        return combat ? combat.participants.filter(participant => participant.side === 'enemy' && participant.HP > 0) : [];
+    }
+
+    /**
+     * A living enemy by ID
+     * @param {Object} combat - state.combat
+     * @param {string} id - Participant ID
+     * @returns {Object|null}
+     * @private
+     */
+    _findEnemy(combat, id) {
+        return this._livingEnemies(combat).find(enemy => enemy.id === id) || null;
+    }
+
+    /**
+     * An inventory item by name (case-insensitive)
+     * @param {Object} player - Player state
+     * @param {string} name - Item name
+     * @returns {Object|null}
+     * @private
+     */
+    _findItem(player, name) {
+        const wanted = String(name || '').toLowerCase();
+        return player.inventory.find(item => item.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Clamp a number into a range
+     * @param {number} value - Value
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number}
+     * @private
+     */
+    _clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+}
+
+// Attributes every combatant has
+CombatEngine.STATS = ['STR', 'AGI', 'INT', 'SENSE', 'VIT'];
+
+// Formula constants
+CombatEngine.DEFAULT_RULES = {
+    attackPerStr: 2,        // Physical power = STR * attackPerStr + weapon attack
+    magicPerInt: 3,         // Magic power (INT skills) = INT * magicPerInt
+    defenseFactor: 0.5,     // Damage is reduced by (VIT + armor defense) * defenseFactor
+    damageVariance: 0.15,   // Damage rolls within +/- 15%
+    dodgeBase: 0.05,        // Dodge chance = dodgeBase + (defender AGI - attacker AGI) * dodgePerAgi
+    dodgePerAgi: 0.01,
+    dodgeMin: 0.02,
+    dodgeMax: 0.5,
+    critBase: 0.05,         // Crit chance = critBase + SENSE * critPerSense, up to critMax
+    critPerSense: 0.005,
+    critMax: 0.5,
+    critMultiplier: 1.75,
+    fleeBase: 0.5,          // Flee chance = fleeBase + (player AGI - fastest enemy AGI) * fleePerAgi
+    fleePerAgi: 0.02,
+    fleeBossPenalty: 0.25,
+    potionRestore: 50,
+    bossHpMultiplier: 3,
+    bossStatMultiplier: 1.3,
+    bossRewardMultiplier: 3,
+    maxEnemies: 6,
+    maxLogLines: 20
+};
+
+// Monster stat blocks by gate rank
+CombatEngine.MONSTER_RANKS = {
+    E: { level: 3, HP: 40, STR: 6, AGI: 8, INT: 4, SENSE: 6, VIT: 6, attack: 3, defense: 2, xp: 40, gold: [5, 20] },
+    D: { level: 12, HP: 90, STR: 16, AGI: 14, INT: 8, SENSE: 10, VIT: 12, attack: 10, defense: 6, xp: 100, gold: [20, 80] },
+    C: { level: 25, HP: 180, STR: 28, AGI: 24, INT: 14, SENSE: 18, VIT: 22, attack: 18, defense: 12, xp: 250, gold: [80, 250] },
+    B: { level: 40, HP: 350, STR: 45, AGI: 38, INT: 25, SENSE: 30, VIT: 36, attack: 30, defense: 20, xp: 600, gold: [250, 800] },
+    A: { level: 60, HP: 700, STR: 70, AGI: 60, INT: 40, SENSE: 48, VIT: 55, attack: 48, defense: 32, xp: 1500, gold: [800, 2500] },
+    S: { level: 85, HP: 1500, STR: 110, AGI: 95, INT: 70, SENSE: 80, VIT: 90, attack: 75, defense: 50, xp: 4000, gold: [3000, 10000] }
+};
@@ -0,0 +1,160 @@
+/**
+ * Daily Quest Engine
+ *
+ * The System's recurring Daily Quest, "Preparation to become powerful":
+ * push-ups, sit-ups, squats and a run, every in-game day. Progress comes
+ * from the training Jinwoo does in the story; the deadline is measured
+ * against the in-game clock (state.world.time). Finishing the quest pays
+ * out stat points and a full recovery. Missing the deadline sends Jinwoo
+ * to the Penalty Zone, a fight he can't run from.
+ *
+ * The quest lives in state.dailyQuest:
+ *   { day, title, objectives: [{ id, label, unit, target, progress }], deadline: { day, hour },
+ *     status: 'active'|'completed'|'failed' }
+ */
+class DailyQuestEngine {
+    /**
+     * @param {Object} rules - Quest rules, merged over DailyQuestEngine.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...DailyQuestEngine.DEFAULT_RULES, ...rules };
+    }
+
+    /**
+     * Issue the Daily Quest for an in-game day
+     * @param {number} day - Day number
+     * @returns {Object} - Quest
+     */
+    createQuest(day) {
+        return {
+            day,
+            title: this.rules.title,
+            objectives: this.rules.objectives.map(objective => ({ ...objective, progress: 0 })),
+            deadline: { day, hour: this.rules.deadlineHour },
+            status: 'active'
+        };
+    }
+
+    /**
+     * Read the in-game clock from state.world.time, e.g. "Day 2 - Evening" or "Day 3, 14:30"
+     * @param {string} time - World time text
+     * @returns {Object|null} - { day, hour }, or null if the text has no day number
+     */
+    parseTime(time) {
+        const text = String(time || '');
+        const dayMatch = text.match(/day\s*(\d+)/i);
+        if (!dayMatch) {
+            return null;
+        }
+        const day = parseInt(dayMatch[1], 10);
+
+        // A clock time ("14:30", "9 PM") is more precise than a period of the day
+        const rest = text.replace(dayMatch[0], '');
+        const clock = rest.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i) || rest.match(/(\d{1,2}):(\d{2})/);
+        if (clock) {
+            let hour = parseInt(clock[1], 10) % 24;
+            const suffix = (clock[3] || '').toLowerCase();
+            if (suffix === 'pm' && hour < 12) {
+                hour += 12;
+            } else if (suffix === 'am' && hour === 12) {
+                hour = 0;
+            }
+            return { day, hour: hour + parseInt(clock[2] || '0', 10) / 60 };
+        }
+
+        const lower = text.toLowerCase();
+        const period = Object.keys(DailyQuestEngine.PERIOD_HOURS).find(name => lower.includes(name));
+        return { day, hour: period ? DailyQuestEngine.PERIOD_HOURS[period] : 0 };
+    }
+
+    /**
+     * Add training to the quest's counters (modifies the quest). Amounts are rounded, negative
+     * amounts ignored, and each counter stops at its target.
+     * @param {Object} quest - Active quest
+     * @param {Object} training - { [objectiveId]: amount }
+     * @returns {Array<Object>} - [{ id, label, added }] for each counter that moved
+     */
+    recordProgress(quest, training) {
+        const progressed = [];
+        for (const objective of quest.objectives) {
+            const amount = Number(training?.[objective.id]);
+            if (!Number.isFinite(amount) || amount <= 0) {
+                continue;
+            }
+            const before = objective.progress;
+            // Repetitions are whole numbers; distances keep one decimal
+            const added = objective.unit === 'km' ? amount : Math.round(amount);
+            objective.progress = Math.min(objective.target, Math.round((before + added) * 10) / 10);
+            if (objective.progress > before) {
+                progressed.push({ id: objective.id, label: objective.label, added: Math.round((objective.progress - before) * 10) / 10 });
+            }
+        }
+        return progressed;
+    }
+
+    /**
+     * Whether every objective has reached its target
+     * @param {Object} quest - Quest
+     * @returns {boolean}
+     */
+    isComplete(quest) {
+        return quest.objectives.every(objective => objective.progress >= objective.target);
+    }
+
+    /**
+     * Whether the in-game clock has passed the quest's deadline
+     * @param {Object} quest - Quest
+     * @param {Object} clock - parseTime() result
+     * @returns {boolean}
+     */
+    isOverdue(quest, clock) {
+        return clock.day > quest.deadline.day
+            || (clock.day === quest.deadline.day && clock.hour >= quest.deadline.hour);
+    }
+
+    /**
+     * Describe the quest for the quest panel and the models
+     * @param {Object} quest - Quest
+     * @returns {string}
+     */
+    describe(quest) {
+        const counters = quest.objectives
+            .map(objective => `${objective.label} ${objective.progress}/${objective.target}${objective.unit ? ` ${objective.unit}` : ''}`)
+            .join(', ');
+        const status = quest.status === 'active'
+            ? `due by the end of day ${quest.deadline.day}`
+            : quest.status;
+        return `Daily Quest "${quest.title}" (day ${quest.day}, ${status}): ${counters}`;
+    }
+}
+
+// Hours of the day named in world time text. Longer names that contain shorter ones
+// ("afternoon", "midnight") come first, so they are matched first. "Day 3 - Midnight"
+// is the start of day 3, like "Day 3, 00:00", not the end of it: a quest issued then
+// has the whole day ahead of it.
+DailyQuestEngine.PERIOD_HOURS = {
+    dawn: 5,
+    morning: 8,
+    afternoon: 15,
+    noon: 12,
+    midday: 12,
+    evening: 19,
+    midnight: 0,
+    night: 22
+};
+
+DailyQuestEngine.DEFAULT_RULES = {
+    title: 'Preparation to become powerful',
+    objectives: [
+        { id: 'pushups', label: 'Push-ups', unit: '', target: 100 },
+        { id: 'situps', label: 'Sit-ups', unit: '', target: 100 },
+        { id: 'squats', label: 'Squats', unit: '', target: 100 },
+        { id: 'running', label: 'Running', unit: 'km', target: 10 }
+    ],
+    // The quest is due at midnight of its day
+    deadlineHour: 24,
+    statPointReward: 3,
+    // The Penalty Zone: a fight with no escape
+    penaltyLocation: 'Penalty Zone - Desert of the Giant Centipedes',
+    penaltyEnemies: [{ name: 'Giant Centipede', count: 3 }]
+};
@@ -0,0 +1,455 @@
+/**
+ * Dungeon Generator
+ *
+ * Builds gates from the game's seeded RNG: a rank (E-S), a type (normal,
+ * red or double), a theme, a graph of rooms from the entrance to the boss
+ * chamber with side rooms along the way, the monsters waiting in each room
+ * (as CombatEngine enemy groups) and the loot each room holds. The gate is
+ * stored in state.world.dungeon and explored one room at a time, so the
+ * narrator and the validator know exactly where Jinwoo is and what lies
+ * ahead.
+ *
+ * Gate types:
+ * - normal: can be left at any time
+ * - red: more monsters per room, and the way out is sealed until the boss falls
+ * - double: a hidden chamber behind the boss room, guarded by something far stronger
+ */
+class DungeonGenerator {
+    /**
+     * @param {Object} rules - Generation rules, merged over DungeonGenerator.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...DungeonGenerator.DEFAULT_RULES, ...rules };
+        // Loot tables name catalog items
+        this.items = new ItemCatalog();
+    }
+
+    /**
+     * Generate a gate. Options that aren't given are rolled.
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} options - { rank?, type?, theme? }
+     * @returns {Object} - The dungeon: { name, rank, type, theme, rooms, entranceId, bossRoomId,
+     *   currentRoomId, exitSealed, bossDefeated }
+     */
+    generate(rng, options = {}) {
+        const ranks = Object.keys(CombatEngine.MONSTER_RANKS);
+        const rank = options.rank ? String(options.rank).toUpperCase() : rng.pick(ranks);
+        if (!ranks.includes(rank)) {
+            throw new Error(`Unknown gate rank "${options.rank}" (use ${ranks.join(', ')})`);
+        }
+        const type = options.type || this._rollType(rng);
+        if (!DungeonGenerator.TYPES.includes(type)) {
+            throw new Error(`Unknown gate type "${options.type}" (use ${DungeonGenerator.TYPES.join(', ')})`);
+        }
+        const themeId = options.theme || rng.pick(Object.keys(DungeonGenerator.THEMES));
+        const theme = DungeonGenerator.THEMES[themeId];
+        if (!theme) {
+            throw new Error(`Unknown gate theme "${options.theme}" (use ${Object.keys(DungeonGenerator.THEMES).join(', ')})`);
+        }
+
+        const roomNames = this._shuffle(rng, theme.rooms);
+        const rooms = [];
+        const addRoom = (fields) => {
+            const [name, description] = roomNames[rooms.length % roomNames.length];
+            const room = {
+                id: `r${rooms.length}`,
+                name: rooms.length < roomNames.length ? name : `${name} ${Math.floor(rooms.length / roomNames.length) + 1}`,
+                description,
+                exits: [],
+                spawns: [],
+                loot: [],
+                visited: false,
+                cleared: false,
+                boss: false,
+                hidden: false,
+                ...fields
+            };
+            rooms.push(room);
+            return room;
+        };
+        const link = (a, b) => {
+            a.exits.push(b.id);
+            b.exits.push(a.id);
+        };
+
+        // The main path runs from the entrance to the boss chamber
+        const pathLength = this.rules.pathLength[rank];
+        const path = [addRoom({ visited: true, cleared: true })];
+        for (let i = 1; i < pathLength - 1; i++) {
+            const room = addRoom({ spawns: this._rollSpawns(rng, theme, rank, type) });
+            link(path[path.length - 1], room);
+            path.push(room);
+        }
+        const [bossName, bossDescription] = theme.bossRoom;
+        const bossRoom = addRoom({
+            name: bossName,
+            description: bossDescription,
+            boss: true,
+            spawns: [
+                { name: rng.pick(theme.bosses), rank, count: 1, boss: true },
+                ...this._rollSpawns(rng, theme, rank, type).slice(0, 1)
+            ]
+        });
+        link(path[path.length - 1], bossRoom);
+
+        // Side rooms branch off the path: some guarded, some holding a stash
+        const sideRooms = rng.int(this.rules.minSideRooms, this.rules.maxSideRooms);
+        for (let i = 0; i < sideRooms; i++) {
+            const treasure = rng.chance(this.rules.treasureRoomChance);
+            const room = addRoom({ spawns: treasure ? [] : this._rollSpawns(rng, theme, rank, type) });
+            link(rng.pick(path), room);
+        }
+
+        if (type === 'double') {
+            const hiddenRank = ranks[Math.min(ranks.length - 1, ranks.indexOf(rank) + this.rules.doubleRankBonus)];
+            const [hiddenName, hiddenDescription] = theme.hiddenRoom;
+            const hidden = addRoom({
+                name: hiddenName,
+                description: hiddenDescription,
+                boss: true,
+                hidden: true,
+                spawns: [{ name: theme.hiddenBoss, rank: hiddenRank, count: 1, boss: true }]
+            });
+            link(bossRoom, hidden);
+        }
+
+        for (const room of rooms) {
+            room.loot = this._rollLoot(rng, room, rank, theme);
+        }
+
+        return {
+            name: `${rank}-Rank ${theme.label} Gate${type === 'normal' ? '' : ` (${type === 'red' ? 'Red' : 'Double'} Gate)`}`,
+            rank,
+            type,
+            theme: themeId,
+            rooms,
+            entranceId: path[0].id,
+            bossRoomId: bossRoom.id,
+            currentRoomId: path[0].id,
+            exitSealed: type === 'red',
+            bossDefeated: false
+        };
+    }
+
+    /**
+     * A room by ID
+     * @param {Object} dungeon - state.world.dungeon
+     * @param {string} roomId - Room ID
+     * @returns {Object|null}
+     */
+    getRoom(dungeon, roomId) {
+        return dungeon.rooms.find(room => room.id === roomId) || null;
+    }
+
+    /**
+     * The room the player is in
+     * @param {Object} dungeon - state.world.dungeon
+     * @returns {Object}
+     */
+    currentRoom(dungeon) {
+        return this.getRoom(dungeon, dungeon.currentRoomId);
+    }
+
+    /**
+     * Rooms reachable from the current one (hidden rooms stay out until revealed)
+     * @param {Object} dungeon - state.world.dungeon
+     * @returns {Array<Object>}
+     */
+    exits(dungeon) {
+        return this.currentRoom(dungeon).exits
+            .map(id => this.getRoom(dungeon, id))
+            .filter(room => !room.hidden);
+    }
+
+    /**
+     * Move to an adjacent room (modifies the dungeon). Rooms already explored can always be
+     * returned to; going on to a new room means clearing the current one first.
+     * @param {Object} dungeon - state.world.dungeon
+     * @param {string} roomRef - Room ID or name (case-insensitive)
+     * @returns {Object} - The room entered
+     */
+    moveTo(dungeon, roomRef) {
+        const wanted = String(roomRef || '').toLowerCase();
+        const room = this.exits(dungeon).find(exit => exit.id === wanted || exit.name.toLowerCase() === wanted);
+        if (!room) {
+            const names = this.exits(dungeon).map(exit => `${exit.name} (${exit.id})`).join(', ');
+            throw new Error(`"${roomRef}" is not reachable from here. Exits: ${names}`);
+        }
+        const current = this.currentRoom(dungeon);
+        if (!room.visited && !current.cleared) {
+            throw new Error(`The monsters in the ${current.name} block the way forward`);
+        }
+        room.visited = true;
+        dungeon.currentRoomId = room.id;
+        return room;
+    }
+
+    /**
+     * Mark a room as cleared (modifies the dungeon). Clearing the boss chamber defeats the boss,
+     * unseals a red gate and reveals a double gate's hidden chamber.
+     * @param {Object} dungeon - state.world.dungeon
+     * @param {string} roomId - Room ID
+     * @returns {Array<Object>} - The room's loot, now collected
+     */
+    clearRoom(dungeon, roomId) {
+        const room = this.getRoom(dungeon, roomId);
+        if (!room || room.cleared) {
+            return [];
+        }
+        room.cleared = true;
+        const loot = room.loot;
+        room.loot = [];
+        if (room.id === dungeon.bossRoomId) {
+            dungeon.bossDefeated = true;
+            dungeon.exitSealed = false;
+            for (const exit of room.exits) {
+                this.getRoom(dungeon, exit).hidden = false;
+            }
+        }
+        return loot;
+    }
+
+    /**
+     * Why the player can't leave the gate right now
+     * @param {Object} dungeon - state.world.dungeon
+     * @returns {string|null} - Reason, or null if they can leave
+     */
+    leaveBlockReason(dungeon) {
+        return dungeon.exitSealed ? 'The red gate is sealed until its boss is defeated' : null;
+    }
+
+    /**
+     * Describe the gate and the current room for the models
+     * @param {Object} dungeon - state.world.dungeon
+     * @returns {Array<string>} - Lines
+     */
+    describe(dungeon) {
+        const room = this.currentRoom(dungeon);
+        const explored = dungeon.rooms.filter(entry => entry.visited).length;
+        const known = dungeon.rooms.filter(entry => !entry.hidden).length;
+        const monsters = room.spawns
+            .map(group => `${group.count > 1 ? `${group.count} ` : ''}${group.name}${group.boss ? ' (boss)' : ''}`)
+            .join(', ');
+        const exits = this.exits(dungeon).map(exit => {
+            const notes = [exit.id, exit.visited ? (exit.cleared ? 'cleared' : 'explored') : 'unexplored'];
+            if (exit.boss && !exit.visited) {
+                notes.push('a powerful presence waits inside');
+            }
+            return `${exit.name} (${notes.join(', ')})`;
+        });
+        const lines = [
+            `Inside the ${dungeon.name}: ${explored}/${known} rooms explored, boss ${dungeon.bossDefeated ? 'defeated' : 'alive'}${dungeon.exitSealed ? ', exit sealed' : ''}`,
+            `Current room: ${room.name} - ${room.description}`,
+            `Monsters here: ${room.cleared || room.spawns.length === 0 ? 'none' : monsters}`,
+            `Exits: ${exits.join('; ') || 'none'}`
+        ];
+        return lines;
+    }
+
+    /**
+     * Roll a gate type: mostly normal, sometimes red or double
+     * @param {SeededRandom} rng - Game RNG
+     * @returns {string}
+     * @private
+     */
+    _rollType(rng) {
+        const roll = rng.next();
+        if (roll < this.rules.doubleGateChance) {
+            return 'double';
+        }
+        return roll < this.rules.doubleGateChance + this.rules.redGateChance ? 'red' : 'normal';
+    }
+
+    /**
+     * Roll the monsters of a room as CombatEngine enemy groups
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} theme - Theme
+     * @param {string} rank - Gate rank
+     * @param {string} type - Gate type
+     * @returns {Array<Object>} - [{ name, rank, count, boss }]
+     * @private
+     */
+    _rollSpawns(rng, theme, rank, type) {
+        const extra = type === 'red' ? 1 : 0;
+        const groups = [{ name: rng.pick(theme.monsters), rank, count: rng.int(1, this.rules.maxGroupSize) + extra, boss: false }];
+        if (rng.chance(this.rules.secondGroupChance)) {
+            const name = rng.pick(theme.monsters);
+            if (name !== groups[0].name) {
+                groups.push({ name, rank, count: rng.int(1, 2), boss: false });
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Roll what a room holds: magic crystals from its monsters and draws from the loot tables
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} room - Room
+     * @param {string} rank - Gate rank
+     * @param {Object} theme - Theme
+     * @returns {Array<Object>} - Items
+     * @private
+     */
+    _rollLoot(rng, room, rank, theme) {
+        const loot = [];
+        // The entrance starts out cleared, with nothing to collect
+        if (room.cleared) {
+            return loot;
+        }
+        const monsters = room.spawns.reduce((sum, group) => sum + group.count, 0);
+        if (monsters > 0) {
+            loot.push(this.items.toEntry(this.items.get(`${rank.toLowerCase()}-rank-magic-crystal`), monsters));
+        }
+        let draws = 0;
+        if (room.boss) {
+            draws = this.rules.bossLootDraws;
+        } else if (room.spawns.length === 0) {
+            draws = this.rules.treasureLootDraws;
+        } else if (rng.chance(this.rules.roomLootChance)) {
+            draws = 1;
+        }
+        const table = [...DungeonGenerator.LOOT_TABLE, ...theme.loot];
+        for (let i = 0; i < draws; i++) {
+            const { id } = this._weightedPick(rng, room.boss ? table.filter(entry => entry.boss !== false) : table);
+            const existing = loot.find(entry => entry.id === id);
+            if (existing) {
+                existing.quantity++;
+            } else {
+                loot.push(this.items.toEntry(this.items.get(id), 1));
+            }
+        }
+        return loot;
+    }
+
+    /**
+     * Pick a loot table entry by weight
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Array<Object>} table - Entries with a weight
+     * @returns {Object}
+     * @private
+     */
+    _weightedPick(rng, table) {
+        const total = table.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = rng.range(0, total);
+        for (const entry of table) {
+            roll -= entry.weight;
+            if (roll < 0) {
+                return { ...entry };
+            }
+        }
+        return { ...table[table.length - 1] };
+    }
+
+    /**
+     * Shuffled copy of a list
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Array} list - List
+     * @returns {Array}
+     * @private
+     */
+    _shuffle(rng, list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = rng.int(0, i);
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+}
+
+DungeonGenerator.TYPES = ['normal', 'red', 'double'];
+
+DungeonGenerator.DEFAULT_RULES = {
+    // Rooms on the path from the entrance to the boss chamber, by gate rank
+    pathLength: { E: 4, D: 5, C: 6, B: 7, A: 8, S: 9 },
+    minSideRooms: 1,
+    maxSideRooms: 3,
+    treasureRoomChance: 0.4,
+    maxGroupSize: 3,
+    secondGroupChance: 0.3,
+    roomLootChance: 0.35,
+    treasureLootDraws: 2,
+    bossLootDraws: 3,
+    redGateChance: 0.1,
+    doubleGateChance: 0.03,
+    // Ranks above the gate's own for a double gate's hidden boss
+    doubleRankBonus: 2
+};
+
+// Loot found in every gate, by ItemCatalog ID; themes add their own entries. boss: false keeps an entry out of boss chambers.
+DungeonGenerator.LOOT_TABLE = [
+    { id: 'healing-potion', weight: 30, boss: false },
+    { id: 'mana-potion', weight: 20, boss: false },
+    { id: 'high-grade-healing-potion', weight: 8 },
+    { id: 'random-box', weight: 4 }
+];
+
+// Room names and descriptions, monsters and theme loot per gate theme
+DungeonGenerator.THEMES = {
+    cave: {
+        label: 'Cave',
+        rooms: [
+            ['Narrow Tunnel', 'A cramped tunnel, its walls slick with moisture'],
+            ['Dripping Cavern', 'A wide cavern where water drips from stalactites into black pools'],
+            ['Fungus Grotto', 'Pale glowing fungi light a low grotto'],
+            ['Underground Lake', 'A still, dark lake fills most of the cave floor'],
+            ['Collapsed Passage', 'Fallen rocks half-block a passage; something has been digging here'],
+            ['Bone-Strewn Den', 'Gnawed bones litter the floor of a foul-smelling den'],
+            ['Crystal Vein', 'Raw mana crystals jut from the rock, humming faintly'],
+            ['Echoing Chasm', 'A narrow ledge winds along a chasm too deep to see the bottom of']
+        ],
+        monsters: ['Goblin', 'Giant Cave Bat', 'Stone Lizard', 'Hobgoblin'],
+        bosses: ['Goblin Chieftain', 'Blue Venom-Fanged Kasaka', 'Cave Troll'],
+        bossRoom: ['Boss Lair', 'A vast cavern, its air heavy with the mana of the gate\'s master'],
+        hiddenRoom: ['Hidden Temple', 'Behind the lair, a temple of carved stone no one was meant to find'],
+        hiddenBoss: 'Ancient Stone Guardian',
+        loot: [
+            { id: 'kasakas-venom-fang', weight: 6 },
+            { id: 'goblin-chieftains-totem', weight: 6 }
+        ]
+    },
+    castle: {
+        label: 'Castle',
+        rooms: [
+            ['Gatehouse', 'A ruined gatehouse, its portcullis rusted half open'],
+            ['Armory', 'Racks of corroded weapons line the walls'],
+            ['Great Hall', 'Tattered banners hang over a hall of toppled tables'],
+            ['Chapel', 'Broken pews face an altar stained dark'],
+            ['Barracks', 'Rows of rotting bunks; armor stands watch at the foot of each'],
+            ['Courtyard', 'An overgrown courtyard under a blood-red sky'],
+            ['Library', 'Shelves of crumbling books in a language no one living can read'],
+            ['Spiral Stair', 'A narrow stair winds up into the dark']
+        ],
+        monsters: ['Skeleton Soldier', 'Armored Knight', 'Stone Gargoyle', 'Cursed Mage'],
+        bosses: ['Blood-Red Commander', 'Death Knight', 'Castle Lord'],
+        bossRoom: ['Throne Room', 'A throne of black iron at the end of a long hall; its occupant is awake'],
+        hiddenRoom: ['Sealed Sanctum', 'A sealed chamber of enormous statues, every one of them watching'],
+        hiddenBoss: 'Statue of God',
+        loot: [
+            { id: 'knights-crest', weight: 6 },
+            { id: 'cursed-tome', weight: 4 }
+        ]
+    },
+    ice: {
+        label: 'Ice',
+        rooms: [
+            ['Frozen Passage', 'A passage of blue ice where every breath turns to frost'],
+            ['Crystal Cavern', 'Ice crystals taller than a man catch a light with no source'],
+            ['Glacier Bridge', 'A bridge of ice spans a crevasse howling with wind'],
+            ['Snowfield', 'An open snowfield under a pale, sunless sky'],
+            ['Ice Elf Village', 'Abandoned huts of carved ice, their doors hanging open'],
+            ['Frozen Lake', 'A lake frozen so clear that shapes can be seen beneath the surface'],
+            ['Hunter\'s Camp', 'An old camp, half buried; whoever made it never left'],
+            ['Whiteout Ridge', 'A ridge lost in blowing snow']
+        ],
+        monsters: ['Ice Elf', 'Ice Bear', 'Frost Wolf', 'Snow Yeti'],
+        bosses: ['Ice Elf Chieftain', 'Frost Giant', 'Ice Wyrm'],
+        bossRoom: ['Frozen Throne', 'A throne of ice in a hall of frozen warriors'],
+        hiddenRoom: ['Glacial Vault', 'A vault sealed in ice older than the gate itself'],
+        hiddenBoss: 'Frost Monarch\'s Herald',
+        loot: [
+            { id: 'ice-bear-pelt', weight: 6 },
+            { id: 'frost-elf-arrowhead', weight: 5 }
+        ]
+    }
+};
@@ -0,0 +1,205 @@
+/**
+ * Equipment Engine
+ *
+ * The player's equipment slots: a weapon, an off-hand, head, body and two
+ * accessories. The player equips items from the inventory (they move out of
+ * the inventory into the slot, and back when unequipped or replaced), and the
+ * bonuses of everything equipped add to the player's effective attributes,
+ * attack and defense in combat (see CombatEngine.effectiveStats).
+ *
+ * Equipment lives in state.player.equipment:
+ *   { weapon, offHand, head, body, accessory1, accessory2 } - each an item or null
+ * Items that can be equipped carry a slot ('weapon'|'offHand'|'head'|'body'|'accessory',
+ * or one inferred from their type) and optional bonuses ({ STR?, ..., attack?, defense? }).
+ */
+class EquipmentEngine {
+    /**
+     * Empty equipment slots for a new player
+     * @returns {Object} - state.player.equipment
+     */
+    createEquipment() {
+        return Object.fromEntries(EquipmentEngine.SLOTS.map(slot => [slot, null]));
+    }
+
+    /**
+     * The kind of slot an item goes in
+     * @param {Object} item - Item
+     * @returns {string|null} - One of EquipmentEngine.ITEM_SLOTS, or null if it can't be equipped
+     */
+    slotKind(item) {
+        if (EquipmentEngine.ITEM_SLOTS.includes(item.slot)) {
+            return item.slot;
+        }
+        return EquipmentEngine.TYPE_SLOTS[String(item.type || '').toLowerCase()] || null;
+    }
+
+    /**
+     * The equipment slots an item fits in
+     * @param {Object} item - Item
+     * @returns {Array<string>} - Slots, empty if it can't be equipped
+     */
+    slotsFor(item) {
+        const kind = this.slotKind(item);
+        if (!kind) {
+            return [];
+        }
+        return kind === 'accessory' ? ['accessory1', 'accessory2'] : [kind];
+    }
+
+    /**
+     * Equip an inventory item (modifies the player). One of a stack is taken; whatever
+     * was in the slot goes back into the inventory.
+     * @param {Object} player - Player state
+     * @param {string} name - Item name (case-insensitive)
+     * @param {string|null} slot - Slot to use; defaults to the item's first free slot
+     * @returns {Object} - { item, slot, replaced } where replaced is the item taken off, or null
+     */
+    equip(player, name, slot = null) {
+        const wanted = String(name || '').trim().toLowerCase();
+        const index = player.inventory.findIndex(item => item.name.toLowerCase() === wanted);
+        if (index === -1) {
+            throw new Error(`There is no ${name} in the inventory`);
+        }
+        const stack = player.inventory[index];
+        const slots = this.slotsFor(stack);
+        if (slots.length === 0) {
+            throw new Error(`${stack.name} can't be equipped`);
+        }
+        if (slot && !slots.includes(slot)) {
+            throw new Error(`${stack.name} can't be equipped as ${EquipmentEngine.SLOT_LABELS[slot] || slot}`);
+        }
+
+        const equipment = player.equipment = player.equipment || this.createEquipment();
+        const target = slot || slots.find(candidate => !equipment[candidate]) || slots[0];
+        const replaced = equipment[target] || null;
+        if (stack.quantity > 1) {
+            stack.quantity--;
+        } else {
+            player.inventory.splice(index, 1);
+        }
+        equipment[target] = { ...stack, quantity: 1 };
+        if (replaced) {
+            this._returnToInventory(player, replaced);
+        }
+        return { item: equipment[target], slot: target, replaced };
+    }
+
+    /**
+     * Take off whatever is in a slot and put it back in the inventory (modifies the player)
+     * @param {Object} player - Player state
+     * @param {string} slot - Equipment slot
+     * @returns {Object} - The item taken off
+     */
+    unequip(player, slot) {
+        const item = player.equipment?.[slot];
+        if (!item) {
+            throw new Error(`Nothing is equipped as ${EquipmentEngine.SLOT_LABELS[slot] || slot}`);
+        }
+        player.equipment[slot] = null;
+        this._returnToInventory(player, item);
+        return item;
+    }
+
+    /**
+     * An item with the attack and defense fields of older items folded into its bonuses
+     * @param {Object} item - Item
+     * @returns {Object} - A copy of the item, without attack and defense
+     */
+    foldLegacyBonuses(item) {
+        const { attack, defense, ...rest } = item;
+        if (!attack && !defense) {
+            return rest;
+        }
+        const bonuses = { ...(rest.bonuses || {}) };
+        for (const [key, value] of [['attack', attack], ['defense', defense]]) {
+            if (Number.isFinite(value) && value !== 0) {
+                bonuses[key] = (bonuses[key] || 0) + Math.round(value);
+            }
+        }
+        return { ...rest, bonuses };
+    }
+    
+    /**
+     * Bonuses from everything equipped
+     * @param {Object} player - Player state
+     * @returns {Object} - { STR?, AGI?, INT?, SENSE?, VIT?, attack?, defense? }
+     */
+    bonuses(player) {
+        const total = {};
+        for (const item of Object.values(player.equipment || {})) {
+            for (const [key, value] of Object.entries(item?.bonuses || {})) {
+                total[key] = (total[key] || 0) + value;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * "+5 attack, +2 STR"
+     * @param {Object} bonuses - { STR?, ..., attack?, defense? }
+     * @returns {string} - Empty when there are no bonuses
+     */
+    describeBonuses(bonuses = {}) {
+        return Object.entries(bonuses)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${value > 0 ? '+' : ''}${value} ${key}`)
+            .join(', ');
+    }
+
+    /**
+     * Describe what the player has equipped, for the models
+     * @param {Object} player - Player state
+     * @returns {Array<string>} - "Weapon: Steel Dagger (+5 attack)" per filled slot
+     */
+    describe(player) {
+        return EquipmentEngine.SLOTS
+            .filter(slot => player.equipment?.[slot])
+            .map(slot => {
+                const item = player.equipment[slot];
+                const bonuses = this.describeBonuses(item.bonuses);
+                return `${EquipmentEngine.SLOT_LABELS[slot]}: ${item.name}${bonuses ? ` (${bonuses})` : ''}`;
+            });
+    }
+
+    /**
+     * Put an item back in the inventory, stacking it with the same catalog item if it stacks
+     * @param {Object} player - Player state
+     * @param {Object} item - Item
+     * @private
+     */
+    _returnToInventory(player, item) {
+        const existing = item.stackable !== false && player.inventory.find(i => i.id === item.id && i.name === item.name);
+        if (existing) {
+            existing.quantity += 1;
+        } else {
+            player.inventory.push({ ...item, quantity: 1 });
+        }
+    }
+}
+
+// Equipment slots, in display order
+EquipmentEngine.SLOTS = ['weapon', 'offHand', 'head', 'body', 'accessory1', 'accessory2'];
+
+EquipmentEngine.SLOT_LABELS = {
+    weapon: 'Weapon',
+    offHand: 'Off-hand',
+    head: 'Head',
+    body: 'Body',
+    accessory1: 'Accessory',
+    accessory2: 'Accessory'
+};
+
+// The slot an item declares; accessories fit either accessory slot
+EquipmentEngine.ITEM_SLOTS = ['weapon', 'offHand', 'head', 'body', 'accessory'];
+
+// Slots for items that don't declare one, by item type
+EquipmentEngine.TYPE_SLOTS = {
+    weapon: 'weapon',
+    shield: 'offHand',
+    helmet: 'head',
+    armor: 'body',
+    clothing: 'body',
+    accessory: 'accessory',
+    ring: 'accessory',
+    necklace: 'accessory'
+};
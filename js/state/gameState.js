@@ -10,14 +10,45 @@ class GameState {
         // Initialize with default state
         this.state = null;
         this.initialContext = '';
+        // ModelManager used to summarize trimmed history (linked by GameManager)
+        this.modelManager = null;
+        // Turn snapshots and timelines, saved with the game (linked by GameManager)
+        this.turnHistory = null;
+        // Schema and per-turn limits every proposed change is reviewed against
+        this.guard = new StateGuard();
+        // XP curve, level-ups, stat points and derived max HP/MP
+        this.leveling = new LevelingEngine();
+        // Monster stat blocks and the combat formulas
+        this.combat = new CombatEngine();
+        // Gates: room graphs, spawns and loot for state.world.dungeon
+        this.dungeons = new DungeonGenerator();
+        // The recurring Daily Quest, its deadline and the Penalty Zone
+        this.dailyQuests = new DailyQuestEngine();
+        // Skill requirements, MP costs and cooldowns
+        this.skills = new SkillEngine();
+        // Shadow extraction and the Shadow Army
+        this.shadows = new ShadowEngine();
+        // Equipment slots and the bonuses of equipped items
+        this.equipment = new EquipmentEngine();
+        // Canonical item definitions every item added to the inventory is matched onto
+        this.items = new ItemCatalog();
+        // Player values at the start of the turn, for the per-turn limits (see beginTurn)
+        this.turnBaseline = null;
+        this.turnLabel = 'Setup';
+        // Skill used in this turn's free-text action, for the narrator (see useSkill)
+        this.turnSkillUse = null;
+        // Clamped, rejected and flagged changes, newest last (shown in the debug view)
+        this.changeLog = [];
+        this.maxChangeLogEntries = 200;
         // Initialize the state with default values
         this.initializeState();
     }
     
     /**
      * Initialize the game state with default values
+     * @param {number|null} seed - RNG seed; a fresh one by default
      */
-    initializeState() {
+    initializeState(seed = null) {
         this.state = {
             player: {
                 name: "Sung Jinwoo",
@@ -25,12 +56,17 @@ class GameState {
                 level: 1,
                 experience: 0,
                 HP: 100,
-                MP: 0,
+                maxHP: 100,
+                MP: 100,
+                maxMP: 100,
+                statPoints: 0,
                 stats: { STR: 10, AGI: 10, INT: 10, SENSE: 10, VIT: 10 },
                 inventory: [
-                    { name: "Hospital Gown", type: "clothing", description: "A plain patient gown", quantity: 1 }
+                    this.items.toEntry(this.items.get('hospital-gown'))
                 ],
-                gold: 0
+                gold: 0,
+                skills: [],
+                equipment: this.equipment.createEquipment()
             },
             world: {
                 location: "Seoul Ilshin Hospital - Room 302",
@@ -44,17 +80,56 @@ class GameState {
                 current: "Welcome to the System",
                 completed: []
             },
+            history: [],
             conversationHistory: [],
             summaries: [],
+            // Seeded RNG state for combat rolls and generated content (see withRandom)
+            rngState: seed ?? SeededRandom.newSeed(),
+            // Current encounter, resolved by the CombatEngine (null outside combat)
+            combat: null,
+            // Today's Daily Quest (see DailyQuestEngine)
+            dailyQuest: this.dailyQuests.createQuest(1),
+            // Where to send the player back to once the Penalty Zone is survived (null outside it)
+            penaltyZone: null,
+            // Extracted shadows and the corpses of the last won fight (see ShadowEngine)
+            shadowArmy: this.shadows.createArmy(),
+            // Definitions of the items the models invented (see ItemCatalog)
+            itemCatalog: []
         };
         this.initialContext = "Jinwoo has just awakened in the hospital room. He survived the Double Dungeon incident where most hunters died. He is weak and confused, but alive. The morning light spills through the window. Nurse Joohee is nearby, checking on patients.";
     }
     
+    /**
+     * Start a turn: per-turn limits are measured from the player's values at this point
+     * @param {string} label - Turn description for the change log (e.g. the player's action)
+     */
+    beginTurn(label) {
+        const { experience, gold, rank, level } = this.state.player;
+        this.turnBaseline = { experience, gold, rank, level };
+        this.turnLabel = label;
+        this.turnSkillUse = null;
+    }
+    
+    /**
+     * End a turn (a free-text action or a combat round): skill cooldowns tick down
+     */
+    endTurn() {
+        this.skills.endTurn(this.state.player);
+    }
+    
     /**
      * Update the game state with changes (deep merge updates into the state).
+     * The changes are reviewed by the StateGuard first: invalid fields are rejected,
+     * out-of-range values clamped, and each adjustment is added to the change log.
      * @param {Object} changes - The changes to apply to the state
+     * @param {string} source - Who proposed the changes (for the change log)
+     * @returns {Array<Object>} - Issues found by the guard ({ path, action, reason, proposed, applied? })
      */
-    updateState(changes) {
+    updateState(changes, source = 'model') {
+        const review = this.guard.review(this.state, changes, this.turnBaseline);
+        this._logIssues(review.issues, source);
+        changes = review.changes;
+        
         // Helper function to deep merge objects
         const deepMerge = (target, source) => {
             for (const key in source) {
@@ -81,6 +156,342 @@ class GameState {
         deepMerge(this.state, changes);
         
         console.log('State updated:', this.state);
+        return review.issues;
+    }
+    
+    /**
+     * Award experience and apply the level-ups it causes. The gain is reviewed against the
+     * per-turn limit first; each level gained dispatches a 'level-up' event on the document.
+     * @param {number} amount - Experience earned
+     * @param {string} source - Who awarded it (for the change log)
+     * @returns {Object} - { gained, levelUps: [{ level, statPoints }], issues }
+     */
+    awardExperience(amount, source = 'model') {
+        // Experience the game computes itself (combat rewards) isn't held to the model's per-turn limit
+        const review = source === 'model'
+            ? this.guard.reviewExperienceGain(this.state.player, amount, this.turnBaseline)
+            : { amount: Math.round(amount), issues: [] };
+        this._logIssues(review.issues, source);
+        if (review.amount === 0) {
+            return { gained: 0, levelUps: [], issues: review.issues };
+        }
+        
+        const result = this.leveling.awardExperience(this.state.player, review.amount);
+        for (const levelUp of result.levelUps) {
+            document.dispatchEvent(new CustomEvent('level-up', { detail: levelUp }));
+        }
+        console.log(`Experience +${result.gained}:`, this.state.player);
+        return { ...result, issues: review.issues };
+    }
+    
+    /**
+     * Spend unspent stat points on an attribute (the player's choice, so not reviewed)
+     * @param {string} stat - Attribute (STR, AGI, INT, SENSE, VIT)
+     * @param {number} points - Points to spend
+     */
+    allocateStatPoints(stat, points = 1) {
+        this.leveling.allocateStatPoints(this.state.player, stat, points);
+    }
+    
+    /**
+     * Teach the player a skill; the narrator calls learn_skill
+     * @param {string} name - Skill name (catalog skills come with their own costs and requirements)
+     * @param {Object} definition - { type?, description?, mpCost?, cooldown? } for a skill not in the catalog
+     * @returns {Object} - The learned skill
+     */
+    learnSkill(name, definition = {}) {
+        const skill = this.skills.learn(this.state.player, name, definition);
+        // A passive skill's VIT or INT bonus counts toward max HP/MP
+        this.leveling.recomputeDerived(this.state.player);
+        return skill;
+    }
+    
+    /**
+     * Why the player can't use a skill right now
+     * @param {string} name - Skill name
+     * @returns {string|null} - The reason, or null if it can be used
+     */
+    skillBlockReason(name) {
+        return this.skills.useBlockReason(this.state.player, name);
+    }
+    
+    /**
+     * Use a skill outside the combat menu: its MP is paid and its cooldown started before the
+     * narrator describes it (the use is kept in turnSkillUse for the narration prompt)
+     * @param {string} name - Skill name (check skillBlockReason first)
+     * @returns {Object} - { skill, mpCost, leveledUp }
+     */
+    useSkill(name) {
+        const use = this.skills.use(this.state.player, name);
+        this.turnSkillUse = use;
+        return use;
+    }
+    
+    /**
+     * Equip an item from the inventory (the player's choice, so not reviewed); the item
+     * it replaces goes back into the inventory. Max HP/MP follow the VIT and INT it adds.
+     * @param {string} name - Item name
+     * @param {string|null} slot - Equipment slot; defaults to the item's first free slot
+     * @returns {Object} - { item, slot, replaced }
+     */
+    equipItem(name, slot = null) {
+        if (this.state.combat) {
+            throw new Error('Equipment can\'t be changed in the middle of a fight');
+        }
+        const result = this.equipment.equip(this.state.player, name, slot);
+        this.leveling.recomputeDerived(this.state.player);
+        return result;
+    }
+    
+    /**
+     * Put an equipped item back in the inventory; HP and MP are kept within the max HP/MP left without it
+     * @param {string} slot - Equipment slot
+     * @returns {Object} - The item taken off
+     */
+    unequipItem(slot) {
+        if (this.state.combat) {
+            throw new Error('Equipment can\'t be changed in the middle of a fight');
+        }
+        const item = this.equipment.unequip(this.state.player, slot);
+        this.leveling.recomputeDerived(this.state.player);
+        return item;
+    }
+    
+    /**
+     * Run game logic with the seeded RNG; the generator's state is written back to the game state,
+     * so a rewind or reload replays the same rolls
+     * @param {Function} fn - (rng) => result
+     * @returns {*} - fn's result
+     */
+    withRandom(fn) {
+        const rng = new SeededRandom(this.state.rngState);
+        try {
+            return fn(rng);
+        } finally {
+            this.state.rngState = rng.state;
+        }
+    }
+    
+    /**
+     * Start an encounter (the narrator calls start_combat; the CombatEngine builds the monsters)
+     * @param {Array<Object>} enemies - Groups of [{ name, rank, count?, boss? }]
+     * @param {string|null} roomId - Gate room the fight is for; winning it clears the room
+     * @returns {Object} - state.combat
+     */
+    startCombat(enemies, roomId = null) {
+        const combat = this.withRandom(rng => this.combat.startEncounter(this.state, rng, enemies));
+        combat.roomId = roomId;
+        // Corpses of an earlier fight are left behind
+        this.discardCorpses();
+        return combat;
+    }
+    
+    /**
+     * Resolve one combat round with the player's chosen action. A victory pays out its
+     * rewards (and clears the gate room it was fought in, or ends the Penalty Zone), levels up the
+     * shadows that fought and leaves the enemies' corpses for extraction; the encounter is cleared
+     * once the fight is over.
+     * @param {Object} action - { type: 'attack'|'skill'|'item'|'summon'|'dismiss'|'flee', target?, skill?, item?, shadow? }
+     * @returns {Object} - The round (see CombatEngine.resolveRound), with levelUps, shadowLevelUps,
+     *   loot and penaltySurvived on a victory
+     */
+    resolveCombatRound(action) {
+        const combat = this.state.combat;
+        const { roomId, penalty } = combat || {};
+        const round = this.withRandom(rng => this.combat.resolveRound(this.state, rng, action));
+        if (round.outcome === 'victory') {
+            const army = this.state.shadowArmy;
+            this.state.player.gold += round.rewards.gold;
+            round.levelUps = this.awardExperience(round.rewards.experience, 'combat').levelUps;
+            round.shadowLevelUps = this.shadows.awardExperience(army, this.shadows.summoned(combat), round.rewards.experience);
+            this.shadows.leaveCorpses(army, combat.participants.filter(participant => participant.side === 'enemy'));
+            round.loot = roomId && this.state.world.dungeon ? this._collectLoot(roomId) : [];
+            round.penaltySurvived = Boolean(penalty);
+            if (penalty) {
+                this.state.world.location = this.state.penaltyZone?.returnLocation || this.state.world.location;
+                this.state.penaltyZone = null;
+            }
+        }
+        return round;
+    }
+    
+    /**
+     * Try to extract a shadow from a corpse of the last won fight
+     * @param {string} corpseId - Corpse ID (check shadows.extractBlockReason first)
+     * @returns {Object} - { corpse, chance, success, shadow|null, attemptsLeft } (see ShadowEngine.extract)
+     */
+    extractShadow(corpseId) {
+        return this.withRandom(rng => this.shadows.extract(this.state, rng, corpseId));
+    }
+    
+    /**
+     * Leave the corpses of the last fight behind: they can't be extracted once the story moves on
+     */
+    discardCorpses() {
+        this.state.shadowArmy.corpses = [];
+    }
+    
+    /**
+     * Count training toward the active Daily Quest; finishing it pays out its rewards
+     * and dispatches a 'daily-quest' event ({ status: 'completed', statPoints })
+     * @param {Object} training - { pushups, situps, squats, running } done this turn
+     * @returns {Object} - { progressed: [{ id, label, added }], completed }
+     */
+    recordTraining(training) {
+        const quest = this.state.dailyQuest;
+        if (quest?.status !== 'active') {
+            return { progressed: [], completed: false };
+        }
+        const progressed = this.dailyQuests.recordProgress(quest, training);
+        const completed = this.dailyQuests.isComplete(quest);
+        if (completed) {
+            const player = this.state.player;
+            const statPoints = this.dailyQuests.rules.statPointReward;
+            quest.status = 'completed';
+            player.statPoints += statPoints;
+            player.HP = player.maxHP;
+            player.MP = player.maxMP;
+            document.dispatchEvent(new CustomEvent('daily-quest', { detail: { status: 'completed', statPoints } }));
+        }
+        return { progressed, completed };
+    }
+    
+    /**
+     * Check the Daily Quest against the in-game clock: an overdue quest fails and sends the player
+     * to the Penalty Zone, and a new day brings a new quest. Each change dispatches a 'daily-quest'
+     * event ({ status: 'failed'|'issued' }).
+     * @returns {string|null} - 'failed', 'issued' or null if nothing changed
+     */
+    advanceDailyQuest() {
+        const clock = this.dailyQuests.parseTime(this.state.world.time);
+        const quest = this.state.dailyQuest;
+        // The clock can't be read, or the quest is checked again once the fight is over
+        if (!clock || !quest || this.state.combat) {
+            return null;
+        }
+        
+        let status = null;
+        if (quest.status === 'active' && this.dailyQuests.isOverdue(quest, clock)) {
+            quest.status = 'failed';
+            this._enterPenaltyZone();
+            status = 'failed';
+        } else if (quest.status !== 'active' && clock.day > quest.day) {
+            this.state.dailyQuest = this.dailyQuests.createQuest(clock.day);
+            status = 'issued';
+        }
+        if (status) {
+            document.dispatchEvent(new CustomEvent('daily-quest', { detail: { status } }));
+        }
+        return status;
+    }
+    
+    /**
+     * Send the player to the Penalty Zone: a fight against monsters of their rank that can't be fled
+     * @private
+     */
+    _enterPenaltyZone() {
+        const rules = this.dailyQuests.rules;
+        this.state.penaltyZone = { returnLocation: this.state.world.location };
+        this.state.world.location = rules.penaltyLocation;
+        const combat = this.startCombat(rules.penaltyEnemies.map(enemy => ({ ...enemy, rank: this.state.player.rank })));
+        combat.penalty = true;
+        combat.escapable = false;
+    }
+    
+    /**
+     * Enter a gate generated from the game's RNG
+     * @param {Object} options - { rank?, type?, theme? }; missing ones are rolled
+     * @returns {Object} - state.world.dungeon
+     */
+    enterGate(options = {}) {
+        if (this.state.world.dungeon) {
+            throw new Error('Already inside a gate');
+        }
+        const dungeon = this.withRandom(rng => this.dungeons.generate(rng, options));
+        this.state.world.dungeon = dungeon;
+        this.state.world.location = `${dungeon.name} - ${this.dungeons.currentRoom(dungeon).name}`;
+        return dungeon;
+    }
+    
+    /**
+     * Move to a room of the current gate. Monsters in a room that hasn't been cleared attack
+     * (naming the current room fights them again after fleeing); an empty room's loot is collected.
+     * @param {string} roomRef - Room ID or name
+     * @returns {Object} - { room, combat, loot }
+     */
+    moveToRoom(roomRef) {
+        const dungeon = this.state.world.dungeon;
+        if (!dungeon) {
+            throw new Error('Not inside a gate');
+        }
+        if (this.state.combat) {
+            throw new Error('Finish the fight first');
+        }
+        const current = this.dungeons.currentRoom(dungeon);
+        const wanted = String(roomRef || '').toLowerCase();
+        const room = current.id === wanted || current.name.toLowerCase() === wanted
+            ? current
+            : this.dungeons.moveTo(dungeon, roomRef);
+        this.state.world.location = `${dungeon.name} - ${room.name}`;
+        
+        let loot = [];
+        if (!room.cleared && room.spawns.length > 0) {
+            this.startCombat(room.spawns, room.id);
+        } else if (!room.cleared) {
+            loot = this._collectLoot(room.id);
+        }
+        return { room, combat: this.state.combat, loot };
+    }
+    
+    /**
+     * Leave the current gate (a red gate stays sealed until its boss is defeated)
+     * @returns {Object} - The gate that was left
+     */
+    leaveGate() {
+        const dungeon = this.state.world.dungeon;
+        if (!dungeon) {
+            throw new Error('Not inside a gate');
+        }
+        if (this.state.combat) {
+            throw new Error('Finish the fight first');
+        }
+        const blocked = this.dungeons.leaveBlockReason(dungeon);
+        if (blocked) {
+            throw new Error(blocked);
+        }
+        this.state.world.dungeon = null;
+        this.state.world.location = `Outside the ${dungeon.name}`;
+        return dungeon;
+    }
+    
+    /**
+     * Clear a gate room and add its loot to the inventory
+     * @param {string} roomId - Room ID
+     * @returns {Array<Object>} - Items collected
+     * @private
+     */
+    _collectLoot(roomId) {
+        const loot = this.dungeons.clearRoom(this.state.world.dungeon, roomId);
+        if (loot.length > 0) {
+            this.updateState({ player: { inventoryAdd: loot } }, 'dungeon');
+        }
+        return loot;
+    }
+    
+    /**
+     * Add guard issues to the change log
+     * @param {Array<Object>} issues - Issues from StateGuard.review
+     * @param {string} source - Who proposed the changes
+     * @private
+     */
+    _logIssues(issues, source) {
+        for (const issue of issues) {
+            console.warn(`State change ${issue.action} (${source}): ${issue.path} - ${issue.reason}`, issue.proposed);
+            this.changeLog.push({ ...issue, source, turn: this.turnLabel, time: new Date().toISOString() });
+        }
+        if (this.changeLog.length > this.maxChangeLogEntries) {
+            this.changeLog.splice(0, this.changeLog.length - this.maxChangeLogEntries);
+        }
     }
     
     /**
@@ -89,45 +500,21 @@ class GameState {
      * @private
      */
     _handleSpecialCases(changes) {
-        // Handle inventory additions
+        // Handle inventory additions: each item is matched onto its catalog entry (or becomes a new one)
         if (changes.player?.inventoryAdd) {
             const itemsToAdd = changes.player.inventoryAdd;
             delete changes.player.inventoryAdd;
             for (const item of itemsToAdd) {
-                // Check if item already exists in inventory
-                const existingItem = this.state.player.inventory.find(i => i.name.toLowerCase() === item.name.toLowerCase());
-                if (existingItem) {
-                    // Increase quantity if already present
-                    existingItem.quantity += item.quantity || 1;
-                } else {
-                    // Add new item to inventory
-                    this.state.player.inventory.push({
-                        ...item,
-                        quantity: item.quantity || 1
-                    });
-                }
+                this.items.addToInventory(this.state, item);
             }
         }
         
-        // Handle inventory removals
+        // Handle inventory removals, matched the same way
         if (changes.player?.inventoryRemove) {
             const itemsToRemove = changes.player.inventoryRemove;
             delete changes.player.inventoryRemove;
             for (const item of itemsToRemove) {
-                const existingItemIndex = this.state.player.inventory.findIndex(
-                    i => i.name.toLowerCase() === item.name.toLowerCase()
-                );
-                if (existingItemIndex >= 0) {
-                    const existingItem = this.state.player.inventory[existingItemIndex];
-                    const quantityToRemove = item.quantity || 1;
-                    if (existingItem.quantity > quantityToRemove) {
-                        // Reduce quantity
-                        existingItem.quantity -= quantityToRemove;
-                    } else {
-                        // Remove item completely if quantity goes to 0
-                        this.state.player.inventory.splice(existingItemIndex, 1);
-                    }
-                }
+                this.items.removeFromInventory(this.state, item);
             }
         }
         
@@ -149,7 +536,7 @@ class GameState {
         
         // Handle adding history entries (append to history array)
         if (changes.history instanceof Array) {
-            this.state.history = [...this.state.history, ...changes.history];
+            this.state.history = [...(this.state.history || []), ...changes.history];
             delete changes.history;
         }
     }
@@ -182,6 +569,10 @@ class GameState {
      * @param {Object} changes - An object of properties to merge into that NPC's state.
      */
     updateNpcState(npcName, changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            this._logIssues([{ path: `NPCs.${npcName}`, action: 'rejected', reason: 'NPC changes must be an object', proposed: changes }], 'npc');
+            return;
+        }
         if (!this.state.NPCs[npcName]) {
             // Initialize NPC entry if it doesn't exist
             this.state.NPCs[npcName] = {};
@@ -206,66 +597,84 @@ class GameState {
 
         /**
      * Manages conversation history to keep the latest 20k tokens + summaries of older chunks.
+     * Runs as a background job: the history is only trimmed once every summary is ready, and
+     * the result is dropped if the history was replaced meanwhile (turn rolled back, game loaded).
+     * @param {AbortSignal|null} signal - Optional signal that cancels the summarization calls
      */
-    async manageConversationHistory() {
+    async manageConversationHistory(signal = null) {
+        // Recount with the latest calibration so trimming follows the providers' measured counts
+        if (this.modelManager) {
+            for (const entry of this.state.conversationHistory) {
+                entry.tokens = this.modelManager.countTokens(entry.text);
+            }
+        }
         const totalTokens = this.state.conversationHistory.reduce((sum, entry) => sum + entry.tokens, 0);
         if (totalTokens <= 20000) return;
 
-        const modelManager = new ModelManager(this.apiKey); // Adjust if apiKey isn’t available
-        await modelManager.initialize();
+        const modelManager = this.modelManager;
+        if (!modelManager) {
+            console.warn('No ModelManager linked; skipping history summarization');
+            return;
+        }
 
+        const history = this.state.conversationHistory;
         let tokenCount = 0;
         let chunk = [];
         let excessHistory = [];
 
         // Calculate tokens from the end to keep the latest 20k
-        for (let i = this.state.conversationHistory.length - 1; i >= 0; i--) {
-            const entry = this.state.conversationHistory[i];
+        for (let i = history.length - 1; i >= 0; i--) {
+            const entry = history[i];
             tokenCount += entry.tokens;
             if (tokenCount > 20000) {
                 excessHistory.unshift(entry); // Add older entries to excess
             }
         }
 
-        // Trim conversationHistory to latest 20k tokens
-        const keepIndex = this.state.conversationHistory.length - excessHistory.length;
-        this.state.conversationHistory = this.state.conversationHistory.slice(keepIndex);
-
         // Summarize excess history in 2.5k chunks
+        const summaries = [];
         tokenCount = 0;
         chunk = [];
         for (const entry of excessHistory) {
             tokenCount += entry.tokens;
             chunk.push(entry.text);
             if (tokenCount >= 2500) {
-                const summary = await modelManager.summarizeHistory(chunk);
-                this.state.summaries.push({ role: "Summary", text: summary, tokens: estimateTokens(summary) });
+                summaries.push(await modelManager.summarizeHistory(chunk, signal));
                 tokenCount = 0;
                 chunk = [];
             }
         }
         if (chunk.length > 0) {
-            const summary = await modelManager.summarizeHistory(chunk);
-            this.state.summaries.push({ role: "Summary", text: summary, tokens: estimateTokens(summary) });
+            summaries.push(await modelManager.summarizeHistory(chunk, signal));
+        }
+
+        // New entries are only ever appended, so the summarized ones are still at the front
+        if (this.state.conversationHistory !== history || history[0] !== excessHistory[0]) {
+            console.log('Conversation history changed during summarization; dropping stale summaries');
+            return;
+        }
+        this.state.conversationHistory = history.slice(excessHistory.length);
+        for (const summary of summaries) {
+            this.state.summaries.push({ role: "Summary", text: summary, tokens: modelManager.countTokens(summary) });
         }
     }
 
     /**
-     * Get data needed to save the game (snapshot of state and context).
+     * Get data needed to save the game (snapshot of state and context, and every timeline).
+     * SaveManager wraps it in the versioned save envelope.
      * @returns {Object} - Save data object.
      */
     getSaveData() {
         return {
             state: this.state,
-            initialContext: this.initialContext, // Add this
-            timestamp: new Date().toISOString(),
-            version: '1.0.0'
+            initialContext: this.initialContext,
+            timelines: this.turnHistory ? this.turnHistory.toJSON() : null
         };
     }
     
     /**
      * Load a saved game state from a save data object.
-     * @param {Object} saveData - The save data to load.
+     * @param {Object} saveData - The save data to load (the data of a migrated save envelope).
      */
     loadSaveData(saveData) {
         if (!saveData || !saveData.state) {
@@ -273,17 +682,25 @@ class GameState {
         }
         this.state = saveData.state;
         this.initialContext = saveData.initialContext || "Jinwoo has just awakened in the hospital room..."; // Fallback
+        if (this.turnHistory) {
+            if (saveData.timelines) {
+                this.turnHistory.load(saveData.timelines);
+            } else {
+                this.turnHistory.clear();
+            }
+        }
+        const errors = this.guard.validateState(this.state);
+        if (errors.length > 0) {
+            console.warn('Loaded state does not match the schema:', errors);
+        }
         console.log('Game loaded:', this.state);
     }
 
     /**
      * Reset the game state to its initial values
+     * @param {number|null} seed - RNG seed; a fresh one by default
      */
-    resetState() {
-        this.initializeState();
-    }
-
-    saveState() {
-        return this.state;
+    resetState(seed = null) {
+        this.initializeState(seed);
     }
 }
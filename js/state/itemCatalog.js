@@ -0,0 +1,345 @@
+/**
+ * Item Catalog
+ *
+ * Canonical definitions of every item in the game. The built-in definitions
+ * cover the starting gear, potions and gate loot; items the models invent are
+ * added to the save's own catalog the first time they turn up. Every item that
+ * enters the inventory is normalized here first: it is matched onto a catalog
+ * entry by ID, by name or alias, or by a fuzzy match of its name (so "healing
+ * potion (small)" and "Minor Healing Potion" both stack as Healing Potion),
+ * and only becomes a new entry when nothing matches.
+ *
+ * A definition is:
+ *   { id, name, type, rarity, stackable, description, value, effects?, slot?, bonuses?, aliases? }
+ * value is what the item is worth in gold; effects, slot and bonuses are as in CombatEngine.itemEffect
+ * and EquipmentEngine. Inventory entries are copies of their definition (without aliases) with a
+ * quantity, and keep the definition's id; stackable items share one entry, the others get an
+ * entry each. Definitions the models add live in state.itemCatalog.
+ */
+class ItemCatalog {
+    /**
+     * @param {Object} rules - Matching rules, merged over ItemCatalog.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...ItemCatalog.DEFAULT_RULES, ...rules };
+        // Which item types are equipment (those don't stack)
+        this.equipment = new EquipmentEngine();
+    }
+
+    /**
+     * Every definition: the built-in ones and the save's own
+     * @param {Object|null} state - Game state
+     * @returns {Array<Object>}
+     */
+    all(state = null) {
+        return [...ItemCatalog.DEFINITIONS, ...(state?.itemCatalog || [])];
+    }
+
+    /**
+     * A definition by ID
+     * @param {string} id - Item ID
+     * @param {Object|null} state - Game state, for the definitions the models added
+     * @returns {Object|null}
+     */
+    get(id, state = null) {
+        return this.all(state).find(definition => definition.id === id) || null;
+    }
+
+    /**
+     * Find the catalog entry a proposed item refers to
+     * @param {Object} state - Game state
+     * @param {Object} proposal - { id?, name, type? }
+     * @returns {Object|null} - The definition, or null if the item is new
+     */
+    match(state, proposal) {
+        const byId = proposal.id ? this.get(proposal.id, state) : null;
+        if (byId) {
+            return byId;
+        }
+        const key = this.nameKey(proposal.name);
+        if (!key) {
+            return null;
+        }
+        const definitions = this.all(state);
+        const exact = definitions.find(definition => this._names(definition).some(name => this.nameKey(name) === key));
+        if (exact) {
+            return exact;
+        }
+
+        // A near miss only counts for an item of the same type, with the same ranks and numbers
+        // (an F-Rank Magic Crystal is not an E-Rank one)
+        const type = String(proposal.type || '').toLowerCase();
+        const markers = this._markers(key);
+        let best = null;
+        let bestScore = this.rules.fuzzyThreshold;
+        for (const definition of definitions) {
+            if (type && type !== definition.type) {
+                continue;
+            }
+            for (const name of this._names(definition)) {
+                const candidate = this.nameKey(name);
+                if (this._markers(candidate) !== markers) {
+                    continue;
+                }
+                const score = this._similarity(key, candidate);
+                if (score >= bestScore) {
+                    best = definition;
+                    bestScore = score;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The catalog entry for a proposed item, added to the save's catalog if it is new
+     * (modifies the state)
+     * @param {Object} state - Game state
+     * @param {Object} proposal - Item as proposed (see StateGuard.ITEM_SCHEMA)
+     * @returns {Object} - The definition
+     */
+    normalize(state, proposal) {
+        const known = this.match(state, proposal);
+        if (known) {
+            return known;
+        }
+        const definition = this.createDefinition(state, proposal);
+        state.itemCatalog = [...(state.itemCatalog || []), definition];
+        return definition;
+    }
+
+    /**
+     * Build a definition for an item the catalog doesn't have
+     * @param {Object} state - Game state (for a unique ID)
+     * @param {Object} item - Item as proposed (attack and defense of older items become bonuses)
+     * @returns {Object} - Definition
+     */
+    createDefinition(state, item) {
+        const proposal = this.equipment.foldLegacyBonuses(item);
+        const name = String(proposal.name || '').trim();
+        if (!name) {
+            throw new Error('An item needs a name');
+        }
+        const rarity = ItemCatalog.RARITIES.includes(proposal.rarity) ? proposal.rarity : 'common';
+        const definition = {
+            id: this._newId(state, name),
+            name,
+            type: String(proposal.type || 'misc').trim().toLowerCase() || 'misc',
+            rarity,
+            stackable: typeof proposal.stackable === 'boolean' ? proposal.stackable : !this.equipment.slotKind(proposal),
+            description: String(proposal.description || ''),
+            value: Number.isInteger(proposal.value) && proposal.value >= 0 ? proposal.value : ItemCatalog.RARITY_VALUES[rarity]
+        };
+        for (const key of ['effects', 'slot', 'bonuses']) {
+            if (proposal[key] !== undefined) {
+                definition[key] = JSON.parse(JSON.stringify(proposal[key]));
+            }
+        }
+        return definition;
+    }
+
+    /**
+     * An inventory entry for a definition
+     * @param {Object} definition - Definition
+     * @param {number} quantity - Quantity
+     * @returns {Object} - Inventory entry
+     */
+    toEntry(definition, quantity = 1) {
+        const { aliases, ...fields } = JSON.parse(JSON.stringify(definition));
+        return { ...fields, quantity };
+    }
+
+    /**
+     * Add a proposed item to the inventory as its catalog entry (modifies the state)
+     * @param {Object} state - Game state
+     * @param {Object} proposal - Item as proposed
+     * @returns {Object} - The definition it was added as
+     */
+    addToInventory(state, proposal) {
+        const definition = this.normalize(state, proposal);
+        const quantity = Math.max(1, proposal.quantity || 1);
+        const inventory = state.player.inventory;
+        if (!definition.stackable) {
+            for (let i = 0; i < quantity; i++) {
+                inventory.push(this.toEntry(definition, 1));
+            }
+            return definition;
+        }
+        const existing = inventory.find(entry => entry.id === definition.id);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            inventory.push(this.toEntry(definition, quantity));
+        }
+        return definition;
+    }
+
+    /**
+     * Remove a proposed item from the inventory, matched the same way as when it was added
+     * (modifies the state)
+     * @param {Object} state - Game state
+     * @param {Object} proposal - { id?, name, quantity? }
+     * @returns {number} - How many were removed
+     */
+    removeFromInventory(state, proposal) {
+        const definition = this.match(state, proposal);
+        const wanted = String(proposal.name || '').toLowerCase();
+        const inventory = state.player.inventory;
+        let remaining = Math.max(1, proposal.quantity || 1);
+        for (const entry of inventory.filter(item => definition ? item.id === definition.id : item.name.toLowerCase() === wanted)) {
+            const taken = Math.min(entry.quantity, remaining);
+            entry.quantity -= taken;
+            remaining -= taken;
+            if (entry.quantity <= 0) {
+                inventory.splice(inventory.indexOf(entry), 1);
+            }
+            if (remaining === 0) {
+                break;
+            }
+        }
+        return Math.max(1, proposal.quantity || 1) - remaining;
+    }
+
+    /**
+     * A name reduced to what identifies the item: lower case, without punctuation, plurals
+     * or qualifiers like "minor" and "small", with the words sorted
+     * @param {string} name - Item name
+     * @returns {string}
+     */
+    nameKey(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !ItemCatalog.QUALIFIERS.includes(word))
+            .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)
+            .sort()
+            .join(' ');
+    }
+
+    /**
+     * A definition's name and aliases
+     * @param {Object} definition - Definition
+     * @returns {Array<string>}
+     * @private
+     */
+    _names(definition) {
+        return [definition.name, ...(definition.aliases || [])];
+    }
+
+    /**
+     * The words of a name key that are one or two letters or a number: ranks, grades, sizes
+     * @param {string} key - Name key
+     * @returns {string}
+     * @private
+     */
+    _markers(key) {
+        return key.split(' ').filter(word => word.length <= 2 || /^\d+$/.test(word)).join(' ');
+    }
+
+    /**
+     * How alike two name keys are: the Dice coefficient of their letter pairs, from 0 to 1
+     * @param {string} a - Name key
+     * @param {string} b - Name key
+     * @returns {number}
+     * @private
+     */
+    _similarity(a, b) {
+        const pairs = (text) => {
+            const result = [];
+            for (let i = 0; i < text.length - 1; i++) {
+                result.push(text.slice(i, i + 2));
+            }
+            return result;
+        };
+        const left = pairs(a);
+        const right = pairs(b);
+        if (left.length === 0 || right.length === 0) {
+            return a === b ? 1 : 0;
+        }
+        const total = left.length + right.length;
+        let shared = 0;
+        for (const pair of left) {
+            const index = right.indexOf(pair);
+            if (index !== -1) {
+                shared++;
+                right.splice(index, 1);
+            }
+        }
+        return (2 * shared) / total;
+    }
+
+    /**
+     * An unused ID made from an item name ("Kasaka's Venom Fang" -> "kasakas-venom-fang")
+     * @param {Object} state - Game state
+     * @param {string} name - Item name
+     * @returns {string}
+     * @private
+     */
+    _newId(state, name) {
+        const base = name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+        let id = base;
+        for (let n = 2; this.get(id, state); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+}
+
+// Rarities, lowest to highest
+ItemCatalog.RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+// Gold value of a new item that doesn't name one, by rarity
+ItemCatalog.RARITY_VALUES = {
+    common: 50,
+    uncommon: 300,
+    rare: 2000,
+    epic: 10000,
+    legendary: 50000
+};
+
+// Words that don't tell items apart ("Minor Healing Potion" is a Healing Potion). Not "a": it is also a rank.
+ItemCatalog.QUALIFIERS = ['an', 'the', 'of', 'some', 'minor', 'small', 'lesser', 'little', 'basic', 'simple', 'ordinary', 'normal', 'regular', 'standard'];
+
+ItemCatalog.DEFAULT_RULES = {
+    // How alike (0 to 1) a proposed name must be to a catalog name to count as the same item
+    fuzzyThreshold: 0.85
+};
+
+// Magic crystals by the rank of the monsters they come from
+ItemCatalog.CRYSTALS = [
+    { rank: 'E', rarity: 'common', value: 50 },
+    { rank: 'D', rarity: 'common', value: 200 },
+    { rank: 'C', rarity: 'uncommon', value: 1000 },
+    { rank: 'B', rarity: 'rare', value: 5000 },
+    { rank: 'A', rarity: 'epic', value: 20000 },
+    { rank: 'S', rarity: 'legendary', value: 100000 }
+];
+
+// The built-in definitions
+ItemCatalog.DEFINITIONS = [
+    { id: 'hospital-gown', name: 'Hospital Gown', type: 'clothing', rarity: 'common', stackable: false, description: 'A plain patient gown', value: 0 },
+    { id: 'healing-potion', name: 'Healing Potion', type: 'consumable', rarity: 'common', stackable: true, description: 'Restores 50 HP', value: 100, effects: { HP: 50 }, aliases: ['Health Potion', 'HP Potion'] },
+    { id: 'mana-potion', name: 'Mana Potion', type: 'consumable', rarity: 'common', stackable: true, description: 'Restores 50 MP', value: 100, effects: { MP: 50 }, aliases: ['MP Potion', 'Magic Potion'] },
+    { id: 'high-grade-healing-potion', name: 'High-Grade Healing Potion', type: 'consumable', rarity: 'uncommon', stackable: true, description: 'Restores 200 HP', value: 500, effects: { HP: 200 }, aliases: ['Greater Healing Potion', 'High-Grade Health Potion'] },
+    { id: 'random-box', name: 'Random Box', type: 'misc', rarity: 'rare', stackable: true, description: 'A sealed box from the System. Its contents are a mystery', value: 1000 },
+    ...ItemCatalog.CRYSTALS.map(({ rank, rarity, value }) => ({
+        id: `${rank.toLowerCase()}-rank-magic-crystal`,
+        name: `${rank}-Rank Magic Crystal`,
+        type: 'material',
+        rarity,
+        stackable: true,
+        description: `A mana crystal harvested from ${rank}-rank monsters`,
+        value,
+        aliases: [`${rank}-Rank Mana Crystal`]
+    })),
+    { id: 'kasakas-venom-fang', name: 'Kasaka\'s Venom Fang', type: 'material', rarity: 'uncommon', stackable: true, description: 'A fang still dripping with paralytic venom', value: 300 },
+    { id: 'goblin-chieftains-totem', name: 'Goblin Chieftain\'s Totem', type: 'material', rarity: 'uncommon', stackable: true, description: 'A crude totem carved from monster bone', value: 200 },
+    { id: 'knights-crest', name: 'Knight\'s Crest', type: 'material', rarity: 'uncommon', stackable: true, description: 'A tarnished crest from a fallen knight\'s armor', value: 300 },
+    { id: 'cursed-tome', name: 'Cursed Tome', type: 'misc', rarity: 'rare', stackable: true, description: 'A book bound in black leather, cold to the touch', value: 800 },
+    { id: 'ice-bear-pelt', name: 'Ice Bear Pelt', type: 'material', rarity: 'uncommon', stackable: true, description: 'A thick white pelt that never gets wet', value: 400 },
+    { id: 'frost-elf-arrowhead', name: 'Frost Elf Arrowhead', type: 'material', rarity: 'uncommon', stackable: true, description: 'An arrowhead of ice that does not melt', value: 300 },
+    { id: 'steel-dagger', name: 'Steel Dagger', type: 'weapon', rarity: 'common', stackable: false, description: 'A plain hunter\'s dagger', value: 300, slot: 'weapon', bonuses: { attack: 5 } },
+    { id: 'leather-armor', name: 'Leather Armor', type: 'armor', rarity: 'common', stackable: false, description: 'Light armor of hardened leather', value: 400, slot: 'body', bonuses: { defense: 4 } },
+    { id: 'knight-killer', name: 'Knight Killer', type: 'weapon', rarity: 'rare', stackable: false, description: 'A dagger made to pierce armor', value: 20000, slot: 'weapon', bonuses: { attack: 20 } }
+];
@@ -0,0 +1,171 @@
+/**
+ * Leveling Engine
+ *
+ * Progression rules: the XP curve, level-up thresholds, stat points and the
+ * max HP/MP derived from the player's attributes. The models only report how
+ * much experience the player earned; everything that follows from it is
+ * computed here, so the numbers stay consistent across sessions and saves.
+ *
+ * player.experience is the total experience earned; the level is the highest
+ * one whose threshold that total has reached.
+ */
+class LevelingEngine {
+    /**
+     * @param {Object} rules - Progression rules, merged over LevelingEngine.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...LevelingEngine.DEFAULT_RULES, ...rules };
+        // Equipped items and passive skills add to VIT and INT, and so to max HP/MP
+        this.equipment = new EquipmentEngine();
+        this.skills = new SkillEngine();
+    }
+
+    /**
+     * Experience needed to go from a level to the next
+     * @param {number} level - Current level
+     * @returns {number}
+     */
+    xpToNext(level) {
+        return Math.round(this.rules.baseXp * Math.pow(level, this.rules.growth));
+    }
+
+    /**
+     * Total experience at which a level is reached
+     * @param {number} level - Level
+     * @returns {number}
+     */
+    totalXpForLevel(level) {
+        let total = 0;
+        for (let l = 1; l < level; l++) {
+            total += this.xpToNext(l);
+        }
+        return total;
+    }
+
+    /**
+     * Level reached with a total amount of experience
+     * @param {number} experience - Total experience
+     * @returns {number}
+     */
+    levelForExperience(experience) {
+        let level = 1;
+        let threshold = this.xpToNext(1);
+        while (level < this.rules.maxLevel && experience >= threshold) {
+            level++;
+            threshold += this.xpToNext(level);
+        }
+        return level;
+    }
+
+    /**
+     * Progress through the current level, for the EXP bar
+     * @param {Object} player - Player state
+     * @returns {Object} - { current, needed } where needed is 0 at the maximum level
+     */
+    progress(player) {
+        if (player.level >= this.rules.maxLevel) {
+            return { current: 0, needed: 0 };
+        }
+        return {
+            current: Math.max(0, player.experience - this.totalXpForLevel(player.level)),
+            needed: this.xpToNext(player.level)
+        };
+    }
+
+    /**
+     * Add experience and apply every level-up it causes (modifies the player)
+     * @param {Object} player - Player state
+     * @param {number} amount - Experience gained (already reviewed by the StateGuard)
+     * @returns {Object} - { gained, levelUps: [{ level, statPoints }] }, one level-up per level gained
+     */
+    awardExperience(player, amount) {
+        player.experience += amount;
+        const target = this.levelForExperience(player.experience);
+        const levelUps = [];
+        while (player.level < target) {
+            player.level++;
+            player.statPoints = (player.statPoints || 0) + this.rules.statPointsPerLevel;
+            levelUps.push({ level: player.level, statPoints: this.rules.statPointsPerLevel });
+        }
+        if (levelUps.length > 0) {
+            this.recomputeDerived(player);
+            // The System restores its player on every level-up
+            if (this.rules.healOnLevelUp) {
+                player.HP = player.maxHP;
+                player.MP = player.maxMP;
+            }
+        }
+        return { gained: amount, levelUps };
+    }
+
+    /**
+     * Spend unspent stat points on an attribute (modifies the player)
+     * @param {Object} player - Player state
+     * @param {string} stat - Attribute (STR, AGI, INT, SENSE, VIT)
+     * @param {number} points - Points to spend
+     */
+    allocateStatPoints(player, stat, points = 1) {
+        if (!LevelingEngine.ATTRIBUTES.includes(stat)) {
+            throw new Error(`Unknown attribute: ${stat}`);
+        }
+        if (!Number.isInteger(points) || points < 1) {
+            throw new Error('Points must be a positive whole number');
+        }
+        if ((player.statPoints || 0) < points) {
+            throw new Error('Not enough stat points');
+        }
+        player.statPoints -= points;
+        player.stats[stat] += points;
+        this.recomputeDerived(player);
+    }
+
+    /**
+     * Recompute max HP from VIT and max MP from INT, counting equipment and passive skill bonuses,
+     * and keep HP and MP within them (modifies the player). Called again whenever equipment changes.
+     * @param {Object} player - Player state
+     */
+    recomputeDerived(player) {
+        const { baseHP, hpPerVit, baseMP, mpPerInt } = this.rules;
+        const bonuses = [this.equipment.bonuses(player), this.skills.passiveBonuses(player)];
+        // Like CombatEngine.effectiveStats, bonuses can't take an attribute below zero
+        const attribute = stat => Math.max(0, bonuses.reduce((total, bonus) => total + (bonus[stat] || 0), player.stats[stat]));
+        player.maxHP = baseHP + attribute('VIT') * hpPerVit;
+        player.maxMP = baseMP + attribute('INT') * mpPerInt;
+        player.HP = Math.min(player.HP, player.maxHP);
+        player.MP = Math.min(player.MP, player.maxMP);
+    }
+
+    /**
+     * Bring a player from before these rules in line with them, without taking anything away:
+     * the level is raised to what the experience earns (or the experience to what the level needs)
+     * and the derived values are recomputed (modifies the player)
+     * @param {Object} player - Player state
+     */
+    reconcile(player) {
+        player.statPoints = player.statPoints ?? 0;
+        const earned = this.levelForExperience(player.experience);
+        if (earned > player.level) {
+            player.statPoints += (earned - player.level) * this.rules.statPointsPerLevel;
+            player.level = earned;
+        } else {
+            player.experience = Math.max(player.experience, this.totalXpForLevel(player.level));
+        }
+        this.recomputeDerived(player);
+    }
+}
+
+// Attributes stat points can be spent on
+LevelingEngine.ATTRIBUTES = ['STR', 'AGI', 'INT', 'SENSE', 'VIT'];
+
+// XP to the next level is baseXp * level^growth; max HP/MP is base + attribute * per-point
+LevelingEngine.DEFAULT_RULES = {
+    baseXp: 100,
+    growth: 1.5,
+    maxLevel: 100,
+    statPointsPerLevel: 5,
+    baseHP: 50,
+    hpPerVit: 5,
+    baseMP: 50,
+    mpPerInt: 5,
+    healOnLevelUp: true
+};
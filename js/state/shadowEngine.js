@@ -0,0 +1,339 @@
+/**
+ * Shadow Engine
+ *
+ * "Arise": shadow extraction and the Shadow Army. The monsters of a won fight
+ * leave corpses; each can be extracted a limited number of times, with a
+ * chance that grows with INT and shrinks with the monster's rank (bosses are
+ * harder still). An extracted shadow joins the roster with a grade from its
+ * rank, the monster's stats and its own level. During combat, shadows are
+ * summoned for MP and fight on Jinwoo's side until dismissed or beaten back
+ * into his shadow; the ones that see a fight through gain experience.
+ *
+ * The army lives in state.shadowArmy:
+ *   { shadows: [{ id, name, source, rank, grade, level, experience, maxHP, stats, attack, defense }],
+ *     corpses: [{ id, name, rank, boss, attemptsLeft }] }
+ * Summoned shadows are combat participants (side 'shadow', id = the shadow's ID).
+ */
+class ShadowEngine {
+    /**
+     * @param {Object} rules - Extraction and army rules, merged over ShadowEngine.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...ShadowEngine.DEFAULT_RULES, ...rules };
+    }
+
+    /**
+     * An empty army
+     * @returns {Object} - state.shadowArmy
+     */
+    createArmy() {
+        return { shadows: [], corpses: [] };
+    }
+
+    /**
+     * Leave the corpses of a won fight for extraction, replacing any older ones (modifies the army)
+     * @param {Object} army - state.shadowArmy
+     * @param {Array<Object>} enemies - The fight's enemy participants
+     */
+    leaveCorpses(army, enemies) {
+        army.corpses = enemies.map(enemy => ({
+            id: enemy.id,
+            name: enemy.name,
+            rank: enemy.rank,
+            boss: Boolean(enemy.boss),
+            attemptsLeft: this.rules.attemptsPerCorpse
+        }));
+    }
+
+    /**
+     * Chance that an extraction attempt succeeds
+     * @param {Object} player - Player state
+     * @param {Object} corpse - Corpse
+     * @returns {number} - Between 0 and 1
+     */
+    extractionChance(player, corpse) {
+        let chance = this.rules.baseChance[corpse.rank] + player.stats.INT * this.rules.chancePerInt;
+        if (corpse.boss) {
+            chance *= this.rules.bossChanceFactor;
+        }
+        return Math.min(this.rules.maxChance, Math.max(this.rules.minChance, chance));
+    }
+
+    /**
+     * Why a corpse can't be extracted right now
+     * @param {Object} state - Game state
+     * @param {string} corpseId - Corpse ID
+     * @returns {string|null} - The reason, or null if it can be
+     */
+    extractBlockReason(state, corpseId) {
+        if (state.combat) {
+            return 'Finish the fight first';
+        }
+        if (state.player.HP <= 0) {
+            return 'Jinwoo has fallen';
+        }
+        if (!state.shadowArmy.corpses.some(corpse => corpse.id === corpseId)) {
+            return 'There is no corpse to extract';
+        }
+        if (state.shadowArmy.shadows.length >= this.rules.maxShadows) {
+            return `The Shadow Army is full (${this.rules.maxShadows} shadows)`;
+        }
+        return null;
+    }
+
+    /**
+     * Attempt to extract a shadow from a corpse (modifies the army). A success or the last failed
+     * attempt uses up the corpse.
+     * @param {Object} state - Game state
+     * @param {SeededRandom} rng - Game RNG
+     * @param {string} corpseId - Corpse ID (check extractBlockReason first)
+     * @returns {Object} - { corpse, chance, success, shadow|null, attemptsLeft }
+     */
+    extract(state, rng, corpseId) {
+        const blocked = this.extractBlockReason(state, corpseId);
+        if (blocked) {
+            throw new Error(blocked);
+        }
+        const army = state.shadowArmy;
+        const corpse = army.corpses.find(candidate => candidate.id === corpseId);
+        const chance = this.extractionChance(state.player, corpse);
+        const success = rng.chance(chance);
+
+        let shadow = null;
+        if (success) {
+            shadow = this.createShadow(army, rng, corpse);
+            army.shadows.push(shadow);
+            corpse.attemptsLeft = 0;
+        } else {
+            corpse.attemptsLeft--;
+        }
+        if (corpse.attemptsLeft <= 0) {
+            army.corpses = army.corpses.filter(candidate => candidate !== corpse);
+        }
+        return { corpse, chance, success, shadow, attemptsLeft: corpse.attemptsLeft };
+    }
+
+    /**
+     * Raise a shadow from a corpse: a free name from the roster pool, a grade from the monster's
+     * rank, and the stat block of its rank
+     * @param {Object} army - state.shadowArmy
+     * @param {SeededRandom} rng - Game RNG
+     * @param {Object} corpse - Corpse
+     * @returns {Object} - Shadow at level 1
+     */
+    createShadow(army, rng, corpse) {
+        const taken = new Set(army.shadows.map(shadow => shadow.name));
+        const freeNames = ShadowEngine.NAMES.filter(name => !taken.has(name));
+        const name = freeNames.length > 0 ? rng.pick(freeNames) : `${corpse.name} Shadow ${army.shadows.length + 1}`;
+
+        const gradeIndex = Math.min(
+            ShadowEngine.GRADES.length - 1,
+            ShadowEngine.RANK_GRADES[corpse.rank] + (corpse.boss ? 1 : 0)
+        );
+        const block = CombatEngine.MONSTER_RANKS[corpse.rank];
+        const multiplier = corpse.boss ? this.rules.bossStatMultiplier : 1;
+        const stats = {};
+        for (const stat of CombatEngine.STATS) {
+            stats[stat] = Math.round(block[stat] * multiplier);
+        }
+        return {
+            id: this._nextId(army),
+            name,
+            source: corpse.name.replace(/ \d+$/, ''),
+            rank: corpse.rank,
+            grade: ShadowEngine.GRADES[gradeIndex],
+            level: 1,
+            experience: 0,
+            maxHP: Math.round(block.HP * multiplier),
+            stats,
+            attack: Math.round(block.attack * multiplier),
+            defense: Math.round(block.defense * multiplier)
+        };
+    }
+
+    /**
+     * A shadow of the roster by ID or name (case-insensitive)
+     * @param {Object} army - state.shadowArmy
+     * @param {string} ref - Shadow ID or name
+     * @returns {Object|null}
+     */
+    find(army, ref) {
+        const wanted = String(ref || '').toLowerCase();
+        return army.shadows.find(shadow => shadow.id === ref || shadow.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * MP it costs to summon a shadow
+     * @param {Object} shadow - Shadow
+     * @returns {number}
+     */
+    summonCost(shadow) {
+        return this.rules.summonCost[shadow.grade];
+    }
+
+    /**
+     * Shadows fighting in an encounter, including the ones beaten back this fight
+     * @param {Object} combat - state.combat
+     * @returns {Array<Object>} - Shadow participants
+     */
+    summoned(combat) {
+        return combat ? combat.participants.filter(participant => participant.side === 'shadow') : [];
+    }
+
+    /**
+     * Why a shadow can't be summoned into the current fight
+     * @param {Object} state - Game state
+     * @param {string} ref - Shadow ID or name
+     * @returns {string|null} - The reason, or null if it can be
+     */
+    summonBlockReason(state, ref) {
+        const shadow = this.find(state.shadowArmy, ref);
+        if (!shadow) {
+            return 'Choose a shadow from the Shadow Army';
+        }
+        const fighter = this.summoned(state.combat).find(participant => participant.id === shadow.id);
+        if (fighter) {
+            return fighter.HP > 0 ? `${shadow.name} is already summoned` : `${shadow.name} can't be summoned again until the fight is over`;
+        }
+        const cost = this.summonCost(shadow);
+        if (state.player.MP < cost) {
+            return `Not enough MP to summon ${shadow.name} (${cost} needed, ${state.player.MP} left)`;
+        }
+        return null;
+    }
+
+    /**
+     * A shadow's combat participant, at full HP
+     * @param {Object} shadow - Shadow
+     * @returns {Object} - Participant
+     */
+    toParticipant(shadow) {
+        return {
+            id: shadow.id,
+            name: shadow.name,
+            side: 'shadow',
+            grade: shadow.grade,
+            level: shadow.level,
+            HP: shadow.maxHP,
+            maxHP: shadow.maxHP,
+            stats: { ...shadow.stats },
+            attack: shadow.attack,
+            defense: shadow.defense
+        };
+    }
+
+    /**
+     * Give every shadow that fought in a won encounter its experience, with their level-ups
+     * (modifies the army)
+     * @param {Object} army - state.shadowArmy
+     * @param {Array<Object>} fighters - Shadow participants of the fight
+     * @param {number} experience - The fight's experience
+     * @returns {Array<Object>} - [{ name, level }], one per level gained
+     */
+    awardExperience(army, fighters, experience) {
+        const levelUps = [];
+        for (const fighter of fighters) {
+            const shadow = this.find(army, fighter.id);
+            if (!shadow) {
+                continue;
+            }
+            shadow.experience += experience;
+            while (shadow.level < this.rules.maxLevel && shadow.experience >= this.xpToNext(shadow.level)) {
+                shadow.experience -= this.xpToNext(shadow.level);
+                shadow.level++;
+                this._growStats(shadow);
+                levelUps.push({ name: shadow.name, level: shadow.level });
+            }
+        }
+        return levelUps;
+    }
+
+    /**
+     * Experience a shadow needs to go from a level to the next
+     * @param {number} level - Current level
+     * @returns {number}
+     */
+    xpToNext(level) {
+        return this.rules.xpPerLevel * level;
+    }
+
+    /**
+     * Describe an extraction attempt, for the narrative and the narrator
+     * @param {Object} result - Result of extract
+     * @returns {Array<string>} - Lines
+     */
+    describeExtraction(result) {
+        const { corpse, chance, success, shadow, attemptsLeft } = result;
+        const lines = [`Jinwoo commands the corpse of ${corpse.name} to arise (${Math.round(chance * 100)}% chance).`];
+        if (success) {
+            lines.push(`Extraction succeeded: ${shadow.name} (${shadow.grade}-grade shadow of ${shadow.source}, level ${shadow.level}) joins the Shadow Army.`);
+        } else if (attemptsLeft > 0) {
+            lines.push(`Extraction failed. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left on this corpse.`);
+        } else {
+            lines.push(`Extraction failed. The corpse of ${corpse.name} crumbles to dust.`);
+        }
+        return lines;
+    }
+
+    /**
+     * Describe a shadow for the Shadow Army panel and the models
+     * @param {Object} shadow - Shadow
+     * @returns {string}
+     */
+    describe(shadow) {
+        return `${shadow.name} (${shadow.grade}, Lv ${shadow.level}, ${shadow.source})`;
+    }
+
+    /**
+     * Next free shadow ID
+     * @param {Object} army - state.shadowArmy
+     * @returns {string}
+     * @private
+     */
+    _nextId(army) {
+        const highest = army.shadows.reduce((max, shadow) => Math.max(max, parseInt(shadow.id.slice(1), 10) || 0), 0);
+        return `s${highest + 1}`;
+    }
+
+    /**
+     * Raise a shadow's stats for a new level
+     * @param {Object} shadow - Shadow
+     * @private
+     */
+    _growStats(shadow) {
+        const grow = (value) => value + Math.max(1, Math.round(value * this.rules.statGrowth));
+        for (const stat of Object.keys(shadow.stats)) {
+            shadow.stats[stat] = grow(shadow.stats[stat]);
+        }
+        shadow.maxHP = grow(shadow.maxHP);
+        shadow.attack = grow(shadow.attack);
+        shadow.defense = grow(shadow.defense);
+    }
+}
+
+// Shadow grades, weakest first
+ShadowEngine.GRADES = ['Normal', 'Elite', 'Knight', 'Elite Knight', 'Commander', 'Marshal'];
+
+// Grade (index into GRADES) of a shadow extracted from a monster of each rank; bosses are one grade higher
+ShadowEngine.RANK_GRADES = { E: 0, D: 0, C: 1, B: 2, A: 3, S: 4 };
+
+// Names given to new shadows, in no particular order
+ShadowEngine.NAMES = ['Igris', 'Iron', 'Tank', 'Tusk', 'Beru', 'Greed', 'Kaisel', 'Jima', 'Fang', 'Bellion', 'Kargalgan', 'Esil', 'Cerberus', 'Kamish', 'Baruka', 'Tarka'];
+
+ShadowEngine.DEFAULT_RULES = {
+    // Extraction chance = baseChance[rank] + INT * chancePerInt, times bossChanceFactor for bosses
+    baseChance: { E: 0.6, D: 0.5, C: 0.4, B: 0.3, A: 0.2, S: 0.1 },
+    chancePerInt: 0.005,
+    bossChanceFactor: 0.5,
+    minChance: 0.02,
+    maxChance: 0.95,
+    attemptsPerCorpse: 3,
+    maxShadows: 20,
+    // Bosses keep more of their strength as shadows
+    bossStatMultiplier: 1.3,
+    summonCost: { Normal: 10, Elite: 20, Knight: 35, 'Elite Knight': 50, Commander: 80, Marshal: 120 },
+    // Shadows need xpPerLevel * level experience per level, and grow 5% per level
+    xpPerLevel: 100,
+    statGrowth: 0.05,
+    maxLevel: 100
+};
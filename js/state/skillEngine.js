@@ -0,0 +1,333 @@
+/**
+ * Skill Engine
+ *
+ * The player's skills: active skills cost MP and go on cooldown when used,
+ * passive skills add permanent bonuses to attributes, attack or defense.
+ * Skills have level or rank requirements to learn them, and grow a skill
+ * level with use. The narrator teaches skills with learn_skill; using one
+ * (from the combat menu or in a free-text action) is checked and paid for
+ * here before the narrator describes it.
+ *
+ * Skills live in state.player.skills:
+ *   [{ name, type: 'active'|'passive', description, mpCost, cooldown, cooldownLeft,
+ *      requirements: { level?, rank? }, level, uses, effect?, bonuses? }]
+ * effect is what an active skill does in combat ({ type: 'damage', stat: 'STR'|'INT', power }
+ * or { type: 'utility' }); bonuses are a passive skill's per-level bonuses ({ STR?, ..., attack?, defense? }).
+ * Cooldowns are counted in turns (a free-text action or a combat round) and tick down at
+ * the end of each turn, so a skill with cooldown 2 can be used every other turn.
+ */
+class SkillEngine {
+    /**
+     * @param {Object} rules - Skill rules, merged over SkillEngine.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.rules = { ...SkillEngine.DEFAULT_RULES, ...rules };
+    }
+
+    /**
+     * Build a skill at level 1: a catalog skill by name, or a new one from a definition
+     * @param {string} name - Skill name
+     * @param {Object} definition - { type?, description?, mpCost?, cooldown? } for skills not in the catalog
+     * @returns {Object} - Skill
+     */
+    createSkill(name, definition = {}) {
+        const skillName = String(name || '').trim();
+        if (!skillName) {
+            throw new Error('A skill needs a name');
+        }
+        const known = SkillEngine.CATALOG.find(skill => skill.name.toLowerCase() === skillName.toLowerCase());
+        if (known) {
+            return { ...JSON.parse(JSON.stringify(known)), cooldownLeft: 0, level: 1, uses: 0 };
+        }
+
+        // A skill the story invents: an active one strikes with INT, a passive one only flavors the story
+        const type = definition.type === 'passive' ? 'passive' : 'active';
+        const skill = {
+            name: skillName,
+            type,
+            description: String(definition.description || ''),
+            mpCost: 0,
+            cooldown: 0,
+            cooldownLeft: 0,
+            requirements: {},
+            level: 1,
+            uses: 0
+        };
+        if (type === 'active') {
+            skill.mpCost = this._clampInteger(definition.mpCost ?? this.rules.defaultMpCost, 0, this.rules.maxMpCost);
+            skill.cooldown = this._clampInteger(definition.cooldown ?? this.rules.defaultCooldown, 0, this.rules.maxCooldown);
+            skill.effect = { type: 'damage', stat: 'INT', power: this.rules.defaultPower };
+        } else {
+            skill.bonuses = {};
+        }
+        return skill;
+    }
+
+    /**
+     * Why the player can't learn a skill yet
+     * @param {Object} player - Player state
+     * @param {Object} skill - Skill
+     * @returns {string|null} - The unmet requirement, or null if it can be learned
+     */
+    requirementBlockReason(player, skill) {
+        const { level, rank } = skill.requirements || {};
+        if (level && player.level < level) {
+            return `${skill.name} requires level ${level}`;
+        }
+        if (rank && StateGuard.RANKS.indexOf(player.rank) < StateGuard.RANKS.indexOf(rank)) {
+            return `${skill.name} requires rank ${rank}`;
+        }
+        return null;
+    }
+
+    /**
+     * Teach the player a skill (modifies the player)
+     * @param {Object} player - Player state
+     * @param {string} name - Skill name
+     * @param {Object} definition - Definition for a skill not in the catalog (see createSkill)
+     * @returns {Object} - The learned skill
+     */
+    learn(player, name, definition = {}) {
+        if (this.find(player, name)) {
+            throw new Error(`Jinwoo already knows ${name}`);
+        }
+        const skill = this.createSkill(name, definition);
+        const blocked = this.requirementBlockReason(player, skill);
+        if (blocked) {
+            throw new Error(blocked);
+        }
+        player.skills = [...(player.skills || []), skill];
+        return skill;
+    }
+
+    /**
+     * A known skill by name (case-insensitive)
+     * @param {Object} player - Player state
+     * @param {string} name - Skill name
+     * @returns {Object|null}
+     */
+    find(player, name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        return (player.skills || []).find(skill => skill.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Check a skill before it is used
+     * @param {Object} player - Player state
+     * @param {string} name - Skill name
+     * @returns {string|null} - Why it can't be used right now, or null if it can
+     */
+    useBlockReason(player, name) {
+        const skill = this.find(player, name);
+        if (!skill) {
+            return `You don't know the skill "${name}"`;
+        }
+        if (skill.type !== 'active') {
+            return `${skill.name} is a passive skill and is always in effect`;
+        }
+        if (skill.cooldownLeft > 0) {
+            return `${skill.name} is on cooldown for ${this._turns(skill.cooldownLeft)}`;
+        }
+        if (player.MP < skill.mpCost) {
+            return `Not enough MP for ${skill.name} (${skill.mpCost} needed, ${player.MP} left)`;
+        }
+        return null;
+    }
+
+    /**
+     * Use an active skill: pay its MP, start its cooldown and count the use toward its next level
+     * (modifies the player; check useBlockReason first)
+     * @param {Object} player - Player state
+     * @param {string} name - Skill name
+     * @returns {Object} - { skill, mpCost, leveledUp }
+     */
+    use(player, name) {
+        const blocked = this.useBlockReason(player, name);
+        if (blocked) {
+            throw new Error(blocked);
+        }
+        const skill = this.find(player, name);
+        player.MP -= skill.mpCost;
+        skill.cooldownLeft = skill.cooldown;
+        skill.uses++;
+        const leveledUp = skill.level < this.rules.maxSkillLevel && skill.uses >= this.usesForNextLevel(skill);
+        if (leveledUp) {
+            skill.level++;
+        }
+        return { skill, mpCost: skill.mpCost, leveledUp };
+    }
+
+    /**
+     * Total uses at which a skill reaches its next level
+     * @param {Object} skill - Skill
+     * @returns {number}
+     */
+    usesForNextLevel(skill) {
+        return this.rules.usesPerLevel * skill.level * (skill.level + 1) / 2;
+    }
+
+    /**
+     * End a turn: every cooldown ticks down by one (modifies the player)
+     * @param {Object} player - Player state
+     */
+    endTurn(player) {
+        for (const skill of player.skills || []) {
+            if (skill.cooldownLeft > 0) {
+                skill.cooldownLeft--;
+            }
+        }
+    }
+
+    /**
+     * Damage multiplier of an active skill at its current level
+     * @param {Object} skill - Skill
+     * @returns {number}
+     */
+    power(skill) {
+        return (skill.effect?.power || 1) * (1 + this.rules.powerPerLevel * (skill.level - 1));
+    }
+
+    /**
+     * Bonuses from every passive skill, scaled by skill level
+     * @param {Object} player - Player state
+     * @returns {Object} - { STR?, AGI?, INT?, SENSE?, VIT?, attack?, defense? }
+     */
+    passiveBonuses(player) {
+        const total = {};
+        for (const skill of player.skills || []) {
+            if (skill.type !== 'passive') {
+                continue;
+            }
+            for (const [key, value] of Object.entries(skill.bonuses || {})) {
+                total[key] = (total[key] || 0) + value * skill.level;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Describe a skill for the skill list and the models
+     * @param {Object} skill - Skill
+     * @returns {string}
+     */
+    describe(skill) {
+        if (skill.type === 'passive') {
+            return `${skill.name} (passive, Lv ${skill.level})`;
+        }
+        const readiness = skill.cooldownLeft > 0 ? `cooldown ${this._turns(skill.cooldownLeft)}` : 'ready';
+        return `${skill.name} (active, Lv ${skill.level}, ${skill.mpCost} MP, ${readiness})`;
+    }
+
+    /**
+     * "1 turn" / "3 turns"
+     * @param {number} count - Turns
+     * @returns {string}
+     * @private
+     */
+    _turns(count) {
+        return `${count} turn${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Round a number and clamp it into a range
+     * @param {*} value - Value
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number}
+     * @private
+     */
+    _clampInteger(value, min, max) {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : min;
+    }
+}
+
+SkillEngine.DEFAULT_RULES = {
+    maxSkillLevel: 10,
+    // Uses needed per level grow linearly: 5 to reach level 2, 15 in total for level 3, ...
+    usesPerLevel: 5,
+    // Active skills hit 10% harder per skill level
+    powerPerLevel: 0.1,
+    // Skills the story invents (not in the catalog)
+    defaultMpCost: 10,
+    defaultCooldown: 2,
+    defaultPower: 1.2,
+    maxMpCost: 200,
+    maxCooldown: 10
+};
+
+// Skills the System can grant, with their costs and requirements
+SkillEngine.CATALOG = [
+    {
+        name: 'Sprint',
+        type: 'active',
+        description: 'A burst of speed that leaves pursuers behind',
+        mpCost: 10,
+        cooldown: 3,
+        requirements: {},
+        effect: { type: 'utility' }
+    },
+    {
+        name: 'Dagger Rush',
+        type: 'active',
+        description: 'A flurry of quick dagger strikes',
+        mpCost: 10,
+        cooldown: 2,
+        requirements: { level: 5 },
+        effect: { type: 'damage', stat: 'STR', power: 1.5 }
+    },
+    {
+        name: 'Mutilation',
+        type: 'active',
+        description: 'Rips into a single target with overwhelming force',
+        mpCost: 30,
+        cooldown: 3,
+        requirements: { level: 10 },
+        effect: { type: 'damage', stat: 'STR', power: 2.2 }
+    },
+    {
+        name: 'Bloodlust',
+        type: 'active',
+        description: 'A killing intent that makes weaker enemies freeze in fear',
+        mpCost: 20,
+        cooldown: 4,
+        requirements: { level: 15 },
+        effect: { type: 'utility' }
+    },
+    {
+        name: 'Stealth',
+        type: 'active',
+        description: 'Hides Jinwoo\'s presence from sight and senses',
+        mpCost: 30,
+        cooldown: 5,
+        requirements: { level: 20 },
+        effect: { type: 'utility' }
+    },
+    {
+        name: 'Ruler\'s Authority',
+        type: 'active',
+        description: 'Telekinesis that crushes enemies from a distance',
+        mpCost: 50,
+        cooldown: 3,
+        requirements: { level: 30, rank: 'C' },
+        effect: { type: 'damage', stat: 'INT', power: 2.5 }
+    },
+    {
+        name: 'Tenacity',
+        type: 'passive',
+        description: 'Refuses to go down: damage taken is reduced',
+        mpCost: 0,
+        cooldown: 0,
+        requirements: {},
+        bonuses: { defense: 3 }
+    },
+    {
+        name: 'Advanced Dagger Skills',
+        type: 'passive',
+        description: 'Mastery of the dagger adds to every physical attack',
+        mpCost: 0,
+        cooldown: 0,
+        requirements: { level: 10 },
+        bonuses: { attack: 3 }
+    }
+];
@@ -0,0 +1,492 @@
+/**
+ * State Guard
+ *
+ * Schema and sanity limits for the game state tree. Every change a model
+ * proposes (narrator tool calls, extracted state changes) is reviewed here
+ * before GameState merges it: values are type-checked against the schema,
+ * out-of-range numbers are clamped, impossible values are rejected, and
+ * per-turn limits keep a single turn from handing out a fortune or skipping
+ * ranks. Each adjustment is reported as an issue so it can be logged and
+ * shown in the debug view.
+ */
+class StateGuard {
+    /**
+     * @param {Object} limits - Per-turn limits, merged over StateGuard.DEFAULT_LIMITS
+     */
+    constructor(limits = {}) {
+        this.limits = { ...StateGuard.DEFAULT_LIMITS, ...limits };
+    }
+
+    /**
+     * Review a proposed change against the current state
+     * @param {Object} state - Current game state (not modified)
+     * @param {Object} changes - Proposed change: a deep-merge patch plus GameState commands
+     *   (player.inventoryAdd, player.inventoryRemove, quests.completeQuest, history)
+     * @param {Object|null} baseline - Player values at the start of the turn ({ experience, gold, rank, level })
+     * @returns {Object} - { changes, issues } where changes is the sanitized copy to apply and issues is
+     *   [{ path, action: 'clamped'|'rejected'|'flagged', reason, proposed, applied? }]
+     */
+    review(state, changes, baseline = null) {
+        const issues = [];
+        if (!this._isPlainObject(changes)) {
+            issues.push({ path: '(root)', action: 'rejected', reason: 'Changes must be an object', proposed: changes });
+            return { changes: {}, issues };
+        }
+
+        const sanitized = this._reviewObject(JSON.parse(JSON.stringify(changes)), state, StateGuard.SCHEMA, '', issues);
+        if (sanitized.player) {
+            this._applyPlayerRules(state.player, sanitized.player, baseline || state.player, issues);
+            if (Object.keys(sanitized.player).length === 0) {
+                delete sanitized.player;
+            }
+        }
+        return { changes: sanitized, issues };
+    }
+
+    /**
+     * Check a proposed state tree (e.g. a loaded save) against the schema, without per-turn limits
+     * @param {Object} state - Complete state
+     * @returns {Array<string>} - Problems found, empty when the state is valid
+     */
+    validateState(state) {
+        const errors = [];
+        this._checkValue(state, StateGuard.SCHEMA, '', errors);
+        return errors;
+    }
+
+    /**
+     * Review an object-valued patch against its schema
+     * @param {Object} patch - Proposed fields
+     * @param {*} current - Current value at this path
+     * @param {Object} schema - Object schema
+     * @param {string} path - Dotted path (for issues)
+     * @param {Array} issues - Issue list to append to
+     * @returns {Object} - Sanitized patch
+     * @private
+     */
+    _reviewObject(patch, current, schema, path, issues) {
+        const result = {};
+        for (const [key, value] of Object.entries(patch)) {
+            const fieldPath = path ? `${path}.${key}` : key;
+            const commandSchema = schema.commands?.[key];
+            if (commandSchema) {
+                const command = this._reviewCommand(value, commandSchema, fieldPath, issues);
+                if (command !== undefined) {
+                    result[key] = command;
+                }
+                continue;
+            }
+
+            const fieldSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (!fieldSchema) {
+                issues.push({ path: fieldPath, action: 'rejected', reason: 'Unknown field', proposed: value });
+                continue;
+            }
+            if (fieldSchema.replaceable === false) {
+                issues.push({ path: fieldPath, action: 'rejected', reason: fieldSchema.replaceReason || 'Field cannot be replaced', proposed: value });
+                continue;
+            }
+            // Objects merge field by field, so only the fields being changed are checked
+            if (fieldSchema.type === 'object' && this._isPlainObject(value) && this._isPlainObject(current?.[key])) {
+                const merged = this._reviewObject(value, current[key], fieldSchema, fieldPath, issues);
+                if (Object.keys(merged).length > 0) {
+                    result[key] = merged;
+                }
+                continue;
+            }
+
+            const reviewed = this._reviewValue(value, fieldSchema, fieldPath, issues);
+            if (reviewed !== undefined) {
+                result[key] = reviewed;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Review a GameState command (inventoryAdd, inventoryRemove, completeQuest, history)
+     * @param {*} value - Proposed command argument
+     * @param {Object} schema - Argument schema
+     * @param {string} path - Dotted path
+     * @param {Array} issues - Issue list
+     * @returns {*} - Sanitized argument, or undefined when rejected
+     * @private
+     */
+    _reviewCommand(value, schema, path, issues) {
+        if (schema.type !== 'array') {
+            return this._reviewValue(value, schema, path, issues);
+        }
+        if (!Array.isArray(value)) {
+            issues.push({ path, action: 'rejected', reason: 'Expected a list', proposed: value });
+            return undefined;
+        }
+        // Bad entries are dropped one by one; the rest of the list still applies
+        const entries = value
+            .map((entry, i) => this._reviewValue(entry, schema.items, `${path}[${i}]`, issues))
+            .filter(entry => entry !== undefined);
+        return entries.length > 0 ? entries : undefined;
+    }
+
+    /**
+     * Review a single replaced value: type check, enum check, integer rounding and range clamping
+     * @param {*} value - Proposed value
+     * @param {Object} schema - Value schema
+     * @param {string} path - Dotted path
+     * @param {Array} issues - Issue list
+     * @returns {*} - Sanitized value, or undefined when rejected
+     * @private
+     */
+    _reviewValue(value, schema, path, issues) {
+        const errors = [];
+        if (schema.type === 'integer' || schema.type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                issues.push({ path, action: 'rejected', reason: `Expected ${schema.type === 'integer' ? 'a whole number' : 'a number'}`, proposed: value });
+                return undefined;
+            }
+            let number = schema.type === 'integer' ? Math.round(value) : value;
+            if (schema.minimum !== undefined && number < schema.minimum) {
+                number = schema.minimum;
+            }
+            if (schema.maximum !== undefined && number > schema.maximum) {
+                number = schema.maximum;
+            }
+            if (number !== value) {
+                issues.push({ path, action: 'clamped', reason: this._rangeReason(schema), proposed: value, applied: number });
+            }
+            return number;
+        }
+
+        this._checkValue(value, schema, path, errors);
+        if (errors.length > 0) {
+            issues.push({ path, action: 'rejected', reason: errors.join('; '), proposed: value });
+            return undefined;
+        }
+        return value;
+    }
+
+    /**
+     * Describe a numeric schema's allowed range
+     * @param {Object} schema - Numeric schema
+     * @returns {string}
+     * @private
+     */
+    _rangeReason(schema) {
+        if (schema.minimum !== undefined && schema.maximum !== undefined) {
+            return `Must be between ${schema.minimum} and ${schema.maximum}`;
+        }
+        if (schema.minimum !== undefined) {
+            return `Must be at least ${schema.minimum}`;
+        }
+        return schema.type === 'integer' ? 'Must be a whole number' : `Must be at most ${schema.maximum}`;
+    }
+
+    /**
+     * Recursively check a value against a schema
+     * @param {*} value - Value
+     * @param {Object} schema - Schema
+     * @param {string} path - Dotted path
+     * @param {Array<string>} errors - Error list to append to
+     * @private
+     */
+    _checkValue(value, schema, path, errors) {
+        const label = path || 'state';
+        if (value === null) {
+            if (!schema.nullable) {
+                errors.push(`${label} cannot be null`);
+            }
+            return;
+        }
+        switch (schema.type) {
+            case 'object':
+                if (!this._isPlainObject(value)) {
+                    errors.push(`${label} must be an object`);
+                    return;
+                }
+                for (const key of schema.required || []) {
+                    if (!(key in value)) {
+                        errors.push(`${path ? `${path}.` : ''}${key} is missing`);
+                    }
+                }
+                for (const [key, fieldValue] of Object.entries(value)) {
+                    const fieldSchema = schema.properties?.[key] || schema.additionalProperties;
+                    const fieldPath = path ? `${path}.${key}` : key;
+                    if (!fieldSchema) {
+                        errors.push(`${fieldPath} is not a known field`);
+                    } else {
+                        this._checkValue(fieldValue, fieldSchema, fieldPath, errors);
+                    }
+                }
+                return;
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${label} must be a list`);
+                    return;
+                }
+                value.forEach((entry, i) => this._checkValue(entry, schema.items, `${path}[${i}]`, errors));
+                return;
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                    errors.push(`${label} must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}`);
+                } else if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+                    errors.push(`${label}: ${this._rangeReason(schema)}`);
+                }
+                return;
+            case 'string':
+                if (typeof value !== 'string') {
+                    errors.push(`${label} must be text`);
+                } else if (schema.enum && !schema.enum.includes(value)) {
+                    errors.push(`${label} must be one of ${schema.enum.join(', ')}`);
+                } else if (schema.minLength && value.trim().length < schema.minLength) {
+                    errors.push(`${label} cannot be empty`);
+                }
+                return;
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    errors.push(`${label} must be true or false`);
+                }
+                return;
+            case 'any':
+                return;
+        }
+    }
+
+    /**
+     * Cross-field and per-turn rules for player changes (applied to the sanitized patch in place)
+     * @param {Object} player - Current player state
+     * @param {Object} patch - Sanitized player patch
+     * @param {Object} baseline - Player values at the start of the turn
+     * @param {Array} issues - Issue list
+     * @private
+     */
+    _applyPlayerRules(player, patch, baseline, issues) {
+        const limits = this.limits;
+
+        // Rank moves at most maxRankSteps per turn
+        if (patch.rank !== undefined) {
+            const from = StateGuard.RANKS.indexOf(baseline.rank ?? player.rank);
+            const to = StateGuard.RANKS.indexOf(patch.rank);
+            if (from !== -1 && Math.abs(to - from) > limits.maxRankSteps) {
+                const allowed = StateGuard.RANKS[from + Math.sign(to - from) * limits.maxRankSteps];
+                issues.push({ path: 'player.rank', action: 'clamped', reason: `Rank can only move ${limits.maxRankSteps} step per turn (from ${StateGuard.RANKS[from]})`, proposed: patch.rank, applied: allowed });
+                patch.rank = allowed;
+            }
+        }
+
+        // Gold gains are capped per turn (experience is capped in reviewExperienceGain)
+        this._capGain(patch, 'gold', baseline.gold ?? player.gold, limits.maxGoldGainPerTurn, issues);
+
+        // HP and MP stay within their maximums
+        for (const [key, maxKey] of [['HP', 'maxHP'], ['MP', 'maxMP']]) {
+            const max = player[maxKey];
+            if (patch[key] !== undefined && max !== undefined && patch[key] > max) {
+                issues.push({ path: `player.${key}`, action: 'clamped', reason: `Cannot exceed ${maxKey} (${max})`, proposed: patch[key], applied: max });
+                patch[key] = max;
+            }
+        }
+    }
+
+    /**
+     * Review an experience award: it must be a positive whole number, and the turn's total
+     * gain is capped at maxExperienceGainPerTurn
+     * @param {Object} player - Current player state
+     * @param {*} amount - Proposed experience gain
+     * @param {Object|null} baseline - Player values at the start of the turn
+     * @returns {Object} - { amount, issues } where amount is 0 when nothing may be awarded
+     */
+    reviewExperienceGain(player, amount, baseline = null) {
+        const issues = [];
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            issues.push({ path: 'player.experience', action: 'rejected', reason: 'Experience gained must be a positive number', proposed: amount });
+            return { amount: 0, issues };
+        }
+        const start = baseline?.experience ?? player.experience;
+        const allowed = Math.max(0, this.limits.maxExperienceGainPerTurn - (player.experience - start));
+        let reviewed = Math.round(amount);
+        if (reviewed > allowed) {
+            reviewed = allowed;
+            issues.push({ path: 'player.experience', action: 'clamped', reason: `At most ${this.limits.maxExperienceGainPerTurn} experience can be gained per turn`, proposed: amount, applied: reviewed });
+        }
+        return { amount: reviewed, issues };
+    }
+
+    /**
+     * Clamp a total so it doesn't grow more than a limit above its start-of-turn value
+     * @param {Object} patch - Player patch
+     * @param {string} key - Player field, e.g. 'gold'
+     * @param {number} start - Value at the start of the turn
+     * @param {number} maxGain - Largest allowed gain per turn
+     * @param {Array} issues - Issue list
+     * @private
+     */
+    _capGain(patch, key, start, maxGain, issues) {
+        if (patch[key] === undefined || patch[key] - start <= maxGain) {
+            return;
+        }
+        issues.push({ path: `player.${key}`, action: 'clamped', reason: `At most ${maxGain} ${key} can be gained per turn`, proposed: patch[key], applied: start + maxGain });
+        patch[key] = start + maxGain;
+    }
+
+    /**
+     * Whether a value is a plain (non-array, non-null) object
+     * @param {*} value - Value
+     * @returns {boolean}
+     * @private
+     */
+    _isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Hunter ranks, lowest to highest
+StateGuard.RANKS = ['E', 'D', 'C', 'B', 'A', 'S'];
+
+// Per-turn sanity limits
+StateGuard.DEFAULT_LIMITS = {
+    maxExperienceGainPerTurn: 500,
+    maxGoldGainPerTurn: 10000,
+    maxRankSteps: 1
+};
+
+// Level and experience follow from the experience earned (see LevelingEngine)
+StateGuard.PROGRESSION_REASON = 'Level and experience are computed by the game; report experience earned with award_experience';
+
+// Encounters are run by the CombatEngine
+StateGuard.COMBAT_REASON = 'Combat is resolved by the game; start a fight with start_combat';
+
+// Gates are built by the DungeonGenerator
+StateGuard.DUNGEON_REASON = 'Gates are generated by the game; use enter_gate, move_to_room and leave_gate';
+
+// Skills are learned and used through the SkillEngine
+StateGuard.SKILLS_REASON = 'Skills cannot be replaced; teach new ones with learn_skill';
+
+// Schema of the game state tree. `commands` are GameState's special change keys,
+// which are applied by _handleSpecialCases instead of being merged.
+StateGuard.ITEM_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        // Catalog fields (see ItemCatalog); the catalog fills them in for known items
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        quantity: { type: 'integer', minimum: 1 },
+        type: { type: 'string' },
+        rarity: { type: 'string', enum: ItemCatalog.RARITIES },
+        stackable: { type: 'boolean' },
+        description: { type: 'string' },
+        value: { type: 'integer', minimum: 0, maximum: 10000000 },
+        effects: {
+            type: 'object',
+            properties: {
+                HP: { type: 'integer', minimum: 0 },
+                MP: { type: 'integer', minimum: 0 }
+            }
+        },
+        // Attack and defense as older items gave them; folded into bonuses when the item is added
+        attack: { type: 'integer', minimum: -50, maximum: 200 },
+        defense: { type: 'integer', minimum: -50, maximum: 200 },
+        // Equipment: the slot it goes in and what it adds while equipped (see EquipmentEngine)
+        slot: { type: 'string', enum: EquipmentEngine.ITEM_SLOTS },
+        bonuses: {
+            type: 'object',
+            properties: {
+                STR: { type: 'integer', minimum: -50, maximum: 100 },
+                AGI: { type: 'integer', minimum: -50, maximum: 100 },
+                INT: { type: 'integer', minimum: -50, maximum: 100 },
+                SENSE: { type: 'integer', minimum: -50, maximum: 100 },
+                VIT: { type: 'integer', minimum: -50, maximum: 100 },
+                attack: { type: 'integer', minimum: -50, maximum: 200 },
+                defense: { type: 'integer', minimum: -50, maximum: 200 }
+            }
+        }
+    }
+};
+
+StateGuard.SCHEMA = {
+    type: 'object',
+    required: ['player', 'world', 'NPCs', 'quests', 'history', 'conversationHistory', 'summaries', 'rngState'],
+    properties: {
+        player: {
+            type: 'object',
+            required: ['name', 'rank', 'level', 'experience', 'HP', 'maxHP', 'MP', 'maxMP', 'statPoints', 'stats', 'inventory', 'gold'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                rank: { type: 'string', enum: StateGuard.RANKS },
+                level: { type: 'integer', minimum: 1, replaceable: false, replaceReason: StateGuard.PROGRESSION_REASON },
+                experience: { type: 'integer', minimum: 0, replaceable: false, replaceReason: StateGuard.PROGRESSION_REASON },
+                HP: { type: 'integer', minimum: 0 },
+                maxHP: { type: 'integer', minimum: 1, replaceable: false, replaceReason: 'Max HP is derived from VIT' },
+                MP: { type: 'integer', minimum: 0 },
+                maxMP: { type: 'integer', minimum: 0, replaceable: false, replaceReason: 'Max MP is derived from INT' },
+                statPoints: { type: 'integer', minimum: 0, replaceable: false, replaceReason: 'Stat points are awarded on level-up' },
+                stats: {
+                    type: 'object',
+                    replaceable: false,
+                    replaceReason: 'Attributes only grow by spending stat points',
+                    required: ['STR', 'AGI', 'INT', 'SENSE', 'VIT'],
+                    properties: {
+                        STR: { type: 'integer', minimum: 0 },
+                        AGI: { type: 'integer', minimum: 0 },
+                        INT: { type: 'integer', minimum: 0 },
+                        SENSE: { type: 'integer', minimum: 0 },
+                        VIT: { type: 'integer', minimum: 0 }
+                    }
+                },
+                inventory: {
+                    type: 'array',
+                    items: StateGuard.ITEM_SCHEMA,
+                    replaceable: false,
+                    replaceReason: 'The inventory cannot be replaced; add or remove items with update_inventory'
+                },
+                gold: { type: 'integer', minimum: 0 },
+                skills: { type: 'any', replaceable: false, replaceReason: StateGuard.SKILLS_REASON },
+                equipment: { type: 'any', replaceable: false, replaceReason: 'Equipment is equipped and unequipped by the player from the inventory' }
+            },
+            commands: {
+                inventoryAdd: { type: 'array', items: StateGuard.ITEM_SCHEMA },
+                inventoryRemove: { type: 'array', items: StateGuard.ITEM_SCHEMA }
+            }
+        },
+        world: {
+            type: 'object',
+            required: ['location', 'time'],
+            properties: {
+                location: { type: 'string', minLength: 1 },
+                time: { type: 'string', minLength: 1 },
+                dungeon: { type: 'any', nullable: true, replaceable: false, replaceReason: StateGuard.DUNGEON_REASON }
+            }
+        },
+        NPCs: {
+            type: 'object',
+            additionalProperties: { type: 'object', additionalProperties: { type: 'any', nullable: true } }
+        },
+        quests: {
+            type: 'object',
+            required: ['current', 'completed'],
+            properties: {
+                current: { type: 'string', nullable: true },
+                completed: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    replaceable: false,
+                    replaceReason: 'Completed quests cannot be replaced; use complete_quest'
+                }
+            },
+            commands: {
+                completeQuest: { type: 'string', minLength: 1 }
+            }
+        },
+        history: { type: 'array', items: { type: 'string' } },
+        conversationHistory: { type: 'array', items: { type: 'any' }, replaceable: false },
+        summaries: { type: 'array', items: { type: 'any' }, replaceable: false },
+        rngState: { type: 'integer', minimum: 0, replaceable: false, replaceReason: 'The random number generator is internal to the game' },
+        combat: { type: 'any', nullable: true, replaceable: false, replaceReason: StateGuard.COMBAT_REASON },
+        dailyQuest: { type: 'any', nullable: true, replaceable: false, replaceReason: 'Daily Quest progress is counted by the game from the training Jinwoo does' },
+        penaltyZone: { type: 'any', nullable: true, replaceable: false, replaceReason: 'The Penalty Zone ends when Jinwoo survives it' },
+        itemCatalog: { type: 'any', replaceable: false, replaceReason: 'New items join the catalog when they are added with update_inventory' },
+        shadowArmy: { type: 'any', replaceable: false, replaceReason: 'Shadows join the army only through shadow extraction, and are summoned from the combat menu' }
+    },
+    commands: {
+        history: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+};
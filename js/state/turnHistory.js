@@ -0,0 +1,306 @@
+/**
+ * Turn History
+ *
+ * Snapshots of every completed turn: the game state after the turn, the
+ * narrative entries the turn added, and the scene image shown at that point.
+ * GameManager.rewindTo restores any recorded turn, so a bad model outcome
+ * can be undone without reloading a save.
+ *
+ * Turns are organized in branches (timelines). A branch forked from turn N
+ * of another branch shares that branch's turns up to N and records its own
+ * turns after it, so the original story is kept while the new one diverges.
+ * Turns are numbered from 0 (the opening scene).
+ *
+ * Only the most recent maxTurns snapshots of each branch keep their state;
+ * older turns keep their narrative (so the story can still be rebuilt in
+ * full) but can no longer be rewound to.
+ */
+class TurnHistory {
+    /**
+     * @param {number} maxTurns - Number of turn states to keep per branch
+     */
+    constructor(maxTurns = 50) {
+        this.maxTurns = maxTurns;
+        this.clear();
+    }
+
+    /**
+     * Forget every turn and branch (new game)
+     */
+    clear() {
+        this.branches = {};
+        this.nextBranchId = 1;
+        this.currentBranchId = this._createBranch('Main story', null, -1).id;
+    }
+
+    /**
+     * Branch the game is currently on
+     * @returns {Object} - { id, name, parentId, forkTurn, turns, createdAt }
+     */
+    get currentBranch() {
+        return this.branches[this.currentBranchId];
+    }
+
+    /**
+     * Turns of the current timeline, oldest first
+     * @returns {Array<Object>}
+     */
+    get turns() {
+        return this.timeline(this.currentBranchId);
+    }
+
+    /**
+     * Number the next recorded turn will get
+     * @returns {number}
+     */
+    get nextTurnNumber() {
+        const latest = this.latest;
+        return latest ? latest.number + 1 : 0;
+    }
+
+    /**
+     * Most recently recorded turn of the current timeline
+     * @returns {Object|null}
+     */
+    get latest() {
+        const turns = this.turns;
+        return turns[turns.length - 1] || null;
+    }
+
+    /**
+     * Resolve a branch's full timeline: its ancestors' turns up to each fork, then its own
+     * @param {string} branchId - Branch ID
+     * @returns {Array<Object>} - Turns, oldest first
+     */
+    timeline(branchId) {
+        const branch = this.branches[branchId];
+        if (!branch) {
+            return [];
+        }
+        const inherited = branch.parentId
+            ? this.timeline(branch.parentId).filter(turn => turn.number <= branch.forkTurn)
+            : [];
+        return [...inherited, ...branch.turns];
+    }
+
+    /**
+     * Record a completed turn on the current branch
+     * @param {Object} turn - { label, state, entries, narrativeLength }
+     *   state is copied; entries are the narrative entries ({ className, text, turn?, action? }) added since
+     *   the previous turn, and narrativeLength the narrative's entry count once this turn ended
+     * @returns {number} - The turn's number
+     */
+    record(turn) {
+        const number = this.nextTurnNumber;
+        const branch = this.currentBranch;
+        branch.turns.push({
+            number,
+            label: turn.label,
+            state: JSON.parse(JSON.stringify(turn.state)),
+            entries: turn.entries,
+            narrativeLength: turn.narrativeLength,
+            sceneImage: null,
+            timestamp: new Date().toISOString()
+        });
+
+        // Keep the narrative of old turns but let go of their state
+        const stateful = branch.turns.filter(entry => entry.state);
+        for (const old of stateful.slice(0, Math.max(0, stateful.length - this.maxTurns))) {
+            old.state = null;
+        }
+        return number;
+    }
+
+    /**
+     * Find a turn of the current timeline by number
+     * @param {number} number - Turn number
+     * @returns {Object|null}
+     */
+    get(number) {
+        return this.turns.find(turn => turn.number === number) || null;
+    }
+
+    /**
+     * Attach a scene image to a turn (images arrive after the turn has been recorded)
+     * @param {number} number - Turn number
+     * @param {string} imageUrl - Image data URL or URL
+     */
+    setSceneImage(number, imageUrl) {
+        const turn = this.get(number);
+        if (turn) {
+            turn.sceneImage = imageUrl;
+        }
+    }
+
+    /**
+     * Scene image shown at a turn: its own, or the latest one before it
+     * @param {number} number - Turn number
+     * @returns {string|null}
+     */
+    getSceneImage(number) {
+        const turns = this.turns;
+        for (let i = turns.length - 1; i >= 0; i--) {
+            if (turns[i].number <= number && turns[i].sceneImage) {
+                return turns[i].sceneImage;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Narrative entries of the current timeline up to and including a turn
+     * @param {number} number - Turn number
+     * @returns {Array<Object>} - Entries in display order
+     */
+    getNarrative(number) {
+        return this.turns
+            .filter(turn => turn.number <= number)
+            .flatMap(turn => turn.entries);
+    }
+
+    /**
+     * Drop every turn of the current branch after the given one. Branches forked from
+     * the dropped turns keep them.
+     * @param {number} number - Turn to rewind to
+     * @returns {Object|null} - The turn now at the head of the timeline, or null if it can't be restored
+     */
+    rewindTo(number) {
+        const turn = this.get(number);
+        if (!turn?.state) {
+            return null;
+        }
+        const branch = this.currentBranch;
+        this._detachChildren(branch, number);
+        if (number < branch.forkTurn) {
+            // Rewinding past the fork point: the branch now forks earlier and has no turns of its own
+            branch.forkTurn = number;
+            branch.turns = [];
+        } else {
+            branch.turns = branch.turns.filter(entry => entry.number <= number);
+        }
+        return turn;
+    }
+
+    /**
+     * Fork a new branch from a turn of the current timeline and switch to it
+     * @param {number} number - Turn the new branch starts from
+     * @param {string} name - Branch name
+     * @returns {Object|null} - The turn the branch starts from, or null if it can't be restored
+     */
+    fork(number, name) {
+        const turn = this.get(number);
+        if (!turn?.state) {
+            return null;
+        }
+        // Fork from the branch that actually recorded the turn, so the tree stays shallow
+        let parent = this.currentBranch;
+        while (parent.parentId && number <= parent.forkTurn) {
+            parent = this.branches[parent.parentId];
+        }
+        this.currentBranchId = this._createBranch(name || `Branch ${this.nextBranchId}`, parent.id, number).id;
+        return turn;
+    }
+
+    /**
+     * Switch to another branch
+     * @param {string} branchId - Branch ID
+     * @returns {Object|null} - The branch's latest turn, or null if there is no such branch
+     */
+    switchTo(branchId) {
+        if (!this.branches[branchId]) {
+            return null;
+        }
+        this.currentBranchId = branchId;
+        return this.latest;
+    }
+
+    /**
+     * Describe every branch for the branch picker
+     * @returns {Array<Object>} - [{ id, name, parentName, forkTurn, latestTurn, latestLabel, summary, isCurrent }]
+     */
+    listBranches() {
+        return Object.values(this.branches).map(branch => {
+            const turns = this.timeline(branch.id);
+            const latest = turns[turns.length - 1];
+            const narration = latest
+                ? [...latest.entries].reverse().find(entry => entry.className.includes('narrator-text'))
+                : null;
+            const location = latest?.state?.world?.location;
+            const text = narration ? narration.text.replace(/\s+/g, ' ').trim() : '';
+            return {
+                id: branch.id,
+                name: branch.name,
+                parentName: branch.parentId ? this.branches[branch.parentId]?.name : null,
+                forkTurn: branch.forkTurn,
+                latestTurn: latest ? latest.number : null,
+                latestLabel: latest ? latest.label : '',
+                summary: [location, text.length > 140 ? `${text.slice(0, 140)}...` : text].filter(Boolean).join(' - '),
+                isCurrent: branch.id === this.currentBranchId
+            };
+        });
+    }
+
+    /**
+     * Serializable form of every branch, for save files. Generated images are left out
+     * (they are far larger than the rest of the save); URLs to hosted images are kept.
+     * @returns {Object} - { currentBranchId, nextBranchId, branches }
+     */
+    toJSON() {
+        const branches = Object.values(this.branches).map(branch => ({
+            ...branch,
+            turns: branch.turns.map(turn => ({
+                ...turn,
+                sceneImage: turn.sceneImage && !turn.sceneImage.startsWith('data:') ? turn.sceneImage : null
+            }))
+        }));
+        return { currentBranchId: this.currentBranchId, nextBranchId: this.nextBranchId, branches };
+    }
+
+    /**
+     * Restore branches saved by toJSON
+     * @param {Object} data - Saved timelines
+     */
+    load(data) {
+        if (!data || !Array.isArray(data.branches) || data.branches.length === 0) {
+            throw new Error('Invalid timeline data');
+        }
+        this.branches = {};
+        for (const branch of data.branches) {
+            this.branches[branch.id] = JSON.parse(JSON.stringify(branch));
+        }
+        this.nextBranchId = data.nextBranchId || data.branches.length + 1;
+        this.currentBranchId = this.branches[data.currentBranchId] ? data.currentBranchId : data.branches[0].id;
+    }
+
+    /**
+     * Create an empty branch
+     * @param {string} name - Branch name
+     * @param {string|null} parentId - Branch it forks from
+     * @param {number} forkTurn - Last turn shared with the parent (-1 for the root)
+     * @returns {Object} - The branch
+     * @private
+     */
+    _createBranch(name, parentId, forkTurn) {
+        const id = `b${this.nextBranchId++}`;
+        this.branches[id] = { id, name, parentId, forkTurn, turns: [], createdAt: new Date().toISOString() };
+        return this.branches[id];
+    }
+
+    /**
+     * Before a branch drops its turns after `number`, hand the ones its child branches
+     * share over to those children
+     * @param {Object} branch - Branch being rewound
+     * @param {number} number - Turn it is rewound to
+     * @private
+     */
+    _detachChildren(branch, number) {
+        for (const child of Object.values(this.branches)) {
+            if (child.parentId !== branch.id || child.forkTurn <= number) {
+                continue;
+            }
+            const shared = this.timeline(branch.id).filter(turn => turn.number > number && turn.number <= child.forkTurn);
+            child.turns = [...shared, ...child.turns];
+            child.forkTurn = number;
+        }
+    }
+}
@@ -10,6 +10,8 @@ class UIManager {
         this.narrativeContainer = document.getElementById('narrative-container');
         this.playerActionInput = document.getElementById('player-action');  // adjusted to match actual input ID
         this.submitActionButton = document.getElementById('submit-action');
+        // Whether the player can act (see setInputEnabled); controls rendered later follow it
+        this.inputEnabled = true;
         
         // Typing animation settings (text speed)
         this.typingSpeed = parseInt(localStorage.getItem('textSpeed') || '90');
@@ -69,6 +71,18 @@ class UIManager {
                 }
             });
         }
+        
+        // Equipped items
+        const equipmentSlots = document.getElementById('equipment-slots');
+        if (equipmentSlots) {
+            equipmentSlots.addEventListener('click', (e) => {
+                const slotElement = e.target.closest('.equipment-slot');
+                const item = slotElement && this.gameState.state.player.equipment?.[slotElement.dataset.slot];
+                if (item) {
+                    this._showItemDetails(item, slotElement.dataset.slot);
+                }
+            });
+        }
     }
     
     /**
@@ -96,6 +110,8 @@ class UIManager {
     addNarrativeEntry(text, className = 'narrator-text') {
         const entry = document.createElement('div');
         entry.className = `narrative-entry ${className}`;
+        // The full text, for turn snapshots taken while it is still being typed
+        entry.dataset.text = text;
         this.narrativeContainer.appendChild(entry);
         
         // If typing is very fast, just show the text immediately
@@ -121,14 +137,100 @@ class UIManager {
         typeText();
     }
     
+    /**
+     * Create a narrative entry that renders text as it streams in from a model.
+     * The typing animation follows the received text instead of replaying a finished string.
+     * @param {string} className - CSS class for styling the entry
+     * @param {string} prefix - Fixed text shown before the streamed content (e.g. an NPC name)
+     * @returns {Object} - Handle with update(text) for the text so far and finish(text) for the final text
+     */
+    createStreamingEntry(className = 'narrator-text', prefix = '') {
+        const entry = document.createElement('div');
+        entry.className = `narrative-entry ${className} streaming`;
+        this.narrativeContainer.appendChild(entry);
+
+        let target = '';
+        let shown = '';
+        let finished = false;
+        let timer = null;
+
+        const render = () => {
+            entry.textContent = prefix + shown;
+            this._scrollToBottom();
+        };
+
+        const tick = () => {
+            timer = null;
+            // The received text can be rewritten (e.g. a tool_code block trimmed); rewind to the common prefix
+            if (!target.startsWith(shown)) {
+                let common = 0;
+                while (common < shown.length && shown[common] === target[common]) common++;
+                shown = shown.slice(0, common);
+            }
+            if (shown.length < target.length) {
+                shown = target.slice(0, shown.length + 1);
+                render();
+                timer = setTimeout(tick, Math.max(5, 100 - this.typingSpeed));
+            } else if (finished) {
+                entry.classList.remove('streaming');
+            }
+        };
+
+        const schedule = () => {
+            if (this.typingSpeed > 90) {
+                shown = target;
+                render();
+                if (finished) entry.classList.remove('streaming');
+                return;
+            }
+            if (!timer) tick();
+        };
+
+        return {
+            update: (text) => {
+                target = text || '';
+                schedule();
+            },
+            finish: (text) => {
+                if (text !== undefined) target = text || '';
+                finished = true;
+                entry.dataset.text = prefix + target;
+                if (!target && !shown) {
+                    // Nothing was ever streamed; don't leave an empty entry behind
+                    clearTimeout(timer);
+                    entry.remove();
+                    return;
+                }
+                schedule();
+            }
+        };
+    }
+
     /**
      * Add the player's action to the narrative
      * @param {string} action - The player's action text
+     * @param {number|null} turn - Turn number; adds buttons that rewind to, or fork a new timeline from,
+     *   just before this action
      */
-    addPlayerAction(action) {
+    addPlayerAction(action, turn = null) {
         const entry = document.createElement('div');
         entry.className = 'player-action';
         entry.textContent = `> ${action}`;
+        entry.dataset.text = `> ${action}`;
+        if (turn !== null) {
+            entry.dataset.turn = turn;
+            entry.dataset.action = action;
+            const rewindButton = document.createElement('button');
+            rewindButton.className = 'rewind-turn';
+            rewindButton.title = 'Rewind to before this action';
+            rewindButton.innerHTML = '<i class="fas fa-undo"></i>';
+            entry.appendChild(rewindButton);
+            const forkButton = document.createElement('button');
+            forkButton.className = 'fork-turn';
+            forkButton.title = 'Start a new timeline from before this action';
+            forkButton.innerHTML = '<i class="fas fa-code-branch"></i>';
+            entry.appendChild(forkButton);
+        }
         this.narrativeContainer.appendChild(entry);
         this._scrollToBottom();
     }
@@ -165,6 +267,45 @@ class UIManager {
         this.narrativeContainer.innerHTML = '';
     }
     
+    /**
+     * Describe the narrative entries after a mark, for a turn snapshot
+     * @param {number} mark - Value returned by markNarrative()
+     * @returns {Array<Object>} - Entries as { className, text, turn?, action? }
+     */
+    captureNarrative(mark) {
+        return [...this.narrativeContainer.children].slice(mark).map(element => {
+            const entry = {
+                className: [...element.classList].filter(name => name !== 'streaming').join(' '),
+                text: element.dataset.text ?? element.textContent
+            };
+            if (element.dataset.turn !== undefined) {
+                entry.turn = Number(element.dataset.turn);
+                entry.action = element.dataset.action;
+            }
+            return entry;
+        });
+    }
+    
+    /**
+     * Replace the narrative with captured entries, without typing animation
+     * @param {Array<Object>} entries - Entries from captureNarrative()
+     */
+    restoreNarrative(entries) {
+        this.clearNarrative();
+        for (const entry of entries) {
+            if (entry.turn !== undefined) {
+                this.addPlayerAction(entry.action, entry.turn);
+                continue;
+            }
+            const element = document.createElement('div');
+            element.className = entry.className;
+            element.textContent = entry.text;
+            element.dataset.text = entry.text;
+            this.narrativeContainer.appendChild(element);
+        }
+        this._scrollToBottom();
+    }
+    
     /**
      * Update the state panel with the current game state
      * @param {Object} state - The current game state
@@ -185,34 +326,45 @@ class UIManager {
         }
         
         // Update HP/MP/EXP bars
-        this._updateProgressBar('hp', state.player.HP, 100);
-        this._updateProgressBar('mp', state.player.MP, state.player.MP > 0 ? 100 : 0);
+        this._updateProgressBar('hp', state.player.HP, state.player.maxHP ?? 100);
+        this._updateProgressBar('mp', state.player.MP, state.player.maxMP ?? 100);
         
-        // Calculate XP percentage based on level
-        const xpNeeded = state.player.level * 100;
-        this._updateProgressBar('exp', state.player.experience, xpNeeded);
+        // EXP bar shows progress through the current level
+        const xpProgress = this.gameState.leveling.progress(state.player);
+        this._updateProgressBar('exp', xpProgress.current, xpProgress.needed);
         
-        // Update attributes
-        const strValue = document.getElementById('str-value');
-        if (strValue) {
-            strValue.textContent = state.player.stats.STR;
-        }
-        const agiValue = document.getElementById('agi-value');
-        if (agiValue) {
-            agiValue.textContent = state.player.stats.AGI;
+        // Update attributes: the base value, and the effective one when equipment or passive skills change it
+        const effective = this.gameState.combat.effectiveStats(state.player);
+        for (const stat of CombatEngine.STATS) {
+            const value = document.getElementById(`${stat.toLowerCase()}-value`);
+            if (value) {
+                value.textContent = state.player.stats[stat];
+            }
+            const effectiveValue = document.getElementById(`${stat.toLowerCase()}-effective`);
+            if (effectiveValue) {
+                effectiveValue.classList.toggle('hidden', effective[stat] === state.player.stats[stat]);
+                effectiveValue.textContent = `(${effective[stat]})`;
+            }
         }
-        const intValue = document.getElementById('int-value');
-        if (intValue) {
-            intValue.textContent = state.player.stats.INT;
+        const attackValue = document.getElementById('attack-value');
+        if (attackValue) {
+            attackValue.textContent = effective.attack;
         }
-        const senseValue = document.getElementById('sense-value');
-        if (senseValue) {
-            senseValue.textContent = state.player.stats.SENSE;
+        const defenseValue = document.getElementById('defense-value');
+        if (defenseValue) {
+            defenseValue.textContent = effective.defense;
         }
-        const vitValue = document.getElementById('vit-value');
-        if (vitValue) {
-            vitValue.textContent = state.player.stats.VIT;
+        
+        // Unspent stat points and the buttons that spend them
+        const statPoints = state.player.statPoints || 0;
+        const statPointsDisplay = document.getElementById('stat-points');
+        if (statPointsDisplay) {
+            statPointsDisplay.classList.toggle('hidden', statPoints === 0);
+            document.getElementById('stat-points-value').textContent = statPoints;
         }
+        document.querySelectorAll('.allocate-stat').forEach(button => {
+            button.classList.toggle('hidden', statPoints === 0);
+        });
         
         // Update gold
         const goldAmount = document.getElementById('gold-amount');
@@ -220,6 +372,10 @@ class UIManager {
             goldAmount.textContent = state.player.gold;
         }
         
+        this._updateEquipment(state.player.equipment);
+        this._updateSkills(state.player.skills || []);
+        this._updateShadowArmy(state.shadowArmy, state.combat);
+        
         // Update inventory
         this._updateInventory(state.player.inventory);
         
@@ -229,7 +385,83 @@ class UIManager {
             questDescription.textContent = state.quests.current || 'No active quest';
         }
         
+        this._updateDailyQuest(state.dailyQuest);
         this._updateCompletedQuests(state.quests.completed);
+        
+        // Combat menu (only shown during an encounter)
+        this.renderCombat(state.combat, state.combat ? this.gameState.combat.availableActions(state) : null);
+    }
+    
+    /**
+     * Render the combat panel: every enemy's HP and the action menu. The free-text
+     * action form is hidden while a fight is on.
+     * @param {Object|null} combat - state.combat
+     * @param {Object|null} actions - CombatEngine.availableActions() result
+     */
+    renderCombat(combat, actions) {
+        const panel = document.getElementById('combat-panel');
+        if (!panel) {
+            return;
+        }
+        panel.classList.toggle('hidden', !combat);
+        document.getElementById('player-action-form')?.classList.toggle('hidden', Boolean(combat));
+        if (!combat) {
+            return;
+        }
+        
+        // Summoned shadows are listed first, on Jinwoo's side
+        const enemyList = document.getElementById('combat-enemies');
+        enemyList.innerHTML = '';
+        const combatants = [
+            ...combat.participants.filter(participant => participant.side === 'shadow'),
+            ...combat.participants.filter(participant => participant.side === 'enemy')
+        ];
+        for (const combatant of combatants) {
+            const shadow = combatant.side === 'shadow';
+            const row = document.createElement('div');
+            row.className = `combat-enemy${combatant.HP > 0 ? '' : ' defeated'}${combatant.boss ? ' boss' : ''}${shadow ? ' shadow' : ''}`;
+            const name = document.createElement('span');
+            name.className = 'combat-enemy-name';
+            name.textContent = `${combatant.name} [${shadow ? combatant.grade : combatant.rank}]`;
+            const bar = document.createElement('div');
+            bar.className = 'progress-container';
+            const fill = document.createElement('div');
+            fill.className = `progress-bar ${shadow ? 'shadow-hp-bar' : 'enemy-hp-bar'}`;
+            fill.style.width = `${(combatant.HP / combatant.maxHP) * 100}%`;
+            const text = document.createElement('span');
+            text.className = 'progress-text';
+            text.textContent = `${combatant.HP}/${combatant.maxHP}`;
+            bar.append(fill, text);
+            row.append(name, bar);
+            enemyList.appendChild(row);
+        }
+        
+        const fillSelect = (id, options) => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = '';
+            for (const option of options) {
+                const element = document.createElement('option');
+                element.value = option.value;
+                element.textContent = option.label;
+                select.appendChild(element);
+            }
+            // Keep the player's choice while it is still available
+            if (options.some(option => option.value === previous)) {
+                select.value = previous;
+            }
+            select.disabled = options.length === 0;
+        };
+        fillSelect('combat-target', actions.targets.map(target => ({ value: target.id, label: target.name })));
+        fillSelect('combat-skill', actions.skills.map(skill => ({ value: skill.name, label: `${skill.name} (${skill.mpCost} MP)` })));
+        fillSelect('combat-item', actions.items.map(item => ({ value: item, label: item })));
+        fillSelect('combat-summon', actions.summonable.map(shadow => ({ value: shadow.id, label: `${shadow.name} (${shadow.mpCost} MP)` })));
+        fillSelect('combat-dismiss', actions.summoned.map(shadow => ({ value: shadow.id, label: shadow.name })));
+        panel.querySelector('[data-combat="skill"]').disabled = actions.skills.length === 0;
+        panel.querySelector('[data-combat="item"]').disabled = actions.items.length === 0;
+        panel.querySelector('[data-combat="summon"]').disabled = actions.summonable.length === 0;
+        panel.querySelector('[data-combat="dismiss"]').disabled = actions.summoned.length === 0;
+        panel.querySelector('[data-combat="flee"]').disabled = !actions.canFlee;
     }
     
     /**
@@ -250,6 +482,103 @@ class UIManager {
         }
     }
     
+    /**
+     * Update the skill list: level, MP cost and cooldown of each skill
+     * @param {Array} skills - The player's skills
+     * @private
+     */
+    _updateSkills(skills) {
+        const container = document.getElementById('skill-list');
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+        
+        if (skills.length === 0) {
+            const emptySkill = document.createElement('div');
+            emptySkill.className = 'skill empty';
+            emptySkill.textContent = 'No skills';
+            container.appendChild(emptySkill);
+            return;
+        }
+        
+        for (const skill of skills) {
+            const skillElement = document.createElement('div');
+            skillElement.className = `skill ${skill.type}${skill.cooldownLeft > 0 ? ' on-cooldown' : ''}`;
+            skillElement.title = skill.description || '';
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'skill-name';
+            nameSpan.textContent = `${skill.name} Lv ${skill.level}`;
+            
+            const detailSpan = document.createElement('span');
+            detailSpan.className = 'skill-detail';
+            if (skill.type === 'passive') {
+                detailSpan.textContent = 'Passive';
+            } else if (skill.cooldownLeft > 0) {
+                detailSpan.textContent = `${skill.mpCost} MP - cooldown ${skill.cooldownLeft}`;
+            } else {
+                detailSpan.textContent = `${skill.mpCost} MP - ready`;
+            }
+            
+            skillElement.append(nameSpan, detailSpan);
+            container.appendChild(skillElement);
+        }
+    }
+    
+    /**
+     * Update the Shadow Army panel: the roster (with the shadows summoned into the current fight)
+     * and an Arise button for each corpse that can still be extracted
+     * @param {Object} army - state.shadowArmy
+     * @param {Object|null} combat - state.combat
+     * @private
+     */
+    _updateShadowArmy(army, combat) {
+        const shadowList = document.getElementById('shadow-list');
+        const corpseList = document.getElementById('corpse-list');
+        if (!shadowList || !corpseList || !army) {
+            return;
+        }
+        shadowList.innerHTML = '';
+        corpseList.innerHTML = '';
+        
+        if (army.shadows.length === 0) {
+            const emptyShadow = document.createElement('div');
+            emptyShadow.className = 'shadow empty';
+            emptyShadow.textContent = 'No shadows';
+            shadowList.appendChild(emptyShadow);
+        }
+        const fighters = this.gameState.shadows.summoned(combat);
+        for (const shadow of army.shadows) {
+            const fighter = fighters.find(participant => participant.id === shadow.id);
+            const shadowElement = document.createElement('div');
+            shadowElement.className = `shadow${fighter?.HP > 0 ? ' summoned' : ''}`;
+            shadowElement.title = `STR ${shadow.stats.STR}, AGI ${shadow.stats.AGI}, VIT ${shadow.stats.VIT}, attack ${shadow.attack}, defense ${shadow.defense}`;
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'shadow-name';
+            nameSpan.textContent = `${shadow.name} Lv ${shadow.level}`;
+            
+            const detailSpan = document.createElement('span');
+            detailSpan.className = 'shadow-detail';
+            const status = fighter ? (fighter.HP > 0 ? ` - summoned ${fighter.HP}/${fighter.maxHP} HP` : ' - fallen') : '';
+            detailSpan.textContent = `${shadow.grade}${status}`;
+            
+            shadowElement.append(nameSpan, detailSpan);
+            shadowList.appendChild(shadowElement);
+        }
+        
+        for (const corpse of army.corpses) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'extract-shadow';
+            button.dataset.corpse = corpse.id;
+            button.disabled = !this.inputEnabled;
+            button.textContent = `Arise: ${corpse.name} (${corpse.attemptsLeft} left)`;
+            corpseList.appendChild(button);
+        }
+    }
+    
     /**
      * Update the inventory display
      * @param {Array} inventory - The player's inventory items
@@ -270,7 +599,8 @@ class UIManager {
             
             for (const item of inventory) {
                 const itemElement = document.createElement('div');
-                itemElement.className = 'inventory-item';
+                // Colored by rarity
+                itemElement.className = `inventory-item rarity-${item.rarity || 'common'}`;
                 itemElement.dataset.name = item.name;
                 
                 const nameSpan = document.createElement('span');
@@ -291,6 +621,78 @@ class UIManager {
         }
     }
     
+    /**
+     * Update the equipment display: every slot, with what is in it
+     * @param {Object} equipment - state.player.equipment
+     * @private
+     */
+    _updateEquipment(equipment = {}) {
+        const container = document.getElementById('equipment-slots');
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+        for (const slot of EquipmentEngine.SLOTS) {
+            const item = equipment?.[slot];
+            const row = document.createElement('div');
+            row.className = `equipment-slot${item ? '' : ' empty'}`;
+            row.dataset.slot = slot;
+            const label = document.createElement('span');
+            label.className = 'equipment-slot-label';
+            label.textContent = `${EquipmentEngine.SLOT_LABELS[slot]}:`;
+            const name = document.createElement('span');
+            name.className = `equipment-slot-item${item ? ` rarity-${item.rarity || 'common'}` : ''}`;
+            name.textContent = item ? item.name : '-';
+            row.appendChild(label);
+            row.appendChild(name);
+            container.appendChild(row);
+        }
+    }
+    
+    /**
+     * Update the Daily Quest display: a progress bar per objective, and the deadline or outcome
+     * @param {Object|null} quest - state.dailyQuest
+     * @private
+     */
+    _updateDailyQuest(quest) {
+        const container = document.getElementById('daily-quest');
+        if (!container) {
+            return;
+        }
+        container.classList.toggle('hidden', !quest);
+        if (!quest) {
+            return;
+        }
+        
+        document.getElementById('daily-quest-title').textContent = `Daily Quest: ${quest.title}`;
+        const status = document.getElementById('daily-quest-status');
+        status.textContent = quest.status === 'active'
+            ? `Day ${quest.day} - due by midnight`
+            : `Day ${quest.day} - ${quest.status}`;
+        status.className = `daily-quest-status ${quest.status}`;
+        
+        const objectiveList = document.getElementById('daily-quest-objectives');
+        objectiveList.innerHTML = '';
+        for (const objective of quest.objectives) {
+            const row = document.createElement('li');
+            row.className = objective.progress >= objective.target ? 'done' : '';
+            const label = document.createElement('span');
+            label.className = 'daily-quest-label';
+            label.textContent = objective.label;
+            const bar = document.createElement('div');
+            bar.className = 'progress-container';
+            const fill = document.createElement('div');
+            fill.className = 'progress-bar daily-quest-bar';
+            fill.style.width = `${Math.min(100, (objective.progress / objective.target) * 100)}%`;
+            const text = document.createElement('span');
+            text.className = 'progress-text';
+            text.textContent = `${objective.progress}/${objective.target}${objective.unit ? ` ${objective.unit}` : ''}`;
+            bar.append(fill, text);
+            row.append(label, bar);
+            objectiveList.appendChild(row);
+        }
+    }
+    
     /**
      * Update the completed quests list
      * @param {Array} completedQuests - Array of completed quest names
@@ -317,24 +719,41 @@ class UIManager {
     }
     
     /**
-     * Show item details in a popup
+     * Show item details in a popup, with buttons to equip it (or unequip it if it is equipped)
      * @param {Object} item - The item to show details for
+     * @param {string|null} equippedSlot - The equipment slot the item is in, for an equipped item
      * @private
      */
-    _showItemDetails(item) {
+    _showItemDetails(item, equippedSlot = null) {
+        const equipment = this.gameState.equipment;
+        const bonuses = equipment.describeBonuses(item.bonuses);
         // Create a simple popup for item details
         const popup = document.createElement('div');
         popup.className = 'item-details-popup';
         popup.innerHTML = `
-            <h3>${item.name}</h3>
-            <p>Type: ${item.type}</p>
+            <h3 class="rarity-${item.rarity || 'common'}">${item.name}</h3>
+            <p>Type: ${item.type}${item.rarity ? ` (${item.rarity})` : ''}</p>
             ${item.description ? `<p>${item.description}</p>` : ''}
-            ${item.attack ? `<p>Attack: +${item.attack}</p>` : ''}
-            ${item.defense ? `<p>Defense: +${item.defense}</p>` : ''}
+            ${bonuses ? `<p>Bonuses: ${bonuses}</p>` : ''}
+            ${item.value ? `<p>Value: ${item.value} gold</p>` : ''}
             <button id="close-popup">Close</button>
-            <button id="use-item">Use Item</button>
+            ${equippedSlot ? '' : '<button id="use-item">Use Item</button>'}
         `;
         
+        // Equip buttons (one per accessory slot) or the unequip button; GameManager handles their clicks
+        const slotButtons = equippedSlot ? [equippedSlot] : equipment.slotsFor(item);
+        for (const slot of slotButtons) {
+            const button = document.createElement('button');
+            button.className = equippedSlot ? 'unequip-item' : 'equip-item';
+            button.dataset.slot = slot;
+            button.dataset.item = item.name;
+            button.disabled = !this.inputEnabled || Boolean(this.gameState.state.combat);
+            const label = EquipmentEngine.SLOT_LABELS[slot];
+            button.textContent = equippedSlot ? 'Unequip' : (slotButtons.length > 1 ? `Equip (${label} ${slot.slice(-1)})` : 'Equip');
+            button.addEventListener('click', () => popup.remove());
+            popup.appendChild(button);
+        }
+        
         document.body.appendChild(popup);
         
         // Position the popup
@@ -354,7 +773,7 @@ class UIManager {
         });
         
         // Use item functionality
-        document.getElementById('use-item').addEventListener('click', () => {
+        document.getElementById('use-item')?.addEventListener('click', () => {
             // Set the player action input to use this item
             this.playerActionInput.value = `use ${item.name}`;
             document.body.removeChild(popup);
@@ -394,16 +813,197 @@ class UIManager {
     }
     
     /**
-     * Set the loading state for the scene image
-     * @param {boolean} isLoading - Whether the image is loading
+     * Render the token usage and cost stats view
+     * @param {UsageTracker} usage - Usage tracker of the running ModelManager
+     */
+    renderUsageStats(usage) {
+        const formatCost = (cost) => `$${cost.toFixed(cost < 0.01 ? 5 : 3)}`;
+        const totalsCells = (totals) => [
+            totals.calls,
+            totals.promptTokens.toLocaleString(),
+            totals.candidateTokens.toLocaleString(),
+            totals.totalTokens.toLocaleString(),
+            `${totals.avgLatencyMs} ms`,
+            formatCost(totals.cost)
+        ];
+        const header = ['Calls', 'Prompt', 'Output', 'Total', 'Avg latency', 'Est. cost'];
+        
+        const session = usage.getSessionTotals();
+        const summary = document.getElementById('usage-summary');
+        if (summary) {
+            summary.textContent = `Session: ${session.calls} calls, ${session.totalTokens.toLocaleString()} tokens, ${formatCost(session.cost)} estimated. ` +
+                `Token estimates are calibrated x${usage.getCalibration().toFixed(2)} from measured counts.`;
+        }
+        
+        const roleTotals = usage.getRoleTotals();
+        this._renderTable('usage-roles', ['Role', ...header],
+            ['heavy', 'medium', 'light', 'image']
+                .filter(role => roleTotals[role])
+                .map(role => [role, ...totalsCells(roleTotals[role])]));
+        
+        // Most recent turns first
+        this._renderTable('usage-turns', ['Turn', ...header],
+            usage.getTurnTotals().reverse().slice(0, 20)
+                .map(turn => [`${turn.turn}. ${turn.label.slice(0, 40)}`, ...totalsCells(turn)]));
+        
+        // Cost table: one row per priced or used model, with editable prices
+        const modelTotals = usage.getModelTotals();
+        const models = [...new Set([...Object.keys(usage.pricing), ...Object.keys(modelTotals)])];
+        this._renderTable('usage-pricing', ['Model', 'Input $/1M', 'Output $/1M', 'Tokens', 'Est. cost'],
+            models.map(model => {
+                const price = usage.pricing[model] || {};
+                const totals = modelTotals[model];
+                const priceInput = (kind) => {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = '0';
+                    input.step = '0.001';
+                    input.value = price[kind] ?? '';
+                    input.dataset.model = model;
+                    input.dataset.kind = kind;
+                    return input;
+                };
+                return [
+                    model,
+                    priceInput('input'),
+                    priceInput('output'),
+                    totals ? totals.totalTokens.toLocaleString() : '0',
+                    totals ? formatCost(totals.cost) : formatCost(0)
+                ];
+            }));
+    }
+    
+    /**
+     * Render the debug view's log of clamped, rejected and flagged state changes
+     * @param {Array<Object>} changeLog - GameState.changeLog entries
+     */
+    renderChangeLog(changeLog) {
+        const format = (value) => value === undefined ? '' : JSON.stringify(value).slice(0, 80);
+        // Most recent first
+        this._renderTable('state-change-log', ['Turn', 'Source', 'Field', 'Action', 'Reason', 'Proposed', 'Applied'],
+            [...changeLog].reverse().map(entry => [
+                entry.turn.slice(0, 30),
+                entry.source,
+                entry.path,
+                entry.action,
+                entry.reason,
+                format(entry.proposed),
+                format(entry.applied)
+            ]),
+            'No state changes have been adjusted');
+    }
+    
+    /**
+     * Render the branch picker
+     * @param {Array<Object>} branches - TurnHistory.listBranches() entries
+     */
+    renderBranches(branches) {
+        this._renderTable('branch-list', ['Timeline', 'Latest turn', 'Summary', ''],
+            branches.map(branch => {
+                const name = branch.parentName
+                    ? `${branch.name} (from ${branch.parentName}, turn ${branch.forkTurn})`
+                    : branch.name;
+                let action = 'Current';
+                if (!branch.isCurrent) {
+                    action = document.createElement('button');
+                    action.className = 'switch-branch';
+                    action.dataset.branch = branch.id;
+                    action.textContent = 'Switch';
+                }
+                return [
+                    name,
+                    branch.latestTurn === null ? '' : `${branch.latestTurn}: ${branch.latestLabel.slice(0, 40)}`,
+                    branch.summary,
+                    action
+                ];
+            }),
+            'No timelines yet');
+    }
+    
+    /**
+     * Render the load-game browser
+     * @param {Array<Object>} slots - SaveManager.listSlots() entries
+     */
+    renderSaveSlots(slots) {
+        const button = (className, slotId, label) => {
+            const element = document.createElement('button');
+            element.className = className;
+            element.dataset.slot = slotId;
+            element.textContent = label;
+            return element;
+        };
+        this._renderTable('save-slot-list', ['', 'Save', 'Saved', 'Location', 'Level', ''],
+            slots.map(slot => {
+                let thumbnail = '';
+                if (slot.thumbnail) {
+                    thumbnail = document.createElement('img');
+                    thumbnail.className = 'save-thumbnail';
+                    thumbnail.src = slot.thumbnail;
+                    thumbnail.alt = '';
+                }
+                const actions = document.createElement('span');
+                actions.append(
+                    button('load-slot', slot.id, 'Load'),
+                    button('export-slot', slot.id, 'Export'),
+                    button('delete-slot', slot.id, 'Delete')
+                );
+                return [
+                    thumbnail,
+                    slot.auto ? `${slot.name} (auto)` : slot.name,
+                    new Date(slot.savedAt).toLocaleString(),
+                    slot.location,
+                    `Lv ${slot.level} (${slot.rank}-Rank)`,
+                    actions
+                ];
+            }),
+            'No saved games yet');
+    }
+    
+    /**
+     * Fill a table element with a header row and body rows
+     * @param {string} tableId - Table element ID
+     * @param {Array<string>} header - Column headings
+     * @param {Array<Array>} rows - Cells (strings or elements)
+     * @param {string} emptyText - Shown when there are no rows
+     * @private
+     */
+    _renderTable(tableId, header, rows, emptyText = 'No calls yet') {
+        const table = document.getElementById(tableId);
+        if (!table) {
+            return;
+        }
+        table.innerHTML = '';
+        const addRow = (cells, tag) => {
+            const tr = document.createElement('tr');
+            for (const cell of cells) {
+                const td = document.createElement(tag);
+                if (cell instanceof Node) {
+                    td.appendChild(cell);
+                } else {
+                    td.textContent = cell;
+                }
+                tr.appendChild(td);
+            }
+            table.appendChild(tr);
+        };
+        addRow(header, 'th');
+        if (rows.length === 0) {
+            addRow([emptyText], 'td');
+        }
+        rows.forEach(row => addRow(row, 'td'));
+    }
+    
+    /**
+     * Show or hide the scene image's own spinner
+     * @param {boolean} isLoading - Whether a scene image is being generated
      */
     setImageLoading(isLoading) {
-        const loadingIndicator = document.getElementById('loading-indicator');
-        if (loadingIndicator) {
+        const imageLoading = document.getElementById('image-loading');
+        if (imageLoading) {
             if (isLoading) {
-                loadingIndicator.classList.remove('hidden');
+                imageLoading.classList.remove('hidden');
             } else {
-                loadingIndicator.classList.add('hidden');
+                imageLoading.classList.add('hidden');
             }
         }
     }
@@ -431,6 +1031,21 @@ class UIManager {
         }
     }
 
+    /**
+     * Remove the scene image from the image panel
+     */
+    clearSceneImage() {
+        const existingImage = document.getElementById('scene-image');
+        if (existingImage) {
+            existingImage.remove();
+        }
+    }
+    
+    /**
+     * Show a scene image in the image panel, replacing the current one
+     * @param {string} imageUrl - The image data or URL
+     * @param {string} altText - Image description
+     */
     addImageToNarrative(imageUrl, altText) {
         const container = document.getElementById('scene-image-container');
         if (container) {
@@ -445,8 +1060,12 @@ class UIManager {
                 console.warn('Failed to load image, using placeholder');
                 img.src = 'placeholder.png'; // Replace with a placeholder if loading fails
             };
-            container.innerHTML = ''; // Clear existing image
-            container.appendChild(img);
+            // Replace the current image but keep the #image-loading spinner
+            const existingImage = document.getElementById('scene-image');
+            if (existingImage) {
+                existingImage.remove();
+            }
+            container.prepend(img);
         } else {
             console.error('Scene image container not found in DOM');
         }
@@ -461,6 +1080,83 @@ class UIManager {
         const submitButton = document.getElementById('submit-action');
         if (actionInput) actionInput.disabled = !enabled;
         if (submitButton) submitButton.disabled = !enabled;
+        this.inputEnabled = enabled;
+        document.querySelectorAll('.extract-shadow').forEach(button => { button.disabled = !enabled; });
+        // The combat menu waits for the round in flight too; renderCombat re-enables what is usable
+        const combatPanel = document.getElementById('combat-panel');
+        if (combatPanel) {
+            combatPanel.querySelectorAll('button, select').forEach(control => { control.disabled = !enabled; });
+            if (enabled && this.gameState.state.combat) {
+                this.renderCombat(this.gameState.state.combat, this.gameState.combat.availableActions(this.gameState.state));
+            }
+        }
+    }
+    
+    /**
+     * Show the response cache size in the settings modal
+     * @param {Object} stats - { entries, bytes }
+     */
+    setCacheStats(stats) {
+        const size = document.getElementById('response-cache-size');
+        if (size) {
+            const megabytes = (stats.bytes / (1024 * 1024)).toFixed(2);
+            size.textContent = `${stats.entries} cached responses, ${megabytes} MB`;
+        }
+    }
+    
+    /**
+     * Show the outcome of a "test this model" check in the settings modal
+     * @param {string} role - Model role
+     * @param {string} message - Result text
+     * @param {boolean|null} ok - Success, failure, or null while the test runs
+     */
+    setModelTestResult(role, message, ok) {
+        const result = document.getElementById(`model-test-${role}`);
+        if (result) {
+            result.textContent = message;
+            result.classList.toggle('ok', ok === true);
+            result.classList.toggle('failed', ok === false);
+        }
+    }
+    
+    /**
+     * Show or hide the Stop button used to cancel the turn in flight
+     * @param {boolean} visible - Whether the button is shown
+     */
+    setStopVisible(visible) {
+        const stopButton = document.getElementById('stop-action');
+        if (stopButton) {
+            stopButton.classList.toggle('hidden', !visible);
+        }
+    }
+    
+    /**
+     * Remember the current end of the narrative, to roll back to later
+     * @returns {number} - Number of narrative entries
+     */
+    markNarrative() {
+        return this.narrativeContainer.children.length;
+    }
+    
+    /**
+     * Remove every narrative entry added after a mark
+     * @param {number} mark - Value returned by markNarrative()
+     */
+    rollbackNarrative(mark) {
+        while (this.narrativeContainer.children.length > mark) {
+            this.narrativeContainer.lastElementChild.remove();
+        }
+    }
+    
+    /**
+     * Put text back into the player action input (e.g. after a failed turn)
+     * @param {string} text - Action text
+     */
+    setActionInput(text) {
+        const actionInput = document.getElementById('player-action-input');
+        if (actionInput) {
+            actionInput.value = text;
+        }
     }
     
     /**
@@ -0,0 +1,39 @@
+/**
+ * Hashing helpers shared by the fixture recorder and the response cache.
+ */
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal values always
+ * produce the same string. Undefined properties are skipped.
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 64-bit hex hash of a string (two FNV-1a passes with different offsets).
+ * Not cryptographic; only used to match requests.
+ * @param {string} text - Text to hash
+ * @returns {string} - 16 hex characters
+ */
+function hashString(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 0x01000193);
+        h2 = Math.imul(h2 ^ code, 0x811c9dc5);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,114 @@
+/**
+ * IndexedDB Store
+ *
+ * Minimal promise wrapper around a single IndexedDB object store.
+ * Each store lives in its own database, so stores never have to coordinate
+ * schema versions.
+ */
+class IdbStore {
+    /**
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     * @param {string} keyPath - Property of stored records used as the key
+     */
+    constructor(dbName, storeName, keyPath = 'key') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this._dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available in this browser context
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} - Record, or undefined when missing
+     */
+    async get(key) {
+        return await this._request('readonly', store => store.get(key));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record (must contain the key path property)
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        await this._request('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this._request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Get every record in the store
+     * @returns {Promise<Array<Object>>} - Records
+     */
+    async getAll() {
+        return await this._request('readonly', store => store.getAll());
+    }
+
+    /**
+     * Delete every record in the store
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this._request('readwrite', store => store.clear());
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                if (!IdbStore.isSupported()) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later call to retry after a failed open
+            this._dbPromise.catch(() => { this._dbPromise = null; });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (IDBObjectStore) => IDBRequest
+     * @returns {Promise<*>} - Request result
+     * @private
+     */
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
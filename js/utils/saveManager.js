@@ -0,0 +1,357 @@
+/**
+ * Save Manager
+ *
+ * Named save slots in IndexedDB, plus save file import and export. Every save
+ * is wrapped in one versioned envelope:
+ *   { format, version, savedAt, meta: { name, location, level, rank, thumbnail }, data }
+ * where data is GameState.getSaveData(). Saves written by older versions
+ * (including the raw-state files of the first releases) are brought up to
+ * date by the migration chain in SaveManager.MIGRATIONS, so they keep loading
+ * as the state shape changes.
+ */
+class SaveManager {
+    constructor() {
+        this.store = new IdbStore('solo_leveling_saves', 'slots', 'id');
+    }
+
+    /**
+     * Wrap save data in the current envelope. The data is copied, so the game can
+     * move on while the save is written.
+     * @param {Object} saveData - GameState.getSaveData()
+     * @param {string} name - Save name
+     * @returns {Object} - Envelope
+     */
+    createEnvelope(saveData, name) {
+        const data = JSON.parse(JSON.stringify(saveData));
+        const player = data.state.player;
+        return {
+            format: SaveManager.FORMAT,
+            version: SaveManager.VERSION,
+            savedAt: new Date().toISOString(),
+            meta: {
+                name,
+                location: data.state.world?.location || '',
+                level: player.level,
+                rank: player.rank,
+                thumbnail: null
+            },
+            data
+        };
+    }
+
+    /**
+     * Write a save slot, replacing any slot with the same ID
+     * @param {string} id - Slot ID (SaveManager.AUTOSAVE_ID for the autosave)
+     * @param {string} name - Save name
+     * @param {Object} saveData - GameState.getSaveData()
+     * @param {string|null} sceneImage - Current scene image, shrunk into the slot's thumbnail
+     * @returns {Promise<Object>} - The saved envelope
+     */
+    async saveSlot(id, name, saveData, sceneImage = null) {
+        const envelope = this.createEnvelope(saveData, name);
+        envelope.meta.thumbnail = sceneImage ? await this._makeThumbnail(sceneImage) : null;
+        await this.store.put({ id, envelope });
+        return envelope;
+    }
+
+    /**
+     * Describe every save slot, most recent first
+     * @returns {Promise<Array<Object>>} - [{ id, auto, savedAt, name, location, level, rank, thumbnail }]
+     */
+    async listSlots() {
+        const records = await this.store.getAll();
+        return records
+            .map(record => ({
+                id: record.id,
+                auto: record.id === SaveManager.AUTOSAVE_ID,
+                savedAt: record.envelope.savedAt,
+                ...record.envelope.meta
+            }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Read a save slot, migrated to the current version
+     * @param {string} id - Slot ID
+     * @returns {Promise<Object>} - Envelope
+     */
+    async loadSlot(id) {
+        const record = await this.store.get(id);
+        if (!record) {
+            throw new Error(`No save in slot ${id}`);
+        }
+        return SaveManager.migrate(record.envelope);
+    }
+
+    /**
+     * Delete a save slot
+     * @param {string} id - Slot ID
+     * @returns {Promise<void>}
+     */
+    async deleteSlot(id) {
+        await this.store.delete(id);
+    }
+
+    /**
+     * Download an envelope as a save file
+     * @param {Object} envelope - Envelope
+     */
+    exportFile(envelope) {
+        const blob = new Blob([JSON.stringify(envelope)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `solo-leveling-save-${envelope.savedAt.slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Parse a save file of any version
+     * @param {string} text - File contents
+     * @returns {Object} - Envelope, migrated to the current version
+     */
+    parseFile(text) {
+        return SaveManager.migrate(JSON.parse(text));
+    }
+
+    /**
+     * Bring a save of any version up to the current envelope
+     * @param {Object} save - Raw state, save data or envelope
+     * @returns {Object} - Envelope
+     */
+    static migrate(save) {
+        let version = SaveManager.detectVersion(save);
+        if (version > SaveManager.VERSION) {
+            throw new Error(`Save version ${version} is newer than this game (version ${SaveManager.VERSION})`);
+        }
+        let migrated = JSON.parse(JSON.stringify(save));
+        for (; version < SaveManager.VERSION; version++) {
+            migrated = SaveManager.MIGRATIONS[version](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Work out which version wrote a save
+     * @param {Object} save - Raw state, save data or envelope
+     * @returns {number} - Version
+     */
+    static detectVersion(save) {
+        if (!save || typeof save !== 'object') {
+            throw new Error('Not a save file');
+        }
+        if (save.format === SaveManager.FORMAT && Number.isInteger(save.version)) {
+            return save.version;
+        }
+        // GameState.getSaveData() output, before saves had an envelope
+        if (save.state?.player) {
+            return 1;
+        }
+        // GameState.saveState() output: the bare state
+        if (save.player) {
+            return 0;
+        }
+        throw new Error('Not a save file');
+    }
+
+    /**
+     * Apply a change to every state in an envelope: the current one and every turn snapshot
+     * @param {Object} envelope - Envelope
+     * @param {Function} migrateState - (state) => void, mutating the state
+     */
+    static forEachState(envelope, migrateState) {
+        migrateState(envelope.data.state);
+        for (const branch of envelope.data.timelines?.branches || []) {
+            for (const turn of branch.turns) {
+                if (turn.state) {
+                    migrateState(turn.state);
+                }
+            }
+        }
+    }
+
+    /**
+     * Shrink a scene image into a slot thumbnail
+     * @param {string} imageUrl - Image data URL or URL
+     * @returns {Promise<string|null>} - JPEG data URL, or null if the image can't be read
+     * @private
+     */
+    _makeThumbnail(imageUrl) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => {
+                try {
+                    const scale = Math.min(1, SaveManager.THUMBNAIL_WIDTH / image.naturalWidth);
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(image.naturalWidth * scale);
+                    canvas.height = Math.round(image.naturalHeight * scale);
+                    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/jpeg', 0.7));
+                } catch (error) {
+                    // Images from other origins taint the canvas
+                    console.warn('Could not create save thumbnail:', error);
+                    resolve(null);
+                }
+            };
+            image.onerror = () => resolve(null);
+            image.src = imageUrl;
+        });
+    }
+}
+
+SaveManager.FORMAT = 'solo-leveling-save';
+
+SaveManager.AUTOSAVE_ID = 'autosave';
+
+SaveManager.THUMBNAIL_WIDTH = 160;
+
+// MIGRATIONS[n] turns a version n save into a version n + 1 save. Add one whenever the
+// save data or state shape changes; SaveManager.VERSION follows the chain's length.
+SaveManager.MIGRATIONS = [
+    // 0 -> 1: bare state files from GameState.saveState()
+    (state) => ({ state, initialContext: '' }),
+
+    // 1 -> 2: wrap in the envelope; fill in state fields added since the first release
+    (saveData) => {
+        const envelope = {
+            format: SaveManager.FORMAT,
+            version: 2,
+            savedAt: saveData.timestamp || new Date().toISOString(),
+            meta: {
+                name: 'Imported save',
+                location: saveData.state.world?.location || '',
+                level: saveData.state.player.level,
+                rank: saveData.state.player.rank,
+                thumbnail: null
+            },
+            data: {
+                state: saveData.state,
+                initialContext: saveData.initialContext || '',
+                timelines: saveData.timelines || null
+            }
+        };
+        SaveManager.forEachState(envelope, state => {
+            state.player.maxHP = state.player.maxHP ?? Math.max(100, state.player.HP ?? 0);
+            state.player.maxMP = state.player.maxMP ?? Math.max(100, state.player.MP ?? 0);
+            state.history = state.history || [];
+            state.conversationHistory = state.conversationHistory || [];
+            state.summaries = state.summaries || [];
+        });
+        return envelope;
+    },
+
+    // 2 -> 3: level, max HP/MP and stat points follow the leveling engine's rules
+    (envelope) => {
+        const leveling = new LevelingEngine();
+        SaveManager.forEachState(envelope, state => leveling.reconcile(state.player));
+        envelope.version = 3;
+        envelope.meta.level = envelope.data.state.player.level;
+        return envelope;
+    },
+
+    // 3 -> 4: seeded RNG and combat encounters
+    (envelope) => {
+        SaveManager.forEachState(envelope, state => {
+            state.rngState = state.rngState ?? SeededRandom.newSeed();
+            state.combat = state.combat ?? null;
+        });
+        envelope.version = 4;
+        return envelope;
+    },
+
+    // 4 -> 5: world.dungeon holds a generated gate; anything else the models put there is dropped
+    (envelope) => {
+        SaveManager.forEachState(envelope, state => {
+            if (!Array.isArray(state.world.dungeon?.rooms)) {
+                state.world.dungeon = null;
+            }
+        });
+        envelope.version = 5;
+        return envelope;
+    },
+
+    // 5 -> 6: the Daily Quest, issued for the save's current day
+    (envelope) => {
+        const dailyQuests = new DailyQuestEngine();
+        SaveManager.forEachState(envelope, state => {
+            const clock = dailyQuests.parseTime(state.world.time);
+            state.dailyQuest = state.dailyQuest ?? dailyQuests.createQuest(clock ? clock.day : 1);
+            state.penaltyZone = state.penaltyZone ?? null;
+        });
+        envelope.version = 6;
+        return envelope;
+    },
+
+    // 6 -> 7: skills are objects with MP costs and cooldowns instead of names; skill objects the
+    // models wrote are rebuilt the same way, keeping any level and uses they had
+    (envelope) => {
+        const skills = new SkillEngine();
+        SaveManager.forEachState(envelope, state => {
+            state.player.skills = (state.player.skills || []).flatMap(skill => {
+                if (typeof skill === 'string') {
+                    return skill.trim() ? [skills.createSkill(skill)] : [];
+                }
+                if (!skill || typeof skill !== 'object' || typeof skill.name !== 'string' || !skill.name.trim()) {
+                    return [];
+                }
+                const rebuilt = skills.createSkill(skill.name, skill);
+                if (Number.isInteger(skill.level) && skill.level >= 1) {
+                    rebuilt.level = Math.min(skill.level, skills.rules.maxSkillLevel);
+                }
+                if (Number.isInteger(skill.uses) && skill.uses >= 0) {
+                    rebuilt.uses = skill.uses;
+                }
+                return [rebuilt];
+            });
+        });
+        envelope.version = 7;
+        return envelope;
+    },
+
+    // 7 -> 8: the Shadow Army
+    (envelope) => {
+        const shadows = new ShadowEngine();
+        SaveManager.forEachState(envelope, state => {
+            state.shadowArmy = state.shadowArmy ?? shadows.createArmy();
+        });
+        envelope.version = 8;
+        return envelope;
+    },
+
+    // 8 -> 9: equipment slots, all empty; items' attack and defense become equipment bonuses
+    (envelope) => {
+        const equipment = new EquipmentEngine();
+        SaveManager.forEachState(envelope, state => {
+            state.player.equipment = state.player.equipment ?? equipment.createEquipment();
+            state.player.inventory = (state.player.inventory || []).map(item => equipment.foldLegacyBonuses(item));
+        });
+        envelope.version = 9;
+        return envelope;
+    },
+
+    // 9 -> 10: inventory items are entries of the item catalog; items it doesn't know become
+    // the save's own catalog entries, and differently named copies of the same item are stacked
+    (envelope) => {
+        const items = new ItemCatalog();
+        SaveManager.forEachState(envelope, state => {
+            state.itemCatalog = state.itemCatalog ?? [];
+            const inventory = state.player.inventory || [];
+            state.player.inventory = [];
+            for (const item of inventory) {
+                items.addToInventory(state, item);
+            }
+            for (const [slot, item] of Object.entries(state.player.equipment || {})) {
+                if (item && !item.id) {
+                    state.player.equipment[slot] = items.toEntry(items.normalize(state, item), 1);
+                }
+            }
+        });
+        envelope.version = 10;
+        return envelope;
+    }
+];
+
+SaveManager.VERSION = SaveManager.MIGRATIONS.length;
@@ -0,0 +1,74 @@
+/**
+ * Seeded Random
+ *
+ * Small deterministic random number generator (mulberry32). The game keeps
+ * its generator state in GameState.state.rngState, so combat rolls and
+ * generated content repeat exactly on fixture replays and after a rewind or
+ * reload.
+ */
+class SeededRandom {
+    /**
+     * @param {number} state - 32-bit generator state (a seed, or a state saved from `state`)
+     */
+    constructor(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * A fresh random seed
+     * @returns {number}
+     */
+    static newSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Whole number in [min, max]
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound (inclusive)
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - Chance between 0 and 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of a list
+     * @param {Array} list - Non-empty list
+     * @returns {*}
+     */
+    pick(list) {
+        return list[Math.floor(this.next() * list.length)];
+    }
+}
@@ -11,7 +11,37 @@ class SettingsManager {
             imageFrequency: 'major-scenes', // Image generation frequency (always, major-scenes, never)
             narrativeStyle: 'detailed',  // Narrative style (concise, detailed)
             showSystemMessages: true,    // Whether to show system messages
-            showTutorial: true           // Whether to show tutorial messages for new players
+            showTutorial: true,          // Whether to show tutorial messages for new players
+            modelProviders: {            // Provider per model role (gemini, openai, mock)
+                heavy: 'gemini',
+                medium: 'gemini',
+                light: 'gemini',
+                image: 'gemini'
+            },
+            openAiBaseUrl: 'http://localhost:8080/v1', // OpenAI-compatible server (llama.cpp, Ollama)
+            openAiModel: '',             // Model name sent to the OpenAI-compatible server (blank = role default)
+            openAiApiKey: '',            // Optional bearer token for the OpenAI-compatible server
+            modelPricing: {},            // Cost table overrides, USD per million tokens: { [model]: { input, output } }
+            responseCache: false,        // Reuse light-model results and images from the IndexedDB cache
+            autosaveEvery: 5,            // Autosave every N turns (0 = off)
+            responseRecovery: {          // Handling of blocked or truncated narration and dialogue
+                softenBlocked: true,     // Retry a blocked response once with a softened prompt
+                continueTruncated: true, // Continue a response cut off at the output token limit
+                systemGlitch: true       // Show an in-world "System glitch" instead of an error when still blocked
+            },
+            modelConfig: {               // Per-role model ID and generation parameters (unset = default)
+                heavy: {},
+                medium: {},
+                light: {},
+                image: {}
+            }
+        };
+        
+        // Settings keys bound to text inputs in the settings modal
+        this.openAiFieldIds = {
+            openAiBaseUrl: 'openai-base-url',
+            openAiModel: 'openai-model',
+            openAiApiKey: 'openai-api-key'
         };
         
         // Initialize settings
@@ -49,11 +79,48 @@ class SettingsManager {
         document.dispatchEvent(event);
     }
     
+    /**
+     * Get the provider configuration in the shape ModelManager expects
+     * @returns {Object} - { providers, providerOptions, roles, pricing }
+     */
+    getProviderConfig() {
+        return {
+            providers: { ...this.settings.modelProviders },
+            roles: JSON.parse(JSON.stringify(this.settings.modelConfig)),
+            pricing: { ...this.settings.modelPricing },
+            recovery: {
+                softenBlocked: this.settings.responseRecovery.softenBlocked,
+                continueTruncated: this.settings.responseRecovery.continueTruncated
+            },
+            providerOptions: {
+                openai: {
+                    baseUrl: this.settings.openAiBaseUrl,
+                    model: this.settings.openAiModel || undefined,
+                    apiKey: this.settings.openAiApiKey
+                }
+            }
+        };
+    }
+    
+    /**
+     * Whether any model role is configured to use the given provider
+     * @param {string} providerId - Provider ID
+     * @returns {boolean}
+     */
+    usesProvider(providerId) {
+        return Object.values(this.settings.modelProviders).includes(providerId);
+    }
+    
     /**
      * Reset settings to default values
      */
     resetToDefaults() {
-        this.settings = { ...this.defaultSettings };
+        this.settings = {
+            ...this.defaultSettings,
+            modelProviders: { ...this.defaultSettings.modelProviders },
+            responseRecovery: { ...this.defaultSettings.responseRecovery },
+            modelConfig: JSON.parse(JSON.stringify(this.defaultSettings.modelConfig))
+        };
         this._saveSettings();
         this._updateAllUI();
     }
@@ -67,13 +134,25 @@ class SettingsManager {
         try {
             const savedSettings = localStorage.getItem('solo_leveling_settings');
             if (savedSettings) {
-                return { ...this.defaultSettings, ...JSON.parse(savedSettings) };
+                const parsed = JSON.parse(savedSettings);
+                return {
+                    ...this.defaultSettings,
+                    ...parsed,
+                    modelProviders: { ...this.defaultSettings.modelProviders, ...parsed.modelProviders },
+                    responseRecovery: { ...this.defaultSettings.responseRecovery, ...parsed.responseRecovery },
+                    modelConfig: { ...JSON.parse(JSON.stringify(this.defaultSettings.modelConfig)), ...parsed.modelConfig }
+                };
             }
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
         
-        return { ...this.defaultSettings };
+        return {
+            ...this.defaultSettings,
+            modelProviders: { ...this.defaultSettings.modelProviders },
+            responseRecovery: { ...this.defaultSettings.responseRecovery },
+            modelConfig: JSON.parse(JSON.stringify(this.defaultSettings.modelConfig))
+        };
     }
     
     /**
@@ -110,6 +189,69 @@ class SettingsManager {
                 this.set('imageFrequency', e.target.value);
             });
         }
+        
+        // Provider select per model role
+        for (const role of Object.keys(this.defaultSettings.modelProviders)) {
+            const providerSelect = document.getElementById(`provider-${role}`);
+            if (providerSelect) {
+                providerSelect.value = this.settings.modelProviders[role];
+                providerSelect.addEventListener('change', (e) => {
+                    this.set('modelProviders', { ...this.settings.modelProviders, [role]: e.target.value });
+                });
+            }
+        }
+        
+        // Response cache toggle
+        const responseCacheToggle = document.getElementById('response-cache-enabled');
+        if (responseCacheToggle) {
+            responseCacheToggle.checked = this.settings.responseCache;
+            responseCacheToggle.addEventListener('change', (e) => {
+                this.set('responseCache', e.target.checked);
+            });
+        }
+        
+        // Autosave interval
+        const autosaveInput = document.getElementById('autosave-every');
+        if (autosaveInput) {
+            autosaveInput.value = this.settings.autosaveEvery;
+            autosaveInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                this.set('autosaveEvery', Number.isNaN(value) ? 0 : Math.max(0, value));
+            });
+        }
+        
+        // Blocked/truncated response recovery options
+        document.querySelectorAll('#response-recovery input[data-option]').forEach(input => {
+            input.checked = this.settings.responseRecovery[input.dataset.option];
+            input.addEventListener('change', (e) => {
+                this.set('responseRecovery', { ...this.settings.responseRecovery, [e.target.dataset.option]: e.target.checked });
+            });
+        });
+        
+        // Per-role model configuration fields
+        document.querySelectorAll('#model-config input[data-role]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const { role, field } = e.target.dataset;
+                const raw = e.target.value.trim();
+                // Blank means "use the default"
+                const value = raw === '' ? null : (field === 'model' ? raw : Number(raw));
+                this.set('modelConfig', {
+                    ...this.settings.modelConfig,
+                    [role]: { ...this.settings.modelConfig[role], [field]: value }
+                });
+            });
+        });
+        
+        // OpenAI-compatible server fields
+        for (const [key, elementId] of Object.entries(this.openAiFieldIds)) {
+            const input = document.getElementById(elementId);
+            if (input) {
+                input.value = this.settings[key];
+                input.addEventListener('change', (e) => {
+                    this.set(key, e.target.value.trim());
+                });
+            }
+        }
     }
     
     /**
@@ -145,6 +287,60 @@ class SettingsManager {
                     imageFrequencySelect.value = value;
                 }
                 break;
+                
+            case 'modelProviders':
+                for (const [role, providerId] of Object.entries(value)) {
+                    const providerSelect = document.getElementById(`provider-${role}`);
+                    if (providerSelect) {
+                        providerSelect.value = providerId;
+                    }
+                }
+                break;
+                
+            case 'responseCache':
+                const responseCacheToggle = document.getElementById('response-cache-enabled');
+                if (responseCacheToggle) {
+                    responseCacheToggle.checked = value;
+                }
+                break;
+                
+            case 'autosaveEvery':
+                const autosaveInput = document.getElementById('autosave-every');
+                if (autosaveInput) {
+                    autosaveInput.value = value;
+                }
+                break;
+                
+            case 'responseRecovery':
+                document.querySelectorAll('#response-recovery input[data-option]').forEach(input => {
+                    input.checked = Boolean(value[input.dataset.option]);
+                });
+                break;
+                
+            case 'modelConfig':
+                document.querySelectorAll('#model-config input[data-role]').forEach(input => {
+                    const roleConfig = value[input.dataset.role] || {};
+                    const fieldValue = roleConfig[input.dataset.field];
+                    input.value = fieldValue ?? '';
+                    if (input.dataset.field === 'thinkingBudget') {
+                        // Only models with a thinking budget accept one
+                        const modelInput = document.querySelector(`#model-config input[data-role="${input.dataset.role}"][data-field="model"]`);
+                        const model = roleConfig.model || modelInput?.placeholder;
+                        input.disabled = !ModelManager.supportsThinkingBudget(model);
+                        input.title = input.disabled ? `${model} does not support a thinking budget` : '';
+                    }
+                });
+                break;
+                
+            case 'openAiBaseUrl':
+            case 'openAiModel':
+            case 'openAiApiKey': {
+                const field = document.getElementById(this.openAiFieldIds[key]);
+                if (field) {
+                    field.value = value;
+                }
+                break;
+            }
         }
     }
     
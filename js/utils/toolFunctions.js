@@ -19,12 +19,141 @@ class ToolFunctions {
                     properties: {
                         changes: {
                             type: 'object',
-                            description: 'Changes to apply to the game state'
+                            description: 'Changes to apply to the game state',
+                            properties: {
+                                player: {
+                                    type: 'object',
+                                    description: 'Player fields to overwrite',
+                                    properties: {
+                                        HP: { type: 'integer', description: 'Current health points' },
+                                        MP: { type: 'integer', description: 'Current mana points' },
+                                        gold: { type: 'integer', description: 'Total gold' }
+                                    }
+                                },
+                                world: {
+                                    type: 'object',
+                                    description: 'World fields to overwrite',
+                                    properties: {
+                                        location: { type: 'string', description: 'Where the player currently is' },
+                                        time: { type: 'string', description: 'In-game time, e.g. "Day 2 - Evening"' }
+                                    }
+                                }
+                            }
                         }
                     },
                     required: ['changes']
                 }
             },
+            {
+                name: 'update_character_profile',
+                description: 'Update the player character profile (rank, HP, MP, gold) after progression. Level and experience are computed by the game; use award_experience. Skills are taught with learn_skill',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        rank: {
+                            type: 'string',
+                            description: 'Hunter rank (E, D, C, B, A, S)'
+                        },
+                        hp: {
+                            type: 'integer',
+                            description: 'Current health points'
+                        },
+                        mp: {
+                            type: 'integer',
+                            description: 'Current mana points'
+                        },
+                        gold: {
+                            type: 'integer',
+                            description: 'Total gold'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'award_experience',
+                description: 'Award experience the player earned (defeating monsters, clearing gates, completing quests). The game applies any level-ups and reports them back',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        amount: {
+                            type: 'integer',
+                            description: 'Experience points earned'
+                        },
+                        reason: {
+                            type: 'string',
+                            description: 'What the experience was earned for'
+                        }
+                    },
+                    required: ['amount']
+                }
+            },
+            {
+                name: 'learn_skill',
+                description: 'The System grants Jinwoo a new skill. Known skills (Sprint, Dagger Rush, Mutilation, Bloodlust, Stealth, Ruler\'s Authority, Tenacity, Advanced Dagger Skills) come with their own MP cost, cooldown and level or rank requirement; the game refuses skills he doesn\'t qualify for',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Skill name' },
+                        type: { type: 'string', enum: ['active', 'passive'], description: 'For a new skill: used on demand, or always in effect' },
+                        description: { type: 'string', description: 'For a new skill: what it does' },
+                        mpCost: { type: 'integer', description: 'For a new active skill: MP spent per use' },
+                        cooldown: { type: 'integer', description: 'For a new active skill: turns before it can be used again' }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'start_combat',
+                description: 'Start a fight when monsters or hostile hunters attack. The game rolls the enemies from their rank and resolves every round; describe the enemies appearing, not the fight\'s outcome',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        enemies: {
+                            type: 'array',
+                            description: 'Enemy groups (at most 6 enemies in total)',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string', description: 'Enemy name, e.g. "Goblin"' },
+                                    rank: { type: 'string', enum: ['E', 'D', 'C', 'B', 'A', 'S'], description: 'Rank of the gate the enemy belongs to' },
+                                    count: { type: 'integer', description: 'How many of this enemy (default 1)' },
+                                    boss: { type: 'boolean', description: 'Whether this is the gate boss' }
+                                },
+                                required: ['name', 'rank']
+                            }
+                        }
+                    },
+                    required: ['enemies']
+                }
+            },
+            {
+                name: 'enter_gate',
+                description: 'Jinwoo enters a gate. The game generates its rooms, monsters, boss and loot; anything not given is rolled. Describe only what the tool result and the current room show',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        rank: { type: 'string', enum: ['E', 'D', 'C', 'B', 'A', 'S'], description: 'Gate rank' },
+                        type: { type: 'string', enum: ['normal', 'red', 'double'], description: 'Gate type (red gates seal their exit until the boss dies; double gates hide a second chamber). Usually left to the game' },
+                        theme: { type: 'string', enum: ['cave', 'castle', 'ice'], description: 'What the inside of the gate looks like' }
+                    }
+                }
+            },
+            {
+                name: 'move_to_room',
+                description: 'Move Jinwoo to one of the current room\'s exits inside a gate (going deeper means clearing the current room first). Monsters in the new room attack, starting combat; naming the current room engages its monsters again',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        room: { type: 'string', description: 'Room ID (e.g. "r2") or name from the exits list' }
+                    },
+                    required: ['room']
+                }
+            },
+            {
+                name: 'leave_gate',
+                description: 'Jinwoo leaves the gate he is in'
+                // No parameters: Gemini rejects an object schema without properties
+            },
             {
                 name: 'update_inventory',
                 description: 'Add or remove items from the player inventory',
@@ -57,6 +186,33 @@ class ToolFunctions {
                                     description: {
                                         type: 'string',
                                         description: 'Item description'
+                                    },
+                                    rarity: {
+                                        type: 'string',
+                                        enum: ItemCatalog.RARITIES,
+                                        description: 'Item rarity, for a new item'
+                                    },
+                                    value: {
+                                        type: 'integer',
+                                        description: 'What the item is worth in gold, for a new item'
+                                    },
+                                    slot: {
+                                        type: 'string',
+                                        enum: EquipmentEngine.ITEM_SLOTS,
+                                        description: 'Equipment slot, for weapons, armor and accessories'
+                                    },
+                                    bonuses: {
+                                        type: 'object',
+                                        description: 'What the item adds while equipped',
+                                        properties: {
+                                            STR: { type: 'integer' },
+                                            AGI: { type: 'integer' },
+                                            INT: { type: 'integer' },
+                                            SENSE: { type: 'integer' },
+                                            VIT: { type: 'integer' },
+                                            attack: { type: 'integer' },
+                                            defense: { type: 'integer' }
+                                        }
                                     }
                                 },
                                 required: ['name', 'quantity']
@@ -97,20 +253,6 @@ class ToolFunctions {
                     },
                     required: ['event']
                 }
-            },
-            {
-                name: 'extract_state_changes',
-                description: 'Extract structured state changes from narrative text',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        narrative: {
-                            type: 'string',
-                            description: 'Narrative text to analyze'
-                        }
-                    },
-                    required: ['narrative']
-                }
             }
         ];
     }
@@ -129,11 +271,32 @@ class ToolFunctions {
      * @param {Object} parameters - Function parameters
      * @returns {Object} - Function result
      */
-    executeFunction(functionName, parameters) {
+    executeFunction(functionName, parameters = {}) {
         switch (functionName) {
             case 'update_state':
                 return this.updateState(parameters.changes);
                 
+            case 'update_character_profile':
+                return this.updateCharacterProfile(parameters);
+                
+            case 'award_experience':
+                return this.awardExperience(parameters.amount, parameters.reason);
+                
+            case 'learn_skill':
+                return this.learnSkill(parameters);
+                
+            case 'start_combat':
+                return this.startCombat(parameters.enemies);
+                
+            case 'enter_gate':
+                return this.enterGate(parameters);
+                
+            case 'move_to_room':
+                return this.moveToRoom(parameters.room);
+                
+            case 'leave_gate':
+                return this.leaveGate();
+                
             case 'update_inventory':
                 return this.updateInventory(parameters.action, parameters.items);
                 
@@ -143,9 +306,6 @@ class ToolFunctions {
             case 'log_event':
                 return this.logEvent(parameters.event);
                 
-            case 'extract_state_changes':
-                return this.extractStateChanges(parameters.narrative);
-                
             default:
                 throw new Error(`Unknown function: ${functionName}`);
         }
@@ -158,15 +318,174 @@ class ToolFunctions {
      */
     updateState(changes) {
         try {
-            this.gameState.updateState(changes);
+            const issues = this.gameState.updateState(changes);
+            return this._result(issues, 'State updated successfully');
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to update state: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Update the player's character profile
+     * @param {Object} profile - Profile fields (rank, hp, mp, gold)
+     * @returns {Object} - Result of the operation
+     */
+    updateCharacterProfile(profile) {
+        try {
+            // Map tool parameter names onto the player state keys
+            const fieldMap = {
+                rank: 'rank',
+                hp: 'HP',
+                mp: 'MP',
+                gold: 'gold'
+            };
+            const playerChanges = {};
+            for (const [param, key] of Object.entries(fieldMap)) {
+                if (profile[param] !== undefined) {
+                    playerChanges[key] = profile[param];
+                }
+            }
+            
+            const issues = this.gameState.updateState({ player: playerChanges });
+            
+            return this._result(issues, 'Character profile updated');
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to update character profile: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Award experience; the leveling engine works out any level-ups
+     * @param {number} amount - Experience earned
+     * @param {string} reason - What it was earned for
+     * @returns {Object} - Result of the operation
+     */
+    awardExperience(amount, reason) {
+        try {
+            const { gained, levelUps, issues } = this.gameState.awardExperience(amount);
+            const player = this.gameState.state.player;
+            let message = `Gained ${gained} experience${reason ? ` for ${reason}` : ''}`;
+            if (levelUps.length > 0) {
+                message += `. Level up! Now level ${player.level}, HP and MP fully restored, ${player.statPoints} unspent stat points`;
+            }
+            return this._result(issues, message);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to award experience: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Teach the player a skill; the skill engine checks its requirements
+     * @param {Object} definition - { name, type, description, mpCost, cooldown }
+     * @returns {Object} - Result of the operation
+     */
+    learnSkill(definition) {
+        try {
+            const skill = this.gameState.learnSkill(definition.name, definition);
             return {
                 success: true,
-                message: 'State updated successfully'
+                message: `Learned ${this.gameState.skills.describe(skill)}${skill.description ? `: ${skill.description}` : ''}`
             };
         } catch (error) {
             return {
                 success: false,
-                message: `Failed to update state: ${error.message}`
+                message: `Failed to learn the skill: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Start a fight; the combat engine rolls the enemies and resolves the rounds
+     * @param {Array<Object>} enemies - Enemy groups ({ name, rank, count, boss })
+     * @returns {Object} - Result of the operation
+     */
+    startCombat(enemies) {
+        try {
+            const combat = this.gameState.startCombat(enemies);
+            const roster = combat.participants
+                .filter(participant => participant.side === 'enemy')
+                .map(enemy => `${enemy.name} (rank ${enemy.rank}${enemy.boss ? ' boss' : ''}, ${enemy.maxHP} HP)`);
+            return {
+                success: true,
+                message: `Combat started against ${roster.join(', ')}. The player chooses the actions and the game resolves each round; do not decide the fight`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to start combat: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Enter a generated gate
+     * @param {Object} options - { rank, type, theme }, each optional
+     * @returns {Object} - Result of the operation
+     */
+    enterGate(options) {
+        try {
+            const dungeon = this.gameState.enterGate({ rank: options.rank, type: options.type, theme: options.theme });
+            return {
+                success: true,
+                message: `Entered the ${dungeon.name}`,
+                room: this.gameState.dungeons.describe(dungeon).join('\n')
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to enter the gate: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Move to another room of the current gate
+     * @param {string} room - Room ID or name
+     * @returns {Object} - Result of the operation
+     */
+    moveToRoom(room) {
+        try {
+            const result = this.gameState.moveToRoom(room);
+            let message = `Moved to the ${result.room.name}`;
+            if (result.combat) {
+                message += `. Its monsters attack: combat has started, so describe them closing in and stop there`;
+            } else if (result.loot.length > 0) {
+                message += `. Found: ${result.loot.map(item => `${item.name} x${item.quantity}`).join(', ')}`;
+            }
+            return {
+                success: true,
+                message,
+                room: this.gameState.dungeons.describe(this.gameState.state.world.dungeon).join('\n')
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to move: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Leave the current gate
+     * @returns {Object} - Result of the operation
+     */
+    leaveGate() {
+        try {
+            const dungeon = this.gameState.leaveGate();
+            return { success: true, message: `Left the ${dungeon.name}` };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Failed to leave the gate: ${error.message}`
             };
         }
     }
@@ -179,14 +498,15 @@ class ToolFunctions {
      */
     updateInventory(action, items) {
         try {
+            let issues;
             if (action === 'add') {
-                this.gameState.updateState({
+                issues = this.gameState.updateState({
                     player: {
                         inventoryAdd: items
                     }
                 });
             } else if (action === 'remove') {
-                this.gameState.updateState({
+                issues = this.gameState.updateState({
                     player: {
                         inventoryRemove: items
                     }
@@ -195,10 +515,7 @@ class ToolFunctions {
                 throw new Error(`Invalid action: ${action}`);
             }
             
-            return {
-                success: true,
-                message: `Items ${action === 'add' ? 'added to' : 'removed from'} inventory`
-            };
+            return this._result(issues, `Items ${action === 'add' ? 'added to' : 'removed from'} inventory`);
         } catch (error) {
             return {
                 success: false,
@@ -225,12 +542,9 @@ class ToolFunctions {
                 changes.quests.current = newQuest;
             }
             
-            this.gameState.updateState(changes);
+            const issues = this.gameState.updateState(changes);
             
-            return {
-                success: true,
-                message: `Quest "${completedQuest}" completed`
-            };
+            return this._result(issues, `Quest "${completedQuest}" completed`);
         } catch (error) {
             return {
                 success: false,
@@ -246,14 +560,11 @@ class ToolFunctions {
      */
     logEvent(event) {
         try {
-            this.gameState.updateState({
+            const issues = this.gameState.updateState({
                 history: [event]
             });
             
-            return {
-                success: true,
-                message: 'Event logged to history'
-            };
+            return this._result(issues, 'Event logged to history');
         } catch (error) {
             return {
                 success: false,
@@ -263,43 +574,24 @@ class ToolFunctions {
     }
     
     /**
-     * Extract state changes from narrative text
-     * This would normally use the light model, but we'll simulate basic extraction here
-     * @param {string} narrative - Narrative text
-     * @returns {Object} - Extracted state changes
+     * Build a tool result that tells the model which of its changes were adjusted or refused,
+     * so the narration can stay consistent with what was actually applied
+     * @param {Array<Object>} issues - Issues from GameState.updateState
+     * @param {string} message - Success message
+     * @returns {Object} - Result of the operation
+     * @private
      */
-    extractStateChanges(narrative) {
-        // Simple pattern matching to extract common game elements
-        // In a real implementation, this would call the light model
-        
-        const changes = {
-            experience_gain: 0,
-            gold_gain: 0,
-            items_gain: [],
-            hp_change: 0
-        };
-        
-        // Very basic pattern matching for demo purposes
-        if (narrative.match(/gained? (\d+) experience/i)) {
-            changes.experience_gain = parseInt(narrative.match(/gained? (\d+) experience/i)[1]);
-        }
-        
-        if (narrative.match(/gained? (\d+) gold/i)) {
-            changes.gold_gain = parseInt(narrative.match(/gained? (\d+) gold/i)[1]);
-        }
-        
-        if (narrative.match(/gained? .*?(potion|dagger|sword|shield|armor)/i)) {
-            const itemMatch = narrative.match(/gained? .*?(potion|dagger|sword|shield|armor)/i);
-            changes.items_gain.push({
-                name: itemMatch[1].charAt(0).toUpperCase() + itemMatch[1].slice(1),
-                quantity: 1
-            });
-        }
-        
-        if (narrative.match(/(lost|took) (\d+) .*?damage/i)) {
-            changes.hp_change = -parseInt(narrative.match(/(lost|took) (\d+) .*?damage/i)[2]);
+    _result(issues, message) {
+        if (issues.length === 0) {
+            return { success: true, message };
         }
-        
-        return changes;
+        const rejected = issues.some(issue => issue.action === 'rejected');
+        return {
+            success: !rejected,
+            message: rejected ? 'Some changes were rejected by the game rules' : `${message} (with adjustments)`,
+            adjustments: issues.map(issue => issue.applied !== undefined
+                ? `${issue.path}: ${issue.action} to ${JSON.stringify(issue.applied)} (${issue.reason})`
+                : `${issue.path}: ${issue.action} (${issue.reason})`)
+        };
     }
 }